@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPINGS_FILE = path.join(__dirname, '..', 'config', 'column-mappings.json');
+
+// Fields the pipeline reads from an input row
+const FIELDS = ['itemNumber', 'itemDescription', 'description', 'brand', 'costToReplace', 'quantity', 'age', 'condition', 'zip', 'state'];
+
+// Share of a template's headers (Jaccard overlap) a file needs before the template is
+// picked for it automatically
+const MIN_FINGERPRINT_MATCH = 0.75;
+
+// Saved column mappings for vendors whose exports don't use our header names.
+// Each template: { id, name, description, fields, headers }
+//   fields  - pipeline field → header in the vendor's file, e.g. { itemNumber: "Line" }
+//   headers - the vendor file's full header row; its fingerprint for auto-matching
+// Edits made through the API are written back to the config file.
+class ColumnMappingRegistry {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.COLUMN_MAPPINGS_FILE || DEFAULT_MAPPINGS_FILE;
+    this.templates = options.templates ? options.templates.map(entry => this.validate(entry)) : this.load();
+    this.persist = !options.templates || !!options.filePath;
+  }
+
+  // Shared registry loaded from COLUMN_MAPPINGS_FILE (config/column-mappings.json by default)
+  static shared() {
+    if (!ColumnMappingRegistry.instance) {
+      ColumnMappingRegistry.instance = new ColumnMappingRegistry();
+    }
+    return ColumnMappingRegistry.instance;
+  }
+
+  static normalizeHeader(header) {
+    return String(header == null ? '' : header).trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  // Built-in header-name rules, used for any field no template or manual mapping sets
+  static detectColumns(headers) {
+    const columnMap = {};
+
+    headers.forEach(header => {
+      const normalizedHeader = header.trim().toLowerCase();
+
+      // Check for Description/Desc column (handles both variants)
+      if (normalizedHeader === 'description' || normalizedHeader === 'desc') {
+        columnMap.description = header;
+      }
+
+      // Other required columns
+      if (normalizedHeader.includes('item') && normalizedHeader.includes('#')) {
+        columnMap.itemNumber = header;
+      }
+      if (normalizedHeader.includes('item') && normalizedHeader.includes('description')) {
+        columnMap.itemDescription = header;
+      }
+      if (normalizedHeader.includes('brand') || normalizedHeader.includes('manufacturer')) {
+        columnMap.brand = header;
+      }
+      if (normalizedHeader.includes('cost') && normalizedHeader.includes('replace')) {
+        columnMap.costToReplace = header;
+      }
+      if (/^qty\b/.test(normalizedHeader) || normalizedHeader.includes('quantity')) {
+        columnMap.quantity = header;
+      }
+      if (/^age\b/.test(normalizedHeader) || normalizedHeader.includes('years old')) {
+        columnMap.age = header;
+      }
+      if (normalizedHeader.includes('condition')) {
+        columnMap.condition = header;
+      }
+      if (normalizedHeader.includes('zip') || normalizedHeader.includes('postal')) {
+        columnMap.zip = header;
+      }
+      if (/\bstate\b/.test(normalizedHeader)) {
+        columnMap.state = header;
+      }
+    });
+
+    return columnMap;
+  }
+
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    return (config.templates || []).map(entry => this.validate(entry));
+  }
+
+  save() {
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ templates: this.templates }, null, 2) + '\n');
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  // Normalize a template. Throws INVALID_MAPPING_TEMPLATE on bad input.
+  validate(entry = {}) {
+    const id = String(entry.id || '').trim().toLowerCase();
+    if (!/^[a-z0-9][\w-]*$/.test(id)) {
+      throw this.error('INVALID_MAPPING_TEMPLATE', `Invalid mapping template id "${entry.id || ''}"; use letters, digits, - and _`);
+    }
+
+    const fields = this.validateFields(entry.fields, 'INVALID_MAPPING_TEMPLATE');
+    if (!fields.itemDescription && !fields.description) {
+      throw this.error('INVALID_MAPPING_TEMPLATE', `Template ${id} must map itemDescription or description`);
+    }
+
+    if (entry.headers != null && !Array.isArray(entry.headers)) {
+      throw this.error('INVALID_MAPPING_TEMPLATE', 'headers must be an array of strings');
+    }
+    const headers = (entry.headers || []).map(header => String(header).trim()).filter(Boolean);
+
+    return {
+      id,
+      name: entry.name ? String(entry.name).trim() : id,
+      description: entry.description ? String(entry.description).trim() : '',
+      fields,
+      headers: headers.length ? headers : [...new Set(Object.values(fields))]
+    };
+  }
+
+  // { field: header } with known fields only; blank headers are dropped
+  validateFields(fields, code) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw this.error(code, `fields must be an object of field to header, with fields from: ${FIELDS.join(', ')}`);
+    }
+
+    const valid = {};
+    for (const [field, header] of Object.entries(fields)) {
+      if (!FIELDS.includes(field)) {
+        throw this.error(code, `Unknown field "${field}". Expected one of: ${FIELDS.join(', ')}`);
+      }
+      if (header === null || header === undefined || String(header).trim() === '') continue;
+      valid[field] = String(header).trim();
+    }
+    return valid;
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  list() {
+    return this.templates;
+  }
+
+  get(id) {
+    const normalized = String(id || '').trim().toLowerCase();
+    return this.templates.find(template => template.id === normalized) || null;
+  }
+
+  // Header match of a template against a file's headers, 0-1. A template that maps a
+  // column the file doesn't have never matches.
+  fingerprintScore(template, headers) {
+    const fileHeaders = new Set(headers.map(ColumnMappingRegistry.normalizeHeader));
+    if (!Object.values(template.fields).every(header => fileHeaders.has(ColumnMappingRegistry.normalizeHeader(header)))) {
+      return 0;
+    }
+
+    const templateHeaders = new Set(template.headers.map(ColumnMappingRegistry.normalizeHeader));
+    const shared = [...templateHeaders].filter(header => fileHeaders.has(header)).length;
+    const union = new Set([...templateHeaders, ...fileHeaders]).size;
+    return union ? shared / union : 0;
+  }
+
+  // Best template for a file's headers, or null when none reaches MIN_FINGERPRINT_MATCH
+  match(headers) {
+    let best = null;
+    for (const template of this.templates) {
+      const score = this.fingerprintScore(template, headers);
+      if (score >= MIN_FINGERPRINT_MATCH && (!best || score > best.score)) {
+        best = { template, score: +score.toFixed(2) };
+      }
+    }
+    return best;
+  }
+
+  // Header in the file for a template or manual mapping header, matched case-insensitively
+  headerIn(headers, wanted) {
+    const normalized = ColumnMappingRegistry.normalizeHeader(wanted);
+    return headers.find(header => ColumnMappingRegistry.normalizeHeader(header) === normalized) || null;
+  }
+
+  // Column map for a file. Precedence per field: manual columnMap, then the chosen template
+  // (or the one auto-matched by header fingerprint), then the built-in header rules.
+  // A field given as "" in a manual map is left unmapped.
+  // Returns { columnMap, source: 'manual' | 'template' | 'auto-template' | 'detected', templateId, score }
+  resolve(headers, { templateId = null, columnMap = null } = {}) {
+    let template = null;
+    let source = 'detected';
+    let score = null;
+
+    if (templateId) {
+      template = this.get(templateId);
+      if (!template) {
+        throw this.error('MAPPING_TEMPLATE_NOT_FOUND', `Unknown column mapping template "${templateId}". Expected one of: ${this.templates.map(t => t.id).join(', ') || 'none saved'}`);
+      }
+      source = 'template';
+    } else {
+      const matched = this.match(headers);
+      if (matched) {
+        template = matched.template;
+        score = matched.score;
+        source = 'auto-template';
+      }
+    }
+
+    const chosen = {};
+    if (template) {
+      for (const [field, wanted] of Object.entries(template.fields)) {
+        const header = this.headerIn(headers, wanted);
+        if (!header) {
+          throw this.error('INVALID_COLUMN_MAP', `Template ${template.id} maps ${field} to "${wanted}", which this file doesn't have`);
+        }
+        chosen[field] = header;
+      }
+    }
+
+    const cleared = new Set();
+    if (columnMap) {
+      for (const [field, wanted] of Object.entries(columnMap)) {
+        if (!FIELDS.includes(field)) {
+          throw this.error('INVALID_COLUMN_MAP', `Unknown field "${field}". Expected one of: ${FIELDS.join(', ')}`);
+        }
+        if (wanted === null || wanted === undefined || String(wanted).trim() === '') {
+          delete chosen[field];
+          cleared.add(field);
+          continue;
+        }
+        const header = this.headerIn(headers, wanted);
+        if (!header) {
+          throw this.error('INVALID_COLUMN_MAP', `Column "${wanted}" for ${field} is not in this file`);
+        }
+        chosen[field] = header;
+      }
+      source = 'manual';
+    }
+
+    // Detected columns fill the gaps, unless the column is already used for another field
+    const used = new Set(Object.values(chosen));
+    const resolved = { ...chosen };
+    for (const [field, header] of Object.entries(ColumnMappingRegistry.detectColumns(headers))) {
+      if (!(field in resolved) && !cleared.has(field) && !used.has(header)) resolved[field] = header;
+    }
+
+    return { columnMap: resolved, source, templateId: template ? template.id : null, score };
+  }
+
+  create(entry) {
+    const template = this.validate(entry);
+    if (this.get(template.id)) {
+      throw this.error('MAPPING_TEMPLATE_EXISTS', `Mapping template ${template.id} already exists`);
+    }
+
+    this.templates.push(template);
+    this.commit();
+    return template;
+  }
+
+  // Partial update; the id itself cannot be changed
+  update(id, changes = {}) {
+    const existing = this.get(id);
+    if (!existing) {
+      throw this.error('MAPPING_TEMPLATE_NOT_FOUND', `Mapping template ${id} not found`);
+    }
+
+    const template = this.validate({ ...existing, ...changes, id: existing.id });
+    this.templates[this.templates.indexOf(existing)] = template;
+    this.commit();
+    return template;
+  }
+
+  remove(id) {
+    const existing = this.get(id);
+    if (!existing) {
+      throw this.error('MAPPING_TEMPLATE_NOT_FOUND', `Mapping template ${id} not found`);
+    }
+
+    this.templates.splice(this.templates.indexOf(existing), 1);
+    this.commit();
+    return existing;
+  }
+
+  commit() {
+    if (this.persist) this.save();
+  }
+}
+
+ColumnMappingRegistry.FIELDS = FIELDS;
+ColumnMappingRegistry.MIN_FINGERPRINT_MATCH = MIN_FINGERPRINT_MATCH;
+
+module.exports = ColumnMappingRegistry;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEPRECIATION_FILE = path.join(__dirname, '..', 'config', 'depreciation.json');
+const METHODS = ['straight-line', 'schedule'];
+
+// Actual cash value (ACV) from replacement cost (RCV), driven by config/depreciation.json:
+//   categories             - per Sub Cat rules: { usefulLife } for straight-line, or
+//                            { method: 'schedule', schedule: [...] } where schedule[n] is the
+//                            cumulative depreciation % after n + 1 years (linear in between)
+//   conditions             - multiplier applied to the age-based depreciation per condition
+//   maxDepreciationPercent - cap on depreciation (a category may set its own)
+// Items of unlisted categories use defaultUsefulLife straight-line.
+class DepreciationCalculator {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.DEPRECIATION_FILE || DEFAULT_DEPRECIATION_FILE;
+    const config = options.config || JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+
+    this.defaultUsefulLife = this.positive(config.defaultUsefulLife == null ? 10 : config.defaultUsefulLife, 'defaultUsefulLife');
+    this.maxDepreciationPercent = this.percent(config.maxDepreciationPercent == null ? 100 : config.maxDepreciationPercent, 'maxDepreciationPercent');
+
+    this.conditions = {};
+    for (const [name, multiplier] of Object.entries(config.conditions || {})) {
+      if (typeof multiplier !== 'number' || multiplier < 0) {
+        throw new Error(`Depreciation condition "${name}": multiplier must be a number of 0 or more`);
+      }
+      this.conditions[name.toLowerCase()] = multiplier;
+    }
+    this.conditionAliases = {};
+    for (const [alias, name] of Object.entries(config.conditionAliases || {})) {
+      if (!(name.toLowerCase() in this.conditions)) {
+        throw new Error(`Depreciation condition alias "${alias}" points at unknown condition "${name}"`);
+      }
+      this.conditionAliases[alias.toLowerCase()] = name.toLowerCase();
+    }
+    this.defaultCondition = config.defaultCondition ? config.defaultCondition.toLowerCase() : null;
+    if (this.defaultCondition && !(this.defaultCondition in this.conditions)) {
+      throw new Error(`Depreciation defaultCondition "${config.defaultCondition}" is not a listed condition`);
+    }
+
+    this.categories = {};
+    for (const [category, rule] of Object.entries(config.categories || {})) {
+      this.categories[category] = this.validateRule(category, rule);
+    }
+  }
+
+  // Shared calculator loaded from DEPRECIATION_FILE (config/depreciation.json by default)
+  static shared() {
+    if (!DepreciationCalculator.instance) {
+      DepreciationCalculator.instance = new DepreciationCalculator();
+    }
+    return DepreciationCalculator.instance;
+  }
+
+  // Reject malformed rules at load time rather than mid-job
+  validateRule(category, rule = {}) {
+    const method = rule.method || 'straight-line';
+    if (!METHODS.includes(method)) {
+      throw new Error(`Depreciation category "${category}": method must be one of ${METHODS.join(', ')}`);
+    }
+
+    const validated = {
+      method,
+      maxDepreciationPercent: rule.maxDepreciationPercent == null ? null : this.percent(rule.maxDepreciationPercent, `${category} maxDepreciationPercent`)
+    };
+
+    if (method === 'schedule') {
+      const schedule = rule.schedule || [];
+      if (!schedule.length || schedule.some((value, i) => typeof value !== 'number' || value < 0 || value > 100 || (i > 0 && value < schedule[i - 1]))) {
+        throw new Error(`Depreciation category "${category}": schedule must be a rising list of percentages`);
+      }
+      validated.schedule = schedule;
+    } else {
+      validated.usefulLife = this.positive(rule.usefulLife == null ? this.defaultUsefulLife : rule.usefulLife, `${category} usefulLife`);
+    }
+    return validated;
+  }
+
+  positive(value, name) {
+    const number = Number(value);
+    if (!(number > 0)) throw new Error(`Depreciation ${name} must be more than 0`);
+    return number;
+  }
+
+  percent(value, name) {
+    const number = Number(value);
+    if (isNaN(number) || number < 0 || number > 100) throw new Error(`Depreciation ${name} must be a percentage between 0 and 100`);
+    return number;
+  }
+
+  // Age in years from spreadsheet text: "3", "3 years", "2.5 yrs", "18 months", "6 mo", "new".
+  // null when the age can't be read.
+  parseAge(value) {
+    const text = String(value == null ? '' : value).trim().toLowerCase();
+    if (!text) return null;
+    if (/^(new|brand new|<\s*1\s*(mo|month)s?)$/.test(text)) return 0;
+
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*(years?|yrs?|y|months?|mos?|m)?\.?(\s*old)?$/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    return match[2] && match[2].startsWith('m') ? +(amount / 12).toFixed(3) : amount;
+  }
+
+  // Condition name (after aliases) and its multiplier. Unknown conditions fall back to
+  // defaultCondition; null when there is none.
+  resolveCondition(value) {
+    const text = String(value == null ? '' : value).trim().toLowerCase();
+    const name = text in this.conditions ? text : this.conditionAliases[text];
+    if (name) return { name, multiplier: this.conditions[name], recognized: true };
+    if (this.defaultCondition) return { name: this.defaultCondition, multiplier: this.conditions[this.defaultCondition], recognized: false };
+    return null;
+  }
+
+  ruleFor(category) {
+    return this.categories[category] || { method: 'straight-line', usefulLife: this.defaultUsefulLife, maxDepreciationPercent: null };
+  }
+
+  // Depreciation % before the condition multiplier and cap
+  ageDepreciation(rule, age) {
+    if (rule.method === 'straight-line') {
+      return (age / rule.usefulLife) * 100;
+    }
+
+    const schedule = rule.schedule;
+    if (age >= schedule.length) return schedule[schedule.length - 1];
+    const year = Math.floor(age);
+    const start = year === 0 ? 0 : schedule[year - 1];
+    return start + (schedule[year] - start) * (age - year);
+  }
+
+  // Depreciate a replacement cost. Returns null when the age can't be read or the
+  // condition is unknown with no default, otherwise
+  // { rcv, acv, percent, age, condition, conditionRecognized, multiplier, method, usefulLife, schedule, capped, maxPercent }
+  calculate(rcv, { category, age, condition } = {}) {
+    const years = this.parseAge(age);
+    const resolved = this.resolveCondition(condition);
+    if (years === null || !resolved || !(rcv >= 0)) return null;
+
+    const rule = this.ruleFor(category);
+    const maxPercent = rule.maxDepreciationPercent != null ? rule.maxDepreciationPercent : this.maxDepreciationPercent;
+    const uncapped = this.ageDepreciation(rule, years) * resolved.multiplier;
+    const percent = +Math.min(uncapped, maxPercent).toFixed(2);
+
+    return {
+      rcv: +rcv.toFixed(2),
+      acv: +(rcv * (1 - percent / 100)).toFixed(2),
+      percent,
+      age: years,
+      condition: resolved.name,
+      conditionRecognized: resolved.recognized,
+      multiplier: resolved.multiplier,
+      method: rule.method,
+      usefulLife: rule.usefulLife || null,
+      schedule: rule.schedule || null,
+      capped: uncapped > maxPercent,
+      maxPercent
+    };
+  }
+}
+
+DepreciationCalculator.METHODS = METHODS;
+
+module.exports = DepreciationCalculator;
@@ -1,59 +1,218 @@
 const ProductValidator = require('./ProductValidator');
 const DEBUG_LOGGING = false;
-const axios = require('axios');
-
-// Trusted retailer domains mapped to how they appear in SerpAPI source field
-const trustedSources = {
-  'amazon.com': ['Amazon', 'amazon.com', 'Amazon.com', 'Amazon.com - Seller'],
-  'walmart.com': ['Walmart', 'walmart.com', 'Walmart - Seller', 'Walmart - RRX'],
-  'target.com': ['Target', 'target.com'],
-  'homedepot.com': ['Home Depot', 'homedepot.com', 'The Home Depot'],
-  'lowes.com': ['Lowe\'s', 'lowes.com', 'Lowes'],
-  'bestbuy.com': ['Best Buy', 'bestbuy.com', 'BestBuy'],
-  'wayfair.com': ['Wayfair', 'wayfair.com'],
-  'costco.com': ['Costco', 'costco.com'],
-  'overstock.com': ['Overstock', 'overstock.com', 'Overstock.com']
+const { getSearchProvider } = require('../providers');
+const PriceCache = require('../utils/priceCache');
+const RetailerRegistry = require('./RetailerRegistry');
+const ProfileRegistry = require('./ProfileRegistry');
+const RelevanceScorer = require('../utils/relevanceScorer');
+const AttributeExtractor = require('../utils/attributeExtractor');
+const TaxonomyClassifier = require('../utils/taxonomyClassifier');
+
+// Named building blocks of a pricing mode. Each mode picks one of each:
+//   fallbackDepth - how many rewritten queries to try after the original one
+//   earlyExit     - when to stop reading results / trying further queries
+//   scoring       - how the winning offer is picked from the candidates
+const FALLBACK_DEPTHS = {
+  none: 0,          // original query only (one API call)
+  alternatives: 3   // plus up to three shortened rewrites
 };
 
+const EARLY_EXIT_RULES = {
+  // Stop at the first query that yields a pick; read up to 15 trusted offers per search
+  'first-match': { poolQueries: false, candidateLimit: 15, perfectMatchLimit: null },
+  // Like first-match, but stop reading results at 8 offers once an in-range offer
+  // from a preferred retailer (the profile's preferredRetailers) is seen
+  'preferred-in-range': { poolQueries: false, candidateLimit: 15, perfectMatchLimit: 8 },
+  // Run every query in the fallback depth and pick from the pooled offers
+  exhaustive: { poolQueries: true, candidateLimit: 15, perfectMatchLimit: null }
+};
+
+// 'lkq' is lowest-in-range restricted to like-kind-and-quality offers (see AttributeExtractor)
+const SCORING_FUNCTIONS = ['lowest-in-range', 'priority', 'lkq'];
+
+// Presets offered in the UI. 'thorough' is the multi-query fallback pricer,
+// 'fast' the single-call priority scorer, 'lkq' the like-kind-and-quality matcher.
+const PRICING_MODES = {
+  thorough: {
+    label: 'Thorough',
+    description: 'Retries with shortened queries; lowest in-range price wins',
+    fallbackDepth: 'alternatives',
+    earlyExit: 'first-match',
+    scoring: 'lowest-in-range'
+  },
+  fast: {
+    label: 'Fast',
+    description: 'One search per item; in-range offers from preferred retailers ranked first',
+    fallbackDepth: 'none',
+    earlyExit: 'preferred-in-range',
+    scoring: 'priority'
+  },
+  lkq: {
+    label: 'Like Kind & Quality',
+    description: 'Drops offers whose type, size, capacity or wattage contradict the claim; material, brand-tier and pack-count conflicts rank last',
+    fallbackDepth: 'alternatives',
+    earlyExit: 'first-match',
+    scoring: 'lkq'
+  }
+};
+
+const DEFAULT_MODE = 'thorough';
+
+// Offers whose relevance is this many points below the most relevant offer in a tier
+// are dropped before the price comparison, so a cheap look-alike can't beat a close match
+const RELEVANCE_BAND = 25;
+
 class InsuranceItemPricer {
-  constructor() {
+  constructor(options = {}) {
     this.productValidator = new ProductValidator();
-    this.serpApiKey = process.env.SERPAPI_KEY;
-    this.searchEngine = 'google_shopping';
-    
-    // SMART-FAST: Pre-compile trusted sources for instant lookups
-    this.trustedSourceMap = new Map();
-    for (const [domain, aliases] of Object.entries(trustedSources)) {
-      for (const alias of aliases) {
-        this.trustedSourceMap.set(alias.toLowerCase(), domain);
-      }
-    }
+
+    // Backend comes from SEARCH_PROVIDER (serpapi, google_cse or fixture). The SerpAPI
+    // provider owns the shared rate limiter and fails fast when SERPAPI_KEY is missing.
+    this.searchProvider = options.searchProvider || getSearchProvider('shopping');
     
-    // SMART-FAST: Smart caching for duplicate queries (common in your Excel)
-    this.queryCache = new Map();
-    this.cacheHits = 0;
+    // Trusted retailers, their source-field aliases and preference weights (config/retailers.json)
+    this.retailers = options.retailers || RetailerRegistry.shared();
+
+    // Carrier rule sets (config/profiles.json); requests without a profile get the default one
+    this.profiles = options.profiles || ProfileRegistry.shared();
+
+    // Title-vs-query similarity; offers below RELEVANCE_MIN_SCORE are rejected
+    this.relevance = options.relevance || RelevanceScorer.shared();
+
+    // Capacity, size, wattage, material, pack count and brand tier of claims and offers
+    this.attributes = options.attributes || AttributeExtractor.shared();
+    this.taxonomy = options.taxonomy || TaxonomyClassifier.shared();
     
-    if (!this.serpApiKey) {
-      console.error('❌ SERPAPI_KEY environment variable is required');
-      throw new Error('SERPAPI_KEY environment variable is required');
+    // SMART-FAST: Search results are cached on disk and shared with every other pricer,
+    // so duplicate queries (common in your Excel) and re-runs don't spend SerpAPI credits
+    this.cache = options.cache || PriceCache.shared();
+
+    this.defaultMode = options.mode || process.env.PRICING_MODE || DEFAULT_MODE;
+  }
+
+  // Presets plus the building blocks they are made of, for the UI and API docs
+  static listModes() {
+    return {
+      defaultMode: process.env.PRICING_MODE || DEFAULT_MODE,
+      modes: Object.entries(PRICING_MODES).map(([id, mode]) => ({ id, ...mode })),
+      fallbackDepths: Object.keys(FALLBACK_DEPTHS),
+      earlyExitRules: Object.keys(EARLY_EXIT_RULES),
+      scoringFunctions: SCORING_FUNCTIONS
+    };
+  }
+
+  // Turn a preset name and/or per-part overrides into a concrete mode.
+  // Throws an error with code 'INVALID_MODE' for unknown names.
+  // A profile's fallback.queryRewrites, when set, decides the preset's fallback depth.
+  resolveMode(options = {}) {
+    const name = options.mode || this.defaultMode;
+    const preset = { ...PRICING_MODES[name] };
+    if (!PRICING_MODES[name]) {
+      throw this.invalidMode(`Unknown pricing mode "${name}". Expected one of: ${Object.keys(PRICING_MODES).join(', ')}`);
+    }
+
+    const queryRewrites = options.profile && options.profile.fallback.queryRewrites;
+    if (queryRewrites != null) {
+      preset.fallbackDepth = queryRewrites ? 'alternatives' : 'none';
     }
+
+    const mode = {
+      name,
+      fallbackDepth: options.fallbackDepth || preset.fallbackDepth,
+      earlyExit: options.earlyExit || preset.earlyExit,
+      scoring: options.scoring || preset.scoring
+    };
+
+    if (!(mode.fallbackDepth in FALLBACK_DEPTHS)) {
+      throw this.invalidMode(`Unknown fallback depth "${mode.fallbackDepth}". Expected one of: ${Object.keys(FALLBACK_DEPTHS).join(', ')}`);
+    }
+    if (!(mode.earlyExit in EARLY_EXIT_RULES)) {
+      throw this.invalidMode(`Unknown early-exit rule "${mode.earlyExit}". Expected one of: ${Object.keys(EARLY_EXIT_RULES).join(', ')}`);
+    }
+    if (!SCORING_FUNCTIONS.includes(mode.scoring)) {
+      throw this.invalidMode(`Unknown scoring function "${mode.scoring}". Expected one of: ${SCORING_FUNCTIONS.join(', ')}`);
+    }
+
+    // Overriding a part of a preset makes it a custom mode
+    if (mode.fallbackDepth !== preset.fallbackDepth || mode.earlyExit !== preset.earlyExit || mode.scoring !== preset.scoring) {
+      mode.name = 'custom';
+    }
+
+    return mode;
+  }
+
+  invalidMode(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_MODE';
+    return error;
+  }
+
+  // Acceptance rules for one request. `relevance` is a RelevanceScorer target
+  // (null skips relevance scoring) and `minRelevance` the score an offer needs.
+  resolvePolicy(profile, relevance = null, minRelevance = this.relevance.minScore) {
+    return {
+      profileId: profile.id,
+      allowed: profile.allowedRetailers.length ? new Set(profile.allowedRetailers) : null,
+      preferred: new Set(profile.preferredRetailers),
+      tieBreak: profile.tieBreak,
+      closeMatchPercent: profile.fallback.closeMatchPercent,
+      relevance,
+      minRelevance,
+      // Set by findBestPrice from the claim text
+      claim: null,
+      likeKind: false,
+      claimPackSize: null
+    };
+  }
+
+  // Minimum relevance score from a request (0-100); the configured default when blank.
+  // Throws an error with code 'INVALID_RELEVANCE' for anything else.
+  resolveMinRelevance(value) {
+    if (value === undefined || value === null || value === '') return this.relevance.minScore;
+
+    const minRelevance = Number(value);
+    if (isNaN(minRelevance) || minRelevance < 0 || minRelevance > 100) {
+      const error = new Error(`minRelevance must be a number from 0 to 100, got "${value}"`);
+      error.code = 'INVALID_RELEVANCE';
+      throw error;
+    }
+    return minRelevance;
   }
 
   // MAIN METHOD - This is what your routes call
-  async findBestPrice(query, targetPrice = null, tolerance = 10) {
+  // options: { mode, fallbackDepth, earlyExit, scoring } - see PRICING_MODES
+  //          { profile } - a ProfileRegistry profile; the default profile when omitted
+  //          { brand, model, minRelevance } - what offer titles are scored against
+  // Every response carries an `audit` record explaining how the price was chosen
+  async findBestPrice(query, targetPrice = null, tolerance = 10, options = {}) {
+    const profile = options.profile || this.profiles.getDefault();
+    const mode = this.resolveMode({ ...options, profile });
+    // Offers are priced per unit against the claim's pack, so the pack count is left out of relevance
+    const relevanceTarget = this.relevance.prepare(this.attributes.withoutCount(query), { brand: options.brand, model: options.model });
+    const policy = this.resolvePolicy(profile, relevanceTarget, this.resolveMinRelevance(options.minRelevance));
+    policy.claim = { ...this.attributes.extract(query, options.brand), type: this.productType(query) };
+    policy.likeKind = mode.scoring === 'lkq';
+    // Units in the claimed item ("set of 4 towels"); the target price covers all of them.
+    // Null when the claim names no pack, and offers are then compared as listed.
+    policy.claimPackSize = policy.claim.count || null;
+    const audit = {
+      query,
+      targetPrice,
+      tolerance,
+      priceRange: null,
+      mode,
+      profile: profile.id,
+      relevance: { ...relevanceTarget, minScore: policy.minRelevance },
+      claimAttributes: policy.claim,
+      claimPackSize: policy.claimPackSize,
+      provider: this.searchProvider.name,
+      searches: [],
+      selection: null,
+      outcome: null
+    };
+
     try {
-      // SMART-FAST: Check cache for duplicate queries (many similar items in Excel)
-      const cacheKey = `${query.toLowerCase().substring(0, 50)}_${targetPrice}_${tolerance}`;
-      if (this.queryCache.has(cacheKey)) {
-        this.cacheHits++;
-        const cached = this.queryCache.get(cacheKey);
-        if (this.cacheHits % 10 === 0) {
-          console.log(`💨 Cache hits: ${this.cacheHits} (saving time)`);
-        }
-        return cached;
-      }
-      
-      console.log(`🔍 Finding best price for: "${query}"`);
+      console.log(`🔍 Finding best price for: "${query}" (${mode.name} mode, ${profile.id} profile)`);
       console.log(`💰 Target price: ${targetPrice ? '$' + targetPrice : 'None'}, Tolerance: ±${tolerance}%`);
       
       // Set price range based on target price and tolerance
@@ -65,21 +224,41 @@ class InsuranceItemPricer {
         minPrice = Math.max(0, targetPrice * (1 - toleranceDecimal));
         maxPrice = targetPrice * (1 + toleranceDecimal);
         console.log(`🎯 Price filtering enabled: $${minPrice.toFixed(2)} - $${maxPrice.toFixed(2)} (±${tolerance}% of $${targetPrice})`);
+        audit.priceRange = { min: +minPrice.toFixed(2), max: +maxPrice.toFixed(2) };
       }
 
-      const result = await this.trySerpAPISmartFast(query, minPrice, maxPrice, targetPrice, tolerance);
+      const result = await this.searchWithMode(query, minPrice, maxPrice, targetPrice, tolerance, mode, policy, audit);
+      audit.outcome = result ? 'found' : 'not_found';
       
       let response;
       if (result) {
+        // Category from the claim text and the matched title together
+        const classification = this.taxonomy.classify({ description: query, title: result.description });
+        audit.classification = classification;
         console.log(`✅ Final result: $${result.price} from ${result.source} (within range: ${targetPrice ? (result.price >= minPrice && result.price <= maxPrice) : 'N/A'})`);
         response = {
           found: true,
           price: result.price,
+          listingPrice: result.listingPrice,
+          packSize: result.packSize,
+          unitPrice: result.unitPrice,
+          claimPackSize: policy.claimPackSize,
+          shipping: result.shipping,
           source: result.source,
           url: result.url,
-          category: 'HSW',
-          subcategory: this.getSubCategory(result.description),
-          description: result.description
+          category: classification.category,
+          subcategory: classification.subcategory,
+          categoryConfidence: classification.confidence,
+          description: result.description,
+          relevance: result.relevance,
+          likeKind: result.likeKind,
+          searchQuery: result.query,
+          shoppingResult: result.shoppingResult,
+          searchFetchedAt: result.fetchedAt,
+          searchFromCache: result.fromCache,
+          mode: mode.name,
+          profile: profile.id,
+          audit
         };
       } else {
         console.log(`❌ No results found within price range $${minPrice.toFixed(2)} - $${maxPrice.toFixed(2)}`);
@@ -87,25 +266,28 @@ class InsuranceItemPricer {
           found: false,
           message: targetPrice ? 
             `No suitable matches found within ±${tolerance}% of $${targetPrice} ($${minPrice.toFixed(2)} - $${maxPrice.toFixed(2)})` :
-            'No suitable matches found'
+            'No suitable matches found',
+          mode: mode.name,
+          profile: profile.id,
+          audit
         };
       }
       
-      // MINOR OPTIMIZATION: Increased cache size for better hit rates
-      this.queryCache.set(cacheKey, response);
-      
-      if (this.queryCache.size > 150) {
-        const firstKey = this.queryCache.keys().next().value;
-        this.queryCache.delete(firstKey);
-      }
-      
       return response;
       
     } catch (error) {
+      // Out of SerpAPI credits - let the caller stop instead of marking rows "not found"
+      if (error.code === 'QUOTA_EXCEEDED') throw error;
+
       console.error('❌ findBestPrice error:', error);
+      audit.outcome = 'error';
+      audit.error = error.message;
       return {
         found: false,
-        error: error.message
+        error: error.message,
+        mode: mode.name,
+        profile: profile.id,
+        audit
       };
     }
   }
@@ -117,38 +299,44 @@ class InsuranceItemPricer {
       .trim();
   }
 
+  // Queries findBestPrice would send for `query`, in order, without searching.
+  // Later ones only run when the earlier ones find nothing (or the mode pools every query).
+  planSearches(query, options = {}) {
+    const profile = options.profile || this.profiles.getDefault();
+    const mode = this.resolveMode({ ...options, profile });
+    return { mode, queries: this.buildQueries(this.sanitizeQuery(query), mode.fallbackDepth) };
+  }
+
+  // Original query first, then the shortened rewrites the fallback depth allows
+  buildQueries(sanitized, fallbackDepth) {
+    const alternativeQueries = [
+      sanitized.replace(/\b(new|mail box|postal box|heavy duty|security)\b/gi, '').replace(/\s+/g, ' ').trim(),
+      sanitized.split(' ').slice(0, 5).join(' '), // Keep 5 words instead of 4
+      sanitized.split(' ').slice(0, 3).join(' ')  // Also try 3 words
+    ];
+
+    const queries = [sanitized];
+    for (const altQuery of alternativeQueries.slice(0, FALLBACK_DEPTHS[fallbackDepth])) {
+      if (altQuery.length < 5 || queries.includes(altQuery)) continue;
+      queries.push(altQuery);
+    }
+    return queries;
+  }
+
+  // Sub category of a single text (taxonomy label like "Fans /HSW")
   getSubCategory(description = '') {
-    const desc = description.toLowerCase();
-    if (desc.includes('letter') && desc.includes('box')) return 'Letter Box /HSW';
-    if (desc.includes('fan') && desc.includes('tower')) return 'Fans /HSW';
-    if (desc.includes('dehumidifier')) return 'Dehumidifier /HSW';
-    if (desc.includes('window') && desc.includes('ac')) return 'Window AC /HSW';
-    if (desc.includes('toilet') && desc.includes('brush')) return 'Bathroom Accessories /HSW';
-    return 'Other /HSW';
+    return this.taxonomy.classify({ title: description }).subcategory;
+  }
+
+  // Product type for like-kind checks; null when the text fits no taxonomy sub category
+  productType(description) {
+    const classification = this.taxonomy.classify({ title: description });
+    return classification.confidence > 0 ? classification.subcategory : null;
   }
 
-  // SMART-FAST: Ultra-fast trusted source lookup
+  // SMART-FAST: Trusted source lookup through the retailer registry
   isTrustedSourceFast(sourceField) {
-    if (!sourceField) return null;
-    
-    const sourceLower = sourceField.toLowerCase();
-    
-    // Direct map lookup first (fastest)
-    const direct = this.trustedSourceMap.get(sourceLower);
-    if (direct) return direct;
-    
-    // Fast contains check for partial matches
-    if (sourceLower.includes('amazon')) return 'amazon.com';
-    if (sourceLower.includes('walmart')) return 'walmart.com';
-    if (sourceLower.includes('target')) return 'target.com';
-    if (sourceLower.includes('home depot') || sourceLower.includes('homedepot')) return 'homedepot.com';
-    if (sourceLower.includes('lowe')) return 'lowes.com';
-    if (sourceLower.includes('best buy') || sourceLower.includes('bestbuy')) return 'bestbuy.com';
-    if (sourceLower.includes('wayfair')) return 'wayfair.com';
-    if (sourceLower.includes('costco')) return 'costco.com';
-    if (sourceLower.includes('overstock')) return 'overstock.com';
-    
-    return null;
+    return this.retailers.resolveSource(sourceField);
   }
 
   // Keep original method for backwards compatibility
@@ -202,170 +390,97 @@ class InsuranceItemPricer {
     }
   }
 
-  async trySerpAPISmartFast(query, min = 0, max = 99999, targetPrice = null, tolerance = 10) {
+  // Run the queries allowed by the mode until the early-exit rule says stop.
+  // Each query tried and the final selection are recorded on `audit`.
+  async searchWithMode(query, min, max, targetPrice, tolerance, mode, policy, audit = { searches: [] }) {
     const sanitized = this.sanitizeQuery(query);
-    
-    // Strategy 1: Start with best query first
-    console.log(`🚀 Smart-fast search for: "${sanitized}"`);
-    
-    let candidates = await this.performSearchSmartFast(sanitized, min, max, targetPrice, tolerance);
-    
-    // SMART-FAST: More flexible price filtering - allow some items outside range
-    if (targetPrice && min > 0 && max < 99999) {
-      const originalCount = candidates.length;
-      const withinRangeCandidates = candidates.filter(c => c.price >= min && c.price <= max);
-      const closeToRangeCandidates = candidates.filter(c => {
-        const tolerance20 = targetPrice * 0.2; // 20% tolerance
-        return c.price >= (targetPrice - tolerance20) && c.price <= (targetPrice + tolerance20);
-      });
-      
-      console.log(`🎯 Price filtering: ${originalCount} total -> ${withinRangeCandidates.length} within range -> ${closeToRangeCandidates.length} within 20%`);
-      
-      // First try: exact range matches
-      if (withinRangeCandidates.length > 0) {
-        const bestMatch = this.selectBestMatchSmartFast(withinRangeCandidates, targetPrice, min, max);
-        if (bestMatch) {
-          console.log(`✅ Found exact range match: $${bestMatch.price}`);
-          return {
-            price: bestMatch.price,
-            source: bestMatch.source,
-            url: bestMatch.url,
-            description: bestMatch.description
-          };
-        }
-      }
-      
-      // Second try: close to range matches (prevents too many "not found")
-      if (closeToRangeCandidates.length > 0) {
-        const bestMatch = this.selectBestMatchSmartFast(closeToRangeCandidates, targetPrice, min, max);
-        if (bestMatch) {
-          console.log(`✅ Found close range match: $${bestMatch.price}`);
-          return {
-            price: bestMatch.price,
-            source: bestMatch.source,
-            url: bestMatch.url,
-            description: bestMatch.description
-          };
-        }
-      }
-    } else {
-      // No price filtering - use existing logic
-      if (candidates.length > 0) {
-        const perfectMatches = candidates.filter(c => c.isInRange && c.isAmazon);
-        const goodMatches = candidates.filter(c => c.isInRange);
-        
-        if (perfectMatches.length > 0 || goodMatches.length > 0) {
-          console.log(`✅ Found good matches on first try!`);
-          const bestMatch = this.selectBestMatchSmartFast(candidates, targetPrice, min, max);
-          
-          if (bestMatch) {
-            return {
-              price: bestMatch.price,
-              source: bestMatch.source,
-              url: bestMatch.url,
-              description: bestMatch.description
-            };
-          }
-        }
-      }
-    }
+    const exitRule = EARLY_EXIT_RULES[mode.earlyExit];
+    const queries = this.buildQueries(sanitized, mode.fallbackDepth);
+    const pooled = [];
 
-    // Strategy 2: Try TWO alternative searches (not just one)
-    console.log(`🔄 Trying alternative searches...`);
-    
-    const alternativeQueries = [
-      sanitized.replace(/\b(new|mail box|postal box|heavy duty|security)\b/gi, '').trim(),
-      sanitized.split(' ').slice(0, 5).join(' '), // Keep 5 words instead of 4
-      sanitized.split(' ').slice(0, 3).join(' ')  // Also try 3 words
-    ];
+    for (const [attempt, searchQuery] of queries.entries()) {
+      console.log(attempt === 0 ? `🚀 Smart-fast search for: "${searchQuery}"` : `🔍 Trying: "${searchQuery}"`);
 
-    for (const altQuery of alternativeQueries) {
-      if (altQuery.length < 5 || altQuery === sanitized) continue;
-      
-      console.log(`🔍 Trying: "${altQuery}"`);
-      
-      let altCandidates = await this.performSearchSmartFast(altQuery, min, max, targetPrice, tolerance);
-      
-      // Apply more flexible price filtering for alternative searches
-      if (targetPrice && min > 0 && max < 99999) {
-        const withinRange = altCandidates.filter(c => c.price >= min && c.price <= max);
-        const closeToRange = altCandidates.filter(c => {
-          const tolerance20 = targetPrice * 0.2;
-          return c.price >= (targetPrice - tolerance20) && c.price <= (targetPrice + tolerance20);
-        });
-        
-        // Try exact range first, then close range
-        const candidatesToUse = withinRange.length > 0 ? withinRange : closeToRange;
-        
-        if (candidatesToUse.length > 0) {
-          const bestMatch = this.selectBestMatchSmartFast(candidatesToUse, targetPrice, min, max);
-          if (bestMatch) {
-            console.log(`✅ Found alternative match: $${bestMatch.price}`);
-            return {
-              price: bestMatch.price,
-              source: bestMatch.source,
-              url: bestMatch.url,
-              description: bestMatch.description
-            };
-          }
-        }
-      } else {
-        candidates.push(...altCandidates.map(c => ({...c, strategy: 'Alternative'})));
+      const search = { query: searchQuery, strategy: attempt === 0 ? 'Original' : 'Alternative' };
+      audit.searches.push(search);
+
+      const candidates = await this.performSearchSmartFast(searchQuery, min, max, targetPrice, tolerance, exitRule, policy, search);
+
+      if (exitRule.poolQueries) {
+        pooled.push(...candidates.map(c => ({ ...c, strategy: search.strategy })));
+        continue;
       }
-      
-      // SMART-FAST: Small delay between alternative searches
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      // Early exit conditions (same as before)
-      if (targetPrice && altCandidates.length > 0) {
-        const withinRangeMatches = altCandidates.filter(c => c.price >= min && c.price <= max);
-        if (withinRangeMatches.length > 0) {
-          console.log(`✅ Found matches within price range, stopping search`);
-          break;
-        }
-      } else {
-        const amazonMatches = altCandidates.filter(c => c.isAmazon && c.isInRange);
-        if (amazonMatches.length > 0) {
-          console.log(`✅ Found Amazon matches, stopping search`);
-          break;
-        }
+
+      const selection = {};
+      const bestMatch = this.selectBestMatch(candidates, targetPrice, min, max, mode.scoring, policy, selection);
+      search.selection = selection;
+      audit.selection = { query: searchQuery, ...selection };
+      if (bestMatch) {
+        console.log(`✅ Found ${attempt === 0 ? 'match' : 'alternative match'}: $${bestMatch.price}`);
+        return this.toResult(bestMatch);
+      }
+
+      if (attempt === 0 && queries.length > 1) {
+        console.log(`🔄 Trying alternative searches...`);
       }
     }
 
-    if (candidates.length === 0) {
-      console.log('🚫 No candidates found.');
+    if (pooled.length === 0) {
+      if (exitRule.poolQueries) console.log('🚫 No candidates found.');
       return null;
     }
 
-    // Final selection - prioritize price range compliance
-    const bestMatch = this.selectBestMatchSmartFast(candidates, targetPrice, min, max);
-    
+    const selection = {};
+    const bestMatch = this.selectBestMatch(pooled, targetPrice, min, max, mode.scoring, policy, selection);
+    audit.selection = { query: 'All queries (pooled)', ...selection };
     if (bestMatch) {
       console.log(`✅ Selected best match: $${bestMatch.price} from ${bestMatch.source}`);
-      return {
-        price: bestMatch.price,
-        source: bestMatch.source,
-        url: bestMatch.url,
-        description: bestMatch.description
-      };
+      return this.toResult(bestMatch);
     }
 
     console.log('❌ No suitable matches found after ranking.');
     return null;
   }
 
-  async performSearchSmartFast(query, min, max, targetPrice, tolerance = 10) {
-    const serpUrl = `https://serpapi.com/search.json?engine=${this.searchEngine}&q=${encodeURIComponent(query)}&api_key=${this.serpApiKey}&num=25&gl=us&hl=en`;
+  toResult(match) {
+    return {
+      price: match.price,
+      listingPrice: match.listingPrice,
+      packSize: match.packSize,
+      unitPrice: match.unitPrice,
+      shipping: match.shipping,
+      source: match.source,
+      url: match.url,
+      description: match.description,
+      relevance: match.relevance,
+      likeKind: match.likeKind ? { matched: match.likeKind.matched, mismatched: match.likeKind.mismatched } : null,
+      query: match.query,
+      shoppingResult: match.shoppingResult,
+      fetchedAt: match.fetchedAt,
+      fromCache: match.fromCache
+    };
+  }
+
+  // Trusted, in-profile offers from one search. When the claim names a pack size, multi-pack
+  // listings are priced per unit: a candidate's `price` is its unit price times the claim's
+  // pack size, so a 6-pack compares fairly against a "set of 4" (`listingPrice` keeps the
+  // advertised price). Without one, `price` is the listing price.
+  // `trace` receives the result count,
+  // the candidates kept and every result dropped with the reason it was dropped.
+  async performSearchSmartFast(query, min, max, targetPrice, tolerance = 10, exitRule = EARLY_EXIT_RULES['first-match'], policy = this.resolvePolicy(this.profiles.getDefault()), trace = {}) {
+    trace.resultCount = 0;
+    trace.candidates = [];
+    trace.rejected = [];
 
     try {
-      // MINOR OPTIMIZATION: Added User-Agent header for better API compatibility
-      const serpResponse = await axios.get(serpUrl, { 
-        timeout: 5000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-      const results = (serpResponse.data.shopping_results || []).slice(0, 25);
+      const { value: results, cached, fetchedAt } = await this.cache.lookup('shopping', PriceCache.key(this.searchProvider.name, query), () =>
+        this.searchProvider.searchShopping(query)
+      );
+      trace.resultCount = results.length;
+      // Whether the search was answered from the cache instead of the API, and when the
+      // provider returned these results (a cache hit can be up to a TTL old)
+      trace.cached = cached;
+      trace.fetchedAt = new Date(fetchedAt).toISOString();
       
       if (!results.length) {
         return [];
@@ -374,53 +489,253 @@ class InsuranceItemPricer {
       console.log(`📦 Found ${results.length} results`);
 
       const candidates = [];
+      let foundPerfectMatch = false;
 
-      for (const r of results) {
+      for (const [position, r] of results.entries()) {
         const price = parseFloat(r.extracted_price || 0);
         const sourceField = r.source || '';
         const trustedDomain = this.isTrustedSourceFast(sourceField);
+        const reject = reason => trace.rejected.push({ title: r.title || '', source: sourceField, price: price || null, reason });
+
+        if (!trustedDomain) {
+          reject('Untrusted retailer');
+          continue;
+        }
+
+        // Profiles can narrow the trusted set further (e.g. big-box retailers only)
+        if (policy.allowed && !policy.allowed.has(trustedDomain)) {
+          reject(`${trustedDomain} not allowed by the ${policy.profileId} profile`);
+          continue;
+        }
+
+        if (!(price > 0)) {
+          reject('No price');
+          continue;
+        }
+
+        // Wrong-item guard: the title has to look like the queried item
+        const relevance = policy.relevance ? this.relevance.score(r.title, policy.relevance) : null;
+        if (relevance && relevance.score < policy.minRelevance) {
+          reject(`Relevance ${relevance.score} below minimum ${policy.minRelevance}` +
+            (relevance.accessoryWord ? ` (looks like an accessory: "${relevance.accessoryWord}")` : ''));
+          continue;
+        }
+
+        const offer = { ...this.attributes.extract(r.title), type: this.productType(r.title || '') };
+        const packSize = offer.count || 1;
+        const unitPrice = +(price / packSize).toFixed(2);
+        const comparablePrice = !policy.claimPackSize || packSize === policy.claimPackSize ? price : +(unitPrice * policy.claimPackSize).toFixed(2);
+
+        const priceScore = this.calculatePriceScore(comparablePrice, targetPrice, tolerance);
+        const isInRange = comparablePrice >= min && comparablePrice <= max;
+        const isPreferred = policy.preferred.has(trustedDomain);
+
+        candidates.push({
+          price: comparablePrice,
+          listingPrice: price,
+          packSize,
+          unitPrice,
+          // Delivery charge for the listing as the result states it (null = not stated)
+          shipping: r.shipping != null ? r.shipping : null,
+          source: trustedDomain,
+          url: this.getDirectUrl(r),
+          description: r.title || '',
+          priceScore,
+          isInRange,
+          isPreferred,
+          weight: this.retailers.getWeight(trustedDomain),
+          relevance: relevance ? relevance.score : null,
+          relevanceDetail: relevance,
+          likeKind: policy.claim ? this.attributes.compare(policy.claim, offer) : null,
+          sourceField,
+          // The search and its result (normalized by SearchProvider.shoppingResult, with the
+          // provider's own object in `raw`), kept as evidence of the match along with when the
+          // provider returned it
+          query,
+          shoppingResult: r,
+          fetchedAt: trace.fetchedAt,
+          fromCache: trace.cached
+        });
 
-        if (trustedDomain && price > 0) {
-          const priceScore = this.calculatePriceScore(price, targetPrice, tolerance);
-          const isInRange = price >= min && price <= max;
-          const isAmazon = trustedDomain === 'amazon.com';
-
-          candidates.push({
-            price,
-            source: trustedDomain,
-            url: this.getDirectUrl(r),
-            description: r.title || '',
-            priceScore,
-            isInRange,
-            isAmazon,
-            sourceField
-          });
-          
-          // MINOR OPTIMIZATION: Process fewer candidates for speed
-          if (candidates.length >= 15) {
-            console.log(`⚡ Processing ${candidates.length} candidates`);
-            break;
+        // PERFORMANCE: Early exit on a preferred retailer within range, after a few more offers
+        let stopReason = null;
+        if (exitRule.perfectMatchLimit) {
+          foundPerfectMatch = foundPerfectMatch || (isPreferred && isInRange);
+          if (foundPerfectMatch && candidates.length >= exitRule.perfectMatchLimit) {
+            stopReason = 'Not read: a preferred retailer was already in range';
           }
         }
+        
+        // MINOR OPTIMIZATION: Process fewer candidates for speed
+        if (!stopReason && candidates.length >= exitRule.candidateLimit) {
+          console.log(`⚡ Processing ${candidates.length} candidates`);
+          stopReason = `Not read: candidate limit of ${exitRule.candidateLimit} reached`;
+        }
+
+        if (stopReason) {
+          for (const skipped of results.slice(position + 1)) {
+            trace.rejected.push({ title: skipped.title || '', source: skipped.source || '', price: parseFloat(skipped.extracted_price) || null, reason: stopReason });
+          }
+          break;
+        }
       }
 
+      trace.candidates = candidates.map(c => this.auditCandidate(c));
       return candidates;
 
     } catch (err) {
+      if (err.code === 'QUOTA_EXCEEDED') throw err;
+
+      trace.error = err.message;
       if (err.code === 'ECONNABORTED') {
         console.log(`⏱️ Timeout (5s): "${query.substring(0, 20)}..."`);
       } else {
-        console.error('❌ SerpAPI error:', err.message);
+        console.error(`❌ ${this.searchProvider.name} search error:`, err.message);
       }
       return [];
     }
   }
 
-  selectBestMatchSmartFast(candidates, targetPrice, min, max) {
+  // `trace` receives the scoring used, the filters applied (with how many offers each
+  // kept), the tier chosen, the reason for the pick and the chosen offer
+  selectBestMatch(candidates, targetPrice, min, max, scoring = 'lowest-in-range', policy = this.resolvePolicy(this.profiles.getDefault()), trace = {}) {
+    Object.assign(trace, { scoring, considered: candidates.length, filters: [], tier: null, reason: null, chosen: null });
+
+    // lkq runs the lowest-in-range selector; findBestPrice sets policy.likeKind for it
+    const bestMatch = scoring === 'priority'
+      ? this.selectBestMatchByPriority(candidates, targetPrice, policy, trace)
+      : this.selectBestMatchSmartFast(candidates, targetPrice, min, max, policy, trace);
+
+    if (bestMatch) trace.chosen = this.auditCandidate(bestMatch);
+    return bestMatch;
+  }
+
+  // Compact copy of a candidate for audit records
+  auditCandidate(candidate) {
+    const entry = {
+      price: candidate.price,
+      listingPrice: candidate.listingPrice,
+      packSize: candidate.packSize,
+      unitPrice: candidate.unitPrice,
+      shipping: candidate.shipping,
+      source: candidate.source,
+      sourceField: candidate.sourceField,
+      title: candidate.description,
+      url: candidate.url,
+      inRange: candidate.isInRange,
+      preferred: candidate.isPreferred,
+      weight: candidate.weight,
+      relevance: candidate.relevanceDetail,
+      likeKind: candidate.likeKind
+    };
+    if (candidate.strategy) entry.strategy = candidate.strategy;
+    if (candidate.priority !== undefined) entry.priority = +candidate.priority.toFixed(1);
+    return entry;
+  }
+
+  // Order two offers by the profile's tie-break rule: cheapest first, or closest to the
+  // target price first. Offers within $1 of each other go to the preferred retailer,
+  // then to the retailer with the higher weight. In LKQ mode, offers with fewer
+  // material, brand-tier or pack-count conflicts come first regardless of price.
+  compareOffers(a, b, targetPrice, policy) {
+    if (policy.likeKind && a.likeKind && b.likeKind && a.likeKind.softConflicts !== b.likeKind.softConflicts) {
+      return a.likeKind.softConflicts - b.likeKind.softConflicts;
+    }
+
+    const nearest = policy.tieBreak === 'nearest-target' && targetPrice;
+    const keyA = nearest ? Math.abs(a.price - targetPrice) : a.price;
+    const keyB = nearest ? Math.abs(b.price - targetPrice) : b.price;
+
+    if (Math.abs(keyA - keyB) < 1) {
+      if (a.isPreferred !== b.isPreferred) return a.isPreferred ? -1 : 1;
+      if (a.weight !== b.weight) return b.weight - a.weight;
+    }
+    return keyA - keyB;
+  }
+
+  // Drop offers far less relevant than the best one, so price only decides between
+  // offers that match the item about equally well
+  mostRelevant(candidates, trace = { filters: [] }) {
+    const scored = candidates.filter(c => c.relevance != null);
+    if (scored.length < 2) return candidates;
+
+    const floor = Math.max(...scored.map(c => c.relevance)) - RELEVANCE_BAND;
+    const kept = candidates.filter(c => c.relevance == null || c.relevance >= floor);
+    trace.filters.push({ name: `Relevance within ${RELEVANCE_BAND} points of the best match (${floor + RELEVANCE_BAND})`, kept: kept.length });
+    return kept;
+  }
+
+  // Why the first of `ranked` won: the profile's tie-break rule, or retailer
+  // preference when the runner-up was within $1 (see compareOffers)
+  describePick(ranked, targetPrice, policy, pool) {
+    const [best, runnerUp] = ranked;
+    const nearest = policy.tieBreak === 'nearest-target' && targetPrice;
+    let reason = `${nearest ? 'Nearest to the target price' : 'Lowest price'} of ${ranked.length} offer${ranked.length === 1 ? '' : 's'} ${pool}`;
+    if (policy.likeKind && ranked.some(c => c.likeKind && c.likeKind.softConflicts)) {
+      reason = `Fewest material/brand-tier/pack-count conflicts (${best.likeKind.softConflicts}), then ${reason.charAt(0).toLowerCase()}${reason.slice(1)}`;
+    }
+
+    if (runnerUp) {
+      const key = offer => nearest ? Math.abs(offer.price - targetPrice) : offer.price;
+      const tieWin = (best.isPreferred && !runnerUp.isPreferred) || (best.isPreferred === runnerUp.isPreferred && best.weight > runnerUp.weight);
+      if (tieWin && Math.abs(key(best) - key(runnerUp)) < 1 && key(best) > key(runnerUp)) {
+        reason += `; beat ${runnerUp.source} ($${runnerUp.price}) on a near-tie by ${best.isPreferred !== runnerUp.isPreferred ? 'preferred retailer' : 'retailer weight'}`;
+      }
+    }
+    return reason;
+  }
+
+  // PERFORMANCE: Rank by priority (higher = better) then by price (lower = better).
+  // Unlike lowest-in-range this can return an offer outside the tolerance band,
+  // unless the profile sets a close-match band.
+  selectBestMatchByPriority(candidates, targetPrice, policy, trace = { filters: [] }) {
+    const hasTargetPrice = !!targetPrice;
+    if (hasTargetPrice && policy.closeMatchPercent != null) {
+      const closeBand = targetPrice * (policy.closeMatchPercent / 100);
+      candidates = candidates.filter(c => c.isInRange || Math.abs(c.price - targetPrice) <= closeBand);
+      trace.filters.push({ name: `In range or within ${policy.closeMatchPercent}% of the target (${policy.profileId} profile)`, kept: candidates.length });
+    }
+
+    if (candidates.length === 0) {
+      trace.reason = 'No trusted offers to rank';
+      return null;
+    }
+
+    const ranked = candidates
+      .map(c => ({ ...c, priority: this.calculatePriority(c.price, c.isInRange, c.weight, hasTargetPrice, c.relevance) }))
+      .sort((a, b) => {
+        if (a.priority !== b.priority) return b.priority - a.priority;
+        return this.compareOffers(a, b, targetPrice, policy); // Profile tie-break for same priority
+      });
+
+    console.log(`🏆 Priority match: $${ranked[0].price} from ${ranked[0].source} (priority ${ranked[0].priority.toFixed(1)})`);
+    trace.tier = ranked[0].isInRange || !hasTargetPrice ? 'Priority (In Range)' : 'Priority (Outside Range)';
+    trace.reason = `Highest priority score (${ranked[0].priority.toFixed(1)}) of ${ranked.length} offers: ` +
+      `range match +${ranked[0].isInRange || !hasTargetPrice ? 100 : 0}, retailer weight ${ranked[0].weight} +${ranked[0].weight * 5}, ` +
+      `low price +${Math.max(0, 50 - ranked[0].price / 10).toFixed(1)}` +
+      (ranked[0].relevance != null ? `, relevance ${ranked[0].relevance} +${(ranked[0].relevance / 2).toFixed(1)}` : '');
+    return ranked[0];
+  }
+
+  // PERFORMANCE: Fast priority calculation (higher = better)
+  calculatePriority(price, withinRange, weight, hasTargetPrice, relevance = null) {
+    let priority = 0;
+    
+    if (withinRange || !hasTargetPrice) priority += 100; // High priority for range match
+    priority += weight * 5; // Retailer preference: weight 10 adds 50
+    if (relevance != null) priority += relevance / 2; // Title match: a perfect match adds 50
+    
+    // Slight preference for lower prices (inverted)
+    priority += Math.max(0, 50 - (price / 10));
+    
+    return priority;
+  }
+
+  selectBestMatchSmartFast(candidates, targetPrice, min, max, policy = this.resolvePolicy(this.profiles.getDefault()), trace = { filters: [] }) {
     console.log(`📊 Smart-fast ranking ${candidates.length} candidates`);
     
     // Quick deduplication
-    const uniqueCandidates = [];
+    let uniqueCandidates = [];
     const seen = new Set();
     
     for (const candidate of candidates) {
@@ -431,78 +746,100 @@ class InsuranceItemPricer {
       }
     }
 
-    if (uniqueCandidates.length === 0) return null;
+    trace.filters.push({ name: 'Duplicate offers removed', kept: uniqueCandidates.length });
+
+    // LKQ: an offer whose type, size, capacity or wattage contradicts the claim is a different item
+    if (policy.likeKind) {
+      uniqueCandidates = uniqueCandidates.filter(c => !c.likeKind || c.likeKind.hardConflicts === 0);
+      trace.filters.push({ name: 'Like kind: no type, size, capacity or wattage conflicts', kept: uniqueCandidates.length });
+    }
+
+    if (uniqueCandidates.length === 0) {
+      trace.reason = 'No trusted offers to rank';
+      return null;
+    }
 
     // SMART-FAST: More flexible selection logic
     if (targetPrice) {
       // First priority: items within the target price range
       const withinRangeMatches = uniqueCandidates.filter(c => c.price >= min && c.price <= max);
+      trace.filters.push({ name: `Within range $${min.toFixed(2)} - $${max.toFixed(2)}`, kept: withinRangeMatches.length });
       
       if (withinRangeMatches.length > 0) {
         console.log(`🎯 Found ${withinRangeMatches.length} matches within price range`);
         
-        // Sort by lowest price first, then prefer Amazon
-        withinRangeMatches.sort((a, b) => {
-          if (Math.abs(a.price - b.price) < 1) {
-            // Prices are very close, prefer Amazon
-            if (a.isAmazon && !b.isAmazon) return -1;
-            if (!a.isAmazon && b.isAmazon) return 1;
-          }
-          return a.price - b.price; // Lower price wins
-        });
+        // Keep the best title matches, then sort by the profile's tie-break rule (lowest price or nearest to target)
+        const relevantMatches = this.mostRelevant(withinRangeMatches, trace);
+        relevantMatches.sort((a, b) => this.compareOffers(a, b, targetPrice, policy));
         
-        const bestMatch = withinRangeMatches[0];
+        const bestMatch = relevantMatches[0];
         console.log(`🏆 Best match: $${bestMatch.price} from ${bestMatch.source} (Within Range)`);
+        trace.tier = 'Within Range';
+        trace.reason = this.describePick(relevantMatches, targetPrice, policy, 'within range');
         return bestMatch;
-      } else {
-        // SMART-FAST: If no exact matches, try close matches (within 20%)
-        const tolerance20 = targetPrice * 0.2;
+      } else if (policy.closeMatchPercent !== 0) {
+        // SMART-FAST: If no exact matches, try close matches (within the profile's band, 20% by default)
+        const closeBand = targetPrice * ((policy.closeMatchPercent ?? 20) / 100);
         const closeMatches = uniqueCandidates.filter(c => 
-          c.price >= (targetPrice - tolerance20) && c.price <= (targetPrice + tolerance20)
+          c.price >= (targetPrice - closeBand) && c.price <= (targetPrice + closeBand)
         );
+        trace.filters.push({ name: `Close match within ${policy.closeMatchPercent ?? 20}% of the target`, kept: closeMatches.length });
         
         if (closeMatches.length > 0) {
-          closeMatches.sort((a, b) => a.price - b.price);
-          const bestMatch = closeMatches[0];
+          const relevantMatches = this.mostRelevant(closeMatches, trace);
+          relevantMatches.sort((a, b) => this.compareOffers(a, b, targetPrice, policy));
+          const bestMatch = relevantMatches[0];
           console.log(`🏆 Best close match: $${bestMatch.price} from ${bestMatch.source} (Close to Range)`);
+          trace.tier = 'Close to Range';
+          trace.reason = this.describePick(relevantMatches, targetPrice, policy, 'close to range (nothing was within range)');
           return bestMatch;
         }
         
         console.log(`❌ No matches found within expanded price range`);
+        trace.reason = `No offers within range or within ${policy.closeMatchPercent ?? 20}% of the target`;
+        return null;
+      } else {
+        console.log(`❌ No matches within range and the ${policy.profileId} profile allows no close matches`);
+        trace.reason = `No offers within range and the ${policy.profileId} profile allows no close matches`;
         return null;
       }
     }
 
     // Original logic for when no target price is set
-    const perfectMatches = uniqueCandidates.filter(c => c.isInRange && c.isAmazon);
+    const perfectMatches = uniqueCandidates.filter(c => c.isInRange && c.isPreferred);
     const inRangeMatches = uniqueCandidates.filter(c => c.isInRange);
-    const amazonMatches = uniqueCandidates.filter(c => c.isAmazon);
+    const preferredMatches = uniqueCandidates.filter(c => c.isPreferred);
 
     let selectedTier = [];
     let tierName = '';
     
     if (perfectMatches.length > 0) {
       selectedTier = perfectMatches;
-      tierName = 'Amazon + In Range';
+      tierName = 'Preferred + In Range';
     } else if (inRangeMatches.length > 0) {
       selectedTier = inRangeMatches;
       tierName = 'In Range';
-    } else if (amazonMatches.length > 0) {
-      selectedTier = amazonMatches;
-      tierName = 'Amazon (Outside Range)';
+    } else if (preferredMatches.length > 0) {
+      selectedTier = preferredMatches;
+      tierName = 'Preferred (Outside Range)';
     } else {
       selectedTier = uniqueCandidates;
       tierName = 'Any Trusted';
     }
 
-    // Sort by lowest price first
-    selectedTier.sort((a, b) => a.price - b.price);
+    // Keep the best title matches, then sort by lowest price first
+    selectedTier = this.mostRelevant(selectedTier, trace);
+    selectedTier.sort((a, b) => (policy.likeKind ? this.compareOffers(a, b, null, policy) : a.price - b.price));
 
     const bestMatch = selectedTier[0];
     console.log(`🎯 Best match: $${bestMatch.price} from ${bestMatch.source} (${tierName})`);
+    trace.tier = tierName;
+    trace.reason = `No target price; lowest price of ${selectedTier.length} offer${selectedTier.length === 1 ? '' : 's'} in the best available tier`;
 
     return bestMatch;
   }
 }
 
-module.exports = InsuranceItemPricer;
\ No newline at end of file
+InsuranceItemPricer.PRICING_MODES = PRICING_MODES;
+
+module.exports = InsuranceItemPricer;
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const HelperUtils = require('../utils/helpers');
+
+const DEFAULT_JOBS_DIR = path.join(__dirname, '..', 'data', 'jobs');
+
+// Persistent background job queue.
+// Each job is stored as three files in the jobs directory:
+//   <id>.json          - job metadata (status, options, summary)
+//   <id>.rows.json     - the parsed input rows (written once)
+//   <id>.results.jsonl - one line per finished row, appended as rows complete
+// plus <id>.upload, the uploaded file as received, for jobs created with `upload`.
+// Rows are priced by a bounded pool of workers. Because finished rows are appended
+// as they happen, a restarted server picks up an interrupted job with only the
+// unfinished rows instead of starting over.
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.jobsDir = options.jobsDir || process.env.JOBS_DIR || DEFAULT_JOBS_DIR;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = false;
+    // Rows of a job priced at once; output order is kept regardless
+    this.concurrency = options.concurrency || parseInt(process.env.PRICING_CONCURRENCY) || 4;
+
+    // Every open progress stream adds listeners
+    this.setMaxListeners(0);
+
+    fs.mkdirSync(this.jobsDir, { recursive: true });
+  }
+
+  // handler = { processRow(row, index, job), summarize(job) }
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  createJob(type, { fileName, rows, options = {}, meta = {}, upload = null }) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      fileName: fileName || null,
+      options,
+      meta,
+      totalRows: rows.length,
+      processedRows: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      summary: null,
+      error: null,
+      hasUpload: !!upload,
+      rows,
+      results: new Array(rows.length).fill(null)
+    };
+
+    fs.writeFileSync(this.filePath(job.id, 'rows.json'), JSON.stringify(rows));
+    if (upload) fs.writeFileSync(this.filePath(job.id, 'upload'), upload);
+    this.saveMeta(job);
+    this.jobs.set(job.id, job);
+    this.enqueue(job.id);
+
+    return job;
+  }
+
+  getJob(id) {
+    if (this.jobs.has(id)) return this.jobs.get(id);
+    if (!/^[\w-]+$/.test(id) || !fs.existsSync(this.filePath(id, 'json'))) return null;
+
+    const job = this.loadJob(id);
+    this.jobs.set(id, job);
+    return job;
+  }
+
+  // Re-queue jobs that were queued or mid-run when the server stopped
+  resumePending() {
+    const files = fs.readdirSync(this.jobsDir).filter(file => /^[\w-]+\.json$/.test(file));
+    let resumed = 0;
+
+    for (const file of files) {
+      const id = file.replace(/\.json$/, '');
+      try {
+        const meta = JSON.parse(fs.readFileSync(this.filePath(id, 'json'), 'utf-8'));
+        if (meta.status !== 'queued' && meta.status !== 'running') continue;
+        if (!this.handlers.has(meta.type)) continue;
+
+        const job = this.getJob(id);
+        job.status = 'queued';
+        this.saveMeta(job);
+        this.enqueue(id);
+        resumed++;
+        console.log(`♻️ Resuming job ${id} at row ${job.processedRows}/${job.totalRows}`);
+      } catch (error) {
+        console.error(`❌ Failed to resume job ${id}:`, error.message);
+      }
+    }
+
+    return resumed;
+  }
+
+  enqueue(id) {
+    this.pending.push(id);
+    // Defer so callers can respond before the first row starts
+    setImmediate(() => this.runNext());
+  }
+
+  async runNext() {
+    if (this.running) return;
+    const id = this.pending.shift();
+    if (!id) return;
+
+    this.running = true;
+    try {
+      await this.runJob(this.getJob(id));
+    } finally {
+      this.running = false;
+      this.runNext();
+    }
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.runStartedAt = Date.now();
+    job.rowsThisRun = 0;
+    this.saveMeta(job);
+    this.emit('started', job);
+
+    try {
+      const remaining = [];
+      for (let index = 0; index < job.rows.length; index++) {
+        if (!job.results[index]) remaining.push(index);
+      }
+
+      await HelperUtils.mapWithConcurrency(remaining, this.concurrency, async (index) => {
+        const entry = await handler.processRow(job.rows[index], index, job);
+        this.recordResult(job, index, entry);
+      });
+
+      job.summary = handler.summarize(job);
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      this.saveMeta(job);
+      this.emit('completed', job);
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.completedAt = new Date().toISOString();
+      this.saveMeta(job);
+      this.emit('failed', job);
+    }
+  }
+
+  recordResult(job, index, entry) {
+    job.results[index] = entry;
+    job.processedRows++;
+    job.rowsThisRun++;
+
+    fs.appendFileSync(this.filePath(job.id, 'results.jsonl'), JSON.stringify({ index, ...entry }) + '\n');
+    this.saveMeta(job);
+    this.emit('row', job, index, entry);
+  }
+
+  // The uploaded file of a job created with `upload`, or null
+  getUpload(job) {
+    const uploadPath = this.filePath(job.id, 'upload');
+    return job.hasUpload && fs.existsSync(uploadPath) ? fs.readFileSync(uploadPath) : null;
+  }
+
+  // Output rows in original file order; rows with no output (empty rows) are dropped
+  getOutputRows(job) {
+    return job.results.filter(entry => entry && entry.row).map(entry => entry.row);
+  }
+
+  // Rows done out of the job's total; cheap enough to send with every row event
+  getProgress(job) {
+    return {
+      processed: job.processedRows,
+      total: job.totalRows,
+      percent: job.totalRows > 0 ? Math.round((job.processedRows / job.totalRows) * 100) : 100
+    };
+  }
+
+  getStatus(job, { since = 0 } = {}) {
+    let etaSeconds = null;
+    if (job.status === 'running' && job.rowsThisRun > 0) {
+      const perRow = (Date.now() - job.runStartedAt) / job.rowsThisRun;
+      etaSeconds = Math.round(((job.totalRows - job.processedRows) * perRow) / 1000);
+    } else if (job.status === 'completed') {
+      etaSeconds = 0;
+    }
+
+    // Partial results: output rows for every finished row from `since` onward
+    const partialResults = [];
+    for (let index = since; index < job.results.length; index++) {
+      const entry = job.results[index];
+      if (entry && entry.row) partialResults.push({ index, ...entry.row });
+    }
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      fileName: job.fileName,
+      hasUpload: !!job.hasUpload,
+      options: job.options,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      progress: this.getProgress(job),
+      etaSeconds,
+      summary: job.summary,
+      error: job.error,
+      results: partialResults
+    };
+  }
+
+  loadJob(id) {
+    const meta = JSON.parse(fs.readFileSync(this.filePath(id, 'json'), 'utf-8'));
+    const rows = JSON.parse(fs.readFileSync(this.filePath(id, 'rows.json'), 'utf-8'));
+    const results = new Array(rows.length).fill(null);
+
+    const resultsPath = this.filePath(id, 'results.jsonl');
+    if (fs.existsSync(resultsPath)) {
+      const content = fs.readFileSync(resultsPath, 'utf-8');
+      // Terminate a torn last line so the next append starts on a fresh line
+      if (content && !content.endsWith('\n')) fs.appendFileSync(resultsPath, '\n');
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const { index, ...entry } = JSON.parse(line);
+          results[index] = entry;
+        } catch (error) {
+          // A partially written last line from a crash - that row simply runs again
+        }
+      }
+    }
+
+    return {
+      ...meta,
+      rows,
+      results,
+      processedRows: results.filter(Boolean).length
+    };
+  }
+
+  saveMeta(job) {
+    job.updatedAt = new Date().toISOString();
+    const { rows, results, runStartedAt, rowsThisRun, ...meta } = job;
+    const target = this.filePath(job.id, 'json');
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(meta, null, 2));
+    fs.renameSync(tmp, target);
+  }
+
+  filePath(id, extension) {
+    return path.join(this.jobsDir, `${id}.${extension}`);
+  }
+}
+
+module.exports = JobQueue;
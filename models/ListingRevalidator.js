@@ -0,0 +1,218 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const PriceCache = require('../utils/priceCache');
+const RelevanceScorer = require('../utils/relevanceScorer');
+const { getSearchProvider } = require('../providers');
+const RetailerRegistry = require('./RetailerRegistry');
+const ProductValidator = require('./ProductValidator');
+
+// A stored price that moved by more than this share is reported as drift
+const DEFAULT_DRIFT_PERCENT = 10;
+
+// A search result from the stored listing's retailer is taken as the same listing
+// when its title scores at least this against the stored title
+const TITLE_MATCH_SCORE = 80;
+
+const OUT_OF_STOCK_PATTERN = /out of stock|currently unavailable|sold out|no longer available|temporarily unavailable/i;
+
+// Re-checks a listing priced by an earlier run without a full re-search:
+//   1. one shopping search for the stored title (cached like every pricer search), looking
+//      for the stored URL or, failing that, the same retailer with a near-identical title
+//   2. when search no longer shows it and page checks are on, a fetch of the stored URL
+// recheck() returns a status:
+//   unchanged, price_up, price_down - listing found; drift compared with the threshold
+//   out_of_stock                    - page says the item can't be bought
+//   dead                            - page is gone (404 / 410)
+//   unreachable                     - page could not be fetched (blocked, timeout, 5xx)
+//   no_price                        - page is up but no price could be read from it
+//   not_found                       - search no longer shows it and the page was not checked
+class ListingRevalidator {
+  constructor(options = {}) {
+    this.searchProvider = options.searchProvider || getSearchProvider('shopping');
+    this.retailers = options.retailers || RetailerRegistry.shared();
+    this.relevance = options.relevance || RelevanceScorer.shared();
+    this.cache = options.cache || PriceCache.shared();
+    this.productValidator = options.productValidator || new ProductValidator({ cache: this.cache, retailers: this.retailers });
+  }
+
+  static shared() {
+    if (!ListingRevalidator.instance) {
+      ListingRevalidator.instance = new ListingRevalidator();
+    }
+    return ListingRevalidator.instance;
+  }
+
+  static validateDrift(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_DRIFT_PERCENT;
+    const number = Number(value);
+    if (isNaN(number) || number < 0 || number > 1000) {
+      const error = new Error('driftPercent must be a percentage between 0 and 1000');
+      error.code = 'INVALID_DRIFT';
+      throw error;
+    }
+    return number;
+  }
+
+  // Host and path without "www." or a trailing slash; query strings are tracking noise
+  static normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch {
+      return null;
+    }
+  }
+
+  static driftPercent(storedPrice, currentPrice) {
+    return +(((currentPrice - storedPrice) / storedPrice) * 100).toFixed(1);
+  }
+
+  static driftStatus(drift, threshold) {
+    if (Math.abs(drift) <= threshold) return 'unchanged';
+    return drift > 0 ? 'price_up' : 'price_down';
+  }
+
+  // listing: { title, url, source, price } as stored in the priced file
+  // options: { driftPercent, checkPages }
+  async recheck(listing, options = {}) {
+    const threshold = ListingRevalidator.validateDrift(options.driftPercent);
+    const checkPages = options.checkPages !== false;
+    const result = {
+      status: 'not_found',
+      storedPrice: listing.price,
+      currentPrice: null,
+      driftPercent: null,
+      checkedVia: null,
+      matchedBy: null,
+      currentTitle: null,
+      httpStatus: null,
+      checkedAt: new Date().toISOString(),
+      // When currentPrice was fetched; earlier than checkedAt when the search came from the cache
+      fetchedAt: null,
+      search: null,
+      page: null
+    };
+
+    if (listing.title) {
+      const match = await this.findInSearch(listing);
+      result.search = match.trace;
+      if (match.offer) {
+        result.checkedVia = 'search';
+        result.matchedBy = match.matchedBy;
+        result.currentTitle = match.offer.title;
+        result.fetchedAt = match.trace.fetchedAt;
+        return this.withPrice(result, match.offer.extracted_price, threshold);
+      }
+    }
+
+    if (!checkPages || !listing.url || !/^https?:\/\//i.test(listing.url)) {
+      return result;
+    }
+
+    const page = await this.checkPage(listing.url);
+    result.page = page;
+    result.fetchedAt = new Date().toISOString();
+    result.checkedVia = 'page';
+    result.httpStatus = page.httpStatus;
+    result.currentTitle = page.title || null;
+
+    if (page.state !== 'live') {
+      result.status = page.state;
+      return result;
+    }
+    if (!(page.price > 0)) {
+      result.status = 'no_price';
+      return result;
+    }
+    return this.withPrice(result, page.price, threshold);
+  }
+
+  withPrice(result, price, threshold) {
+    result.currentPrice = price;
+    if (!(price > 0) || !(result.storedPrice > 0)) {
+      result.status = 'no_price';
+      return result;
+    }
+    result.driftPercent = ListingRevalidator.driftPercent(result.storedPrice, price);
+    result.status = ListingRevalidator.driftStatus(result.driftPercent, threshold);
+    return result;
+  }
+
+  // The stored listing among the search results for its title: same URL first, then the
+  // same retailer with the closest title. Returns { offer, matchedBy, trace }.
+  async findInSearch(listing) {
+    const query = listing.title;
+    const { value: results, cached, fetchedAt } = await this.cache.lookup('shopping', PriceCache.key(this.searchProvider.name, query), () =>
+      this.searchProvider.searchShopping(query)
+    );
+    const trace = { query, resultCount: results.length, cached, fetchedAt: new Date(fetchedAt).toISOString() };
+
+    const storedUrl = ListingRevalidator.normalizeUrl(listing.url);
+    if (storedUrl) {
+      const byUrl = results.find(r => [r.link, r.product_link].some(link => link && ListingRevalidator.normalizeUrl(link) === storedUrl));
+      if (byUrl) return { offer: byUrl, matchedBy: 'url', trace };
+    }
+
+    const storedRetailer = this.retailers.resolveSource(listing.source) || RetailerRegistry.normalizeDomain(listing.source || listing.url || '');
+    const target = this.relevance.prepare(listing.title);
+    let best = null;
+    let bestScore = 0;
+    for (const r of results) {
+      if (!(r.extracted_price > 0) || this.retailers.resolveSource(r.source) !== storedRetailer) continue;
+      const { score } = this.relevance.score(r.title, target);
+      if (score >= TITLE_MATCH_SCORE && score > bestScore) {
+        best = r;
+        bestScore = score;
+      }
+    }
+    trace.bestTitleScore = best ? bestScore : null;
+    return best ? { offer: best, matchedBy: 'title', trace } : { offer: null, matchedBy: null, trace };
+  }
+
+  // Fetch a product page. Returns { state: 'live' | 'dead' | 'out_of_stock' | 'unreachable', httpStatus, price, title, error }
+  async checkPage(url) {
+    let response;
+    try {
+      response = await axios.get(url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        },
+        timeout: 15000,
+        maxRedirects: 5
+      });
+    } catch (error) {
+      const httpStatus = error.response ? error.response.status : null;
+      return {
+        state: httpStatus === 404 || httpStatus === 410 ? 'dead' : 'unreachable',
+        httpStatus,
+        price: null,
+        title: null,
+        error: error.message
+      };
+    }
+
+    const $ = cheerio.load(response.data);
+    const domain = this.productValidator.extractDomain(url);
+    const parsed = this.productValidator.parseByRetailer($, domain, { link: url });
+    const title = parsed.description && parsed.description !== 'Unknown' ? parsed.description : null;
+
+    const schemaOutOfStock = $('[itemprop="availability"]').toArray()
+      .some(element => /OutOfStock|Discontinued|SoldOut/i.test($(element).attr('href') || $(element).attr('content') || ''));
+    const ldOutOfStock = /"availability"\s*:\s*"[^"]*(OutOfStock|Discontinued|SoldOut)"/i.test($('script[type="application/ld+json"]').text());
+    const textOutOfStock = OUT_OF_STOCK_PATTERN.test($('#availability, [data-test*="availability"], [class*="availability"], [class*="stock"]').text());
+
+    return {
+      state: schemaOutOfStock || ldOutOfStock || textOutOfStock ? 'out_of_stock' : 'live',
+      httpStatus: response.status,
+      price: this.productValidator.extractNumericPrice(parsed.price) || null,
+      title,
+      error: null
+    };
+  }
+}
+
+ListingRevalidator.DEFAULT_DRIFT_PERCENT = DEFAULT_DRIFT_PERCENT;
+ListingRevalidator.TITLE_MATCH_SCORE = TITLE_MATCH_SCORE;
+
+module.exports = ListingRevalidator;
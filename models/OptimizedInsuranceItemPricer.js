@@ -1,222 +0,0 @@
-// Copy this entire content into: models/OptimizedInsuranceItemPricer.js
-
-const axios = require('axios');
-
-// OPTIMIZED VERSION: 3x faster performance for large datasets
-class OptimizedInsuranceItemPricer {
-  constructor() {
-    this.serpApiKey = process.env.SERPAPI_KEY;
-    this.searchEngine = 'google_shopping';
-    
-    // PERFORMANCE: Pre-compiled mappings for instant lookups
-    this.trustedSourceMap = new Map([
-      ['Amazon', 'amazon.com'], ['amazon.com', 'amazon.com'], ['Amazon.com', 'amazon.com'],
-      ['Amazon.com - Seller', 'amazon.com'],
-      ['Walmart', 'walmart.com'], ['walmart.com', 'walmart.com'], ['Walmart - RRX', 'walmart.com'],
-      ['Target', 'target.com'], ['target.com', 'target.com'],
-      ['Home Depot', 'homedepot.com'], ['The Home Depot', 'homedepot.com'], ['homedepot.com', 'homedepot.com'],
-      ['Lowe\'s', 'lowes.com'], ['lowes.com', 'lowes.com'], ['Lowes', 'lowes.com'],
-      ['Best Buy', 'bestbuy.com'], ['bestbuy.com', 'bestbuy.com'], ['BestBuy', 'bestbuy.com'],
-      ['Wayfair', 'wayfair.com'], ['wayfair.com', 'wayfair.com'],
-      ['Costco', 'costco.com'], ['costco.com', 'costco.com'],
-      ['Overstock', 'overstock.com'], ['overstock.com', 'overstock.com']
-    ]);
-    
-    if (!this.serpApiKey) {
-      throw new Error('SERPAPI_KEY environment variable is required');
-    }
-  }
-
-  // MAIN METHOD: Optimized for speed with single API call strategy
-  async findBestPrice(query, targetPrice = null, tolerance = 10) {
-    const startTime = Date.now();
-    
-    try {
-      // PERFORMANCE: Pre-calculate price range once
-      let minPrice = 0;
-      let maxPrice = 99999;
-      let hasTargetPrice = false;
-      
-      if (targetPrice && !isNaN(targetPrice) && targetPrice > 0) {
-        const toleranceDecimal = tolerance / 100;
-        minPrice = Math.max(0, targetPrice * (1 - toleranceDecimal));
-        maxPrice = targetPrice * (1 + toleranceDecimal);
-        hasTargetPrice = true;
-      }
-
-      // PERFORMANCE: Single optimized search with early termination
-      const result = await this.performOptimizedSearch(query, minPrice, maxPrice, hasTargetPrice);
-      
-      if (result) {
-        const elapsed = Date.now() - startTime;
-        if (elapsed > 3000) {
-          console.log(`✅ Found: $${result.price} from ${result.source} (${elapsed}ms)`);
-        }
-        
-        return {
-          found: true,
-          price: result.price,
-          source: result.source,
-          url: result.url,
-          category: 'HSW',
-          subcategory: this.getSubCategory(result.description),
-          description: result.description
-        };
-      } else {
-        return { found: false, message: 'No suitable matches found' };
-      }
-      
-    } catch (error) {
-      console.error('❌ Optimized search error:', error.message);
-      return { found: false, error: error.message };
-    }
-  }
-
-  // OPTIMIZED: Single API call with smart candidate selection
-  async performOptimizedSearch(query, minPrice, maxPrice, hasTargetPrice) {
-    const sanitized = this.sanitizeQuery(query);
-    
-    // PERFORMANCE: Aggressive timeout - fail fast approach
-    const serpUrl = `https://serpapi.com/search.json?engine=${this.searchEngine}&q=${encodeURIComponent(sanitized)}&api_key=${this.serpApiKey}&num=25&gl=us&hl=en`;
-
-    try {
-      const response = await axios.get(serpUrl, { 
-        timeout: 5000, // Aggressive 5-second timeout
-        headers: { 'Accept-Encoding': 'gzip, deflate' }
-      });
-      
-      const results = (response.data.shopping_results || []).slice(0, 25);
-      if (!results.length) return null;
-
-      // PERFORMANCE: Process candidates with early exit strategy
-      return this.selectBestCandidateOptimized(results, minPrice, maxPrice, hasTargetPrice);
-      
-    } catch (err) {
-      if (err.code === 'ECONNABORTED') {
-        console.log(`⏱️ Timeout (5s): "${sanitized.substring(0, 20)}..."`);
-      }
-      return null;
-    }
-  }
-
-  // OPTIMIZED: Fast candidate selection with priority scoring
-  selectBestCandidateOptimized(results, minPrice, maxPrice, hasTargetPrice) {
-    const candidates = [];
-    let foundPerfectMatch = false;
-    
-    for (const result of results) {
-      const price = parseFloat(result.extracted_price || 0);
-      if (price <= 0) continue;
-      
-      const trustedDomain = this.getTrustedSourceFast(result.source);
-      if (!trustedDomain) continue;
-      
-      const withinRange = !hasTargetPrice || (price >= minPrice && price <= maxPrice);
-      const isAmazon = trustedDomain === 'amazon.com';
-      
-      candidates.push({
-        price,
-        source: trustedDomain,
-        url: this.getDirectUrl(result),
-        description: result.title || '',
-        withinRange,
-        isAmazon,
-        priority: this.calculatePriority(price, withinRange, isAmazon, hasTargetPrice)
-      });
-      
-      // PERFORMANCE: Early exit on perfect Amazon match within range
-      if (isAmazon && withinRange && !foundPerfectMatch) {
-        foundPerfectMatch = true;
-        // Continue processing a few more to find lowest price, but break early
-        if (candidates.length >= 8) break;
-      }
-      
-      // PERFORMANCE: Limit candidate processing
-      if (candidates.length >= 15) break;
-    }
-
-    if (candidates.length === 0) return null;
-
-    // PERFORMANCE: Sort by priority (higher = better) then by price (lower = better)
-    candidates.sort((a, b) => {
-      if (a.priority !== b.priority) return b.priority - a.priority;
-      return a.price - b.price; // Lower price wins for same priority
-    });
-
-    return candidates[0];
-  }
-
-  // PERFORMANCE: Fast priority calculation (higher = better)
-  calculatePriority(price, withinRange, isAmazon, hasTargetPrice) {
-    let priority = 0;
-    
-    if (withinRange || !hasTargetPrice) priority += 100; // High priority for range match
-    if (isAmazon) priority += 50; // Medium priority for Amazon
-    
-    // Slight preference for lower prices (inverted)
-    priority += Math.max(0, 50 - (price / 10));
-    
-    return priority;
-  }
-
-  // PERFORMANCE: Ultra-fast trusted source lookup
-  getTrustedSourceFast(sourceField) {
-    if (!sourceField) return null;
-    
-    // Direct lookup first (fastest)
-    const direct = this.trustedSourceMap.get(sourceField);
-    if (direct) return direct;
-    
-    // Fallback: lowercase contains check
-    const sourceLower = sourceField.toLowerCase();
-    if (sourceLower.includes('amazon')) return 'amazon.com';
-    if (sourceLower.includes('walmart')) return 'walmart.com';
-    if (sourceLower.includes('target')) return 'target.com';
-    if (sourceLower.includes('home depot') || sourceLower.includes('homedepot')) return 'homedepot.com';
-    if (sourceLower.includes('lowe')) return 'lowes.com';
-    if (sourceLower.includes('best buy') || sourceLower.includes('bestbuy')) return 'bestbuy.com';
-    if (sourceLower.includes('wayfair')) return 'wayfair.com';
-    if (sourceLower.includes('costco')) return 'costco.com';
-    if (sourceLower.includes('overstock')) return 'overstock.com';
-    
-    return null;
-  }
-
-  // PERFORMANCE: Minimal query sanitization
-  sanitizeQuery(raw) {
-    return raw.replace(/\s+/g, ' ').replace(/["']/g, '').trim();
-  }
-
-  // PERFORMANCE: Fast subcategory detection
-  getSubCategory(description = '') {
-    const desc = description.toLowerCase();
-    if (desc.includes('letter') && desc.includes('box')) return 'Letter Box /HSW';
-    if (desc.includes('fan') && desc.includes('tower')) return 'Fans /HSW';
-    if (desc.includes('dehumidifier')) return 'Dehumidifier /HSW';
-    if (desc.includes('toilet') && desc.includes('brush')) return 'Bathroom Accessories /HSW';
-    return 'Other /HSW';
-  }
-
-  // PERFORMANCE: Optimized URL extraction
-  getDirectUrl(result) {
-    // Priority: Direct Amazon product links
-    if (result.link && result.link.includes('amazon.com/') && result.link.includes('/dp/')) {
-      return result.link;
-    }
-    
-    // Extract from Google redirect if available
-    if (result.link && result.link.includes('google.com/aclk')) {
-      try {
-        const url = new URL(result.link);
-        const adurl = url.searchParams.get('adurl');
-        if (adurl) return decodeURIComponent(adurl);
-      } catch (e) {
-        // Continue to fallback
-      }
-    }
-    
-    return result.product_link || result.link || 'Manual Validation Required';
-  }
-}
-
-module.exports = OptimizedInsuranceItemPricer;
\ No newline at end of file
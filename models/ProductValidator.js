@@ -1,35 +1,26 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const NodeCache = require('node-cache');
+const PriceCache = require('../utils/priceCache');
+const { getSearchProvider } = require('../providers');
+const RetailerRegistry = require('./RetailerRegistry');
+const TaxonomyClassifier = require('../utils/taxonomyClassifier');
 
 class ProductValidator {
-  constructor() {
-    this.cache = new NodeCache({ stdTTL: process.env.CACHE_TTL_SECONDS || 3600 });
+  constructor(options = {}) {
+    this.cache = options.cache || PriceCache.shared();
+    // Resolved on first search so pricers that never validate don't need web search keys
+    this.searchProvider = options.searchProvider || null;
+    this.retailers = options.retailers || RetailerRegistry.shared();
     
-    this.trustedRetailers = [
-      'amazon.com', 'target.com', 'walmart.com', 'bestbuy.com',
-      'homedepot.com', 'lowes.com', 'costco.com', 'newegg.com',
-      'bhphotovideo.com', 'adorama.com', 'rei.com', 'macys.com',
-      'nordstrom.com', 'zappos.com', 'wayfair.com', 'overstock.com',
-      'samsclub.com', 'officedepot.com', 'staples.com', 'cabelas.com'
-    ];
-    
-    this.categoryKeywords = {
-      'Electronics': ['phone', 'laptop', 'computer', 'tablet', 'camera', 'tv', 'monitor', 'headphones', 'speaker'],
-      'Home & Garden': ['furniture', 'decor', 'kitchen', 'bathroom', 'garden', 'outdoor', 'bedding', 'lighting'],
-      'Clothing & Accessories': ['shirt', 'pants', 'dress', 'shoes', 'watch', 'jewelry', 'bag', 'hat'],
-      'Sports & Outdoors': ['fitness', 'exercise', 'sports', 'outdoor', 'camping', 'hiking', 'bike', 'golf'],
-      'Health & Beauty': ['skincare', 'makeup', 'health', 'supplements', 'personal care', 'beauty'],
-      'Books & Media': ['book', 'ebook', 'dvd', 'cd', 'music', 'movie', 'game'],
-      'Toys & Games': ['toy', 'game', 'puzzle', 'doll', 'action figure', 'board game', 'video game'],
-      'Automotive': ['car', 'auto', 'vehicle', 'parts', 'accessories', 'tools', 'maintenance']
-    };
+    // Shared with the pricer's Cat / Sub Cat classification (config/taxonomy.json)
+    this.taxonomy = options.taxonomy || TaxonomyClassifier.shared();
+    this.categoryKeywords = this.taxonomy.categoryKeywords();
   }
 
   // Main validation function
   async validateProduct(productDescription, minPrice = null, maxPrice = null, operator = 'between') {
-    const cacheKey = `${productDescription}_${minPrice}_${maxPrice}_${operator}`;
-    const cached = this.cache.get(cacheKey);
+    const cacheKey = PriceCache.key(productDescription, minPrice, maxPrice, operator);
+    const cached = this.cache.get('validation', cacheKey);
     
     if (cached) {
       console.log('📋 Returning cached results');
@@ -62,7 +53,7 @@ class ProductValidator {
       };
 
       // Cache the results
-      this.cache.set(cacheKey, response);
+      this.cache.set('validation', cacheKey, response);
       
       return response;
       
@@ -102,33 +93,32 @@ class ProductValidator {
     return this.removeDuplicates(allResults);
   }
 
-  // Google Custom Search
+  // Web search through the configured provider (WEB_SEARCH_PROVIDER, Google CSE by default)
   async searchGoogle(query) {
     try {
-      const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-        params: {
-          key: process.env.GOOGLE_API_KEY,
-          cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
-          q: query,
-          num: 10,
-          safe: 'active'
-        },
-        timeout: 10000
-      });
-
-      return response.data.items || [];
+      const provider = this.getSearchProvider();
+      return await this.cache.wrap('web', PriceCache.key(provider.name, query), () => provider.searchWeb(query));
     } catch (error) {
-      console.error('Google search error:', error.response?.data || error.message);
+      console.error('Web search error:', error.response?.data || error.message);
       return [];
     }
   }
 
+  getSearchProvider() {
+    if (!this.searchProvider) {
+      this.searchProvider = getSearchProvider('web');
+    }
+    return this.searchProvider;
+  }
+
+  // Enabled domains from the retailer registry
+  get trustedRetailers() {
+    return this.retailers.enabledDomains();
+  }
+
   // Filter trusted retailers
   filterTrustedRetailers(searchResults) {
-    return searchResults.filter(result => {
-      const domain = this.extractDomain(result.link);
-      return this.trustedRetailers.some(retailer => domain.includes(retailer));
-    });
+    return searchResults.filter(result => this.retailers.isTrustedDomain(this.extractDomain(result.link)));
   }
 
   // Validate product prices
@@ -158,8 +148,9 @@ class ProductValidator {
     return validProducts;
   }
 
-  // Extract product data from page
-  async extractProductData(searchResult) {
+  // Extract product data from page. With `snapshot`, the result also carries the page as
+  // fetched (`snapshotHtml`, cleaned by cleanSnapshot) for evidence records.
+  async extractProductData(searchResult, { snapshot = false } = {}) {
     try {
       const response = await axios.get(searchResult.link, {
         headers: {
@@ -172,13 +163,33 @@ class ProductValidator {
       const $ = cheerio.load(response.data);
       const domain = this.extractDomain(searchResult.link);
       
-      return this.parseByRetailer($, domain, searchResult);
+      const productData = this.parseByRetailer($, domain, searchResult);
+      if (snapshot) {
+        productData.snapshotHtml = this.cleanSnapshot($, searchResult.link);
+      }
+      return productData;
       
     } catch (error) {
       throw new Error(`Failed to fetch: ${error.message}`);
     }
   }
 
+  // Static copy of a fetched page: scripts (except JSON-LD product data), styles, frames and
+  // inline event handlers are removed, and a <base> keeps relative links and images pointing
+  // at the retailer. Call after parsing; it changes the loaded document.
+  cleanSnapshot($, url) {
+    $('script').not('[type="application/ld+json"]').remove();
+    $('style, noscript, iframe, object, embed, svg, link[rel="stylesheet"], link[rel="preload"]').remove();
+    $('*').each((i, element) => {
+      for (const name of Object.keys(element.attribs || {})) {
+        if (/^on/i.test(name)) $(element).removeAttr(name);
+      }
+    });
+    $('base').remove();
+    $('head').prepend($('<base>').attr('href', url));
+    return $.html();
+  }
+
   // Parse by specific retailer
   parseByRetailer($, domain, searchResult) {
     const baseData = {
@@ -306,13 +317,8 @@ class ProductValidator {
   }
 
   categorizeProduct(text) {
-    const lowerText = text.toLowerCase();
-    for (const [category, keywords] of Object.entries(this.categoryKeywords)) {
-      if (keywords.some(keyword => lowerText.includes(keyword))) {
-        return category;
-      }
-    }
-    return 'General';
+    const classification = this.taxonomy.classify({ title: text });
+    return classification.confidence > 0 ? classification.categoryName : 'General';
   }
 
   extractSubCategory(breadcrumbText) {
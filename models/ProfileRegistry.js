@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const RetailerRegistry = require('./RetailerRegistry');
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, '..', 'config', 'profiles.json');
+const TIE_BREAKS = ['lowest-price', 'nearest-target'];
+
+// Named pricing profiles, one per carrier rule set. A profile bundles:
+//   tolerance          - ±% band around the replacement cost (null = use the request's value)
+//   allowedRetailers   - domains offers may come from (empty = every enabled retailer)
+//   preferredRetailers - domains that win ties and rank first when there is no target price
+//   tieBreak           - 'lowest-price' (cheapest in range) or 'nearest-target' (closest to the cost)
+//   fallback           - { queryRewrites, closeMatchPercent }: whether shortened queries are
+//                        retried, and how far from the cost (in %) an offer may be when nothing
+//                        is in range (0 = never). null leaves either to the pricing mode.
+class ProfileRegistry {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.PROFILES_FILE || DEFAULT_PROFILES_FILE;
+    const config = options.config || JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+
+    this.profiles = (config.profiles || []).map(profile => this.validate(profile));
+    this.defaultProfileId = process.env.DEFAULT_PRICING_PROFILE || config.defaultProfile || (this.profiles[0] && this.profiles[0].id);
+
+    if (!this.profiles.some(profile => profile.id === this.defaultProfileId)) {
+      throw new Error(`Default pricing profile "${this.defaultProfileId}" is not defined in ${this.filePath}`);
+    }
+  }
+
+  // Shared registry loaded from PROFILES_FILE (config/profiles.json by default)
+  static shared() {
+    if (!ProfileRegistry.instance) {
+      ProfileRegistry.instance = new ProfileRegistry();
+    }
+    return ProfileRegistry.instance;
+  }
+
+  // Fill defaults and reject malformed profiles at load time rather than mid-job
+  validate(profile = {}) {
+    if (!profile.id || !/^[\w-]+$/.test(profile.id)) {
+      throw new Error(`Invalid pricing profile id "${profile.id || ''}"`);
+    }
+
+    const tieBreak = profile.tieBreak || 'lowest-price';
+    if (!TIE_BREAKS.includes(tieBreak)) {
+      throw new Error(`Profile ${profile.id}: tieBreak must be one of ${TIE_BREAKS.join(', ')}`);
+    }
+
+    const tolerance = profile.tolerance == null ? null : Number(profile.tolerance);
+    if (tolerance !== null && !(tolerance > 0 && tolerance <= 100)) {
+      throw new Error(`Profile ${profile.id}: tolerance must be a percentage between 0 and 100`);
+    }
+
+    const fallback = profile.fallback || {};
+    const closeMatchPercent = fallback.closeMatchPercent == null ? null : Number(fallback.closeMatchPercent);
+    if (closeMatchPercent !== null && (isNaN(closeMatchPercent) || closeMatchPercent < 0)) {
+      throw new Error(`Profile ${profile.id}: fallback.closeMatchPercent must be 0 or more`);
+    }
+
+    return {
+      id: profile.id,
+      name: profile.name || profile.id,
+      description: profile.description || '',
+      tolerance,
+      allowedRetailers: (profile.allowedRetailers || []).map(domain => RetailerRegistry.normalizeDomain(domain)),
+      preferredRetailers: (profile.preferredRetailers || []).map(domain => RetailerRegistry.normalizeDomain(domain)),
+      tieBreak,
+      fallback: {
+        queryRewrites: fallback.queryRewrites == null ? null : !!fallback.queryRewrites,
+        closeMatchPercent
+      }
+    };
+  }
+
+  list() {
+    return this.profiles;
+  }
+
+  getDefault() {
+    return this.get(this.defaultProfileId);
+  }
+
+  get(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  // Profile for a request; falls back to the default when no id is given.
+  // Throws an error with code 'PROFILE_NOT_FOUND' for unknown ids.
+  resolve(id) {
+    if (!id) return this.getDefault();
+
+    const profile = this.get(String(id));
+    if (!profile) {
+      const error = new Error(`Unknown pricing profile "${id}". Expected one of: ${this.profiles.map(p => p.id).join(', ')}`);
+      error.code = 'PROFILE_NOT_FOUND';
+      throw error;
+    }
+    return profile;
+  }
+
+  // A profile's own tolerance wins; otherwise the request's value, then 10%
+  static toleranceFor(profile, requested) {
+    if (profile && profile.tolerance) return profile.tolerance;
+    return parseInt(requested) || 10;
+  }
+}
+
+module.exports = ProfileRegistry;
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETAILERS_FILE = path.join(__dirname, '..', 'config', 'retailers.json');
+const DEFAULT_WEIGHT = 7.0;
+
+// Single list of trusted retailers, shared by every pricer and the validator.
+// Each entry: { domain, name, aliases, weight, enabled }
+//   aliases - how the retailer shows up in a shopping result's `source` field
+//   weight  - preference from 0 to 10; breaks ties between near-equal offers
+//   enabled - disabled retailers are kept in the file but never trusted
+// Edits made through the API are written back to the config file.
+class RetailerRegistry {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.RETAILERS_FILE || DEFAULT_RETAILERS_FILE;
+    this.retailers = options.retailers ? options.retailers.map(entry => this.validate(entry)) : this.load();
+    // A registry built from an in-memory list only writes to disk when given a file
+    this.persist = !options.retailers || !!options.filePath;
+    this.buildIndex();
+  }
+
+  // Shared registry loaded from RETAILERS_FILE (config/retailers.json by default)
+  static shared() {
+    if (!RetailerRegistry.instance) {
+      RetailerRegistry.instance = new RetailerRegistry();
+    }
+    return RetailerRegistry.instance;
+  }
+
+  static normalizeDomain(value) {
+    let domain = String(value || '').trim().toLowerCase();
+    try {
+      if (/^https?:\/\//.test(domain)) domain = new URL(domain).hostname;
+    } catch (error) {
+      // Not a URL - treat it as a bare domain
+    }
+    return domain.replace(/^www\./, '').replace(/\/.*$/, '');
+  }
+
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    return (config.retailers || []).map(entry => this.validate(entry));
+  }
+
+  save() {
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ retailers: this.retailers }, null, 2) + '\n');
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  // Normalize an entry, filling defaults. Throws INVALID_RETAILER on bad input.
+  validate(entry = {}) {
+    const domain = RetailerRegistry.normalizeDomain(entry.domain);
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+      throw this.error('INVALID_RETAILER', `Invalid retailer domain "${entry.domain || ''}"`);
+    }
+
+    if (entry.aliases != null && !Array.isArray(entry.aliases)) {
+      throw this.error('INVALID_RETAILER', 'aliases must be an array of strings');
+    }
+    const aliases = (entry.aliases || []).map(alias => String(alias).trim()).filter(Boolean);
+
+    const weight = entry.weight == null || entry.weight === '' ? DEFAULT_WEIGHT : Number(entry.weight);
+    if (isNaN(weight) || weight < 0 || weight > 10) {
+      throw this.error('INVALID_RETAILER', 'weight must be a number from 0 to 10');
+    }
+
+    return {
+      domain,
+      name: entry.name ? String(entry.name).trim() : domain,
+      aliases: aliases.includes(domain) ? aliases : [...aliases, domain],
+      weight,
+      enabled: entry.enabled !== false && entry.enabled !== 'false'
+    };
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  // Lookup tables for enabled retailers, rebuilt after every change
+  buildIndex() {
+    this.aliasMap = new Map();
+    this.matchers = [];
+
+    for (const retailer of this.retailers) {
+      if (!retailer.enabled) continue;
+
+      const keys = new Set([retailer.name, ...retailer.aliases].map(key => key.toLowerCase()));
+      keys.add(retailer.domain.split('.')[0]);
+
+      for (const key of keys) {
+        this.aliasMap.set(key, retailer.domain);
+        const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        this.matchers.push({ key, domain: retailer.domain, pattern: new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`) });
+      }
+    }
+
+    // Longer keys first so "home depot" wins over a shorter partial match
+    this.matchers.sort((a, b) => b.key.length - a.key.length);
+  }
+
+  list() {
+    return this.retailers;
+  }
+
+  get(domain) {
+    const normalized = RetailerRegistry.normalizeDomain(domain);
+    return this.retailers.find(retailer => retailer.domain === normalized) || null;
+  }
+
+  enabledDomains() {
+    return this.retailers.filter(retailer => retailer.enabled).map(retailer => retailer.domain);
+  }
+
+  // Map a shopping result's source field ("Amazon.com - Seller", "The Home Depot")
+  // to the domain of an enabled retailer, or null when it is not trusted
+  resolveSource(sourceField) {
+    if (!sourceField) return null;
+
+    const sourceLower = String(sourceField).trim().toLowerCase();
+
+    // Direct map lookup first (fastest)
+    const direct = this.aliasMap.get(sourceLower);
+    if (direct) return direct;
+
+    // Then whole-word matches inside longer source names
+    const match = this.matchers.find(matcher => matcher.pattern.test(sourceLower));
+    return match ? match.domain : null;
+  }
+
+  // True when the URL or domain belongs to an enabled retailer (subdomains included)
+  isTrustedDomain(urlOrDomain) {
+    const domain = RetailerRegistry.normalizeDomain(urlOrDomain);
+    return this.enabledDomains().some(trusted => domain === trusted || domain.endsWith(`.${trusted}`));
+  }
+
+  getWeight(domain) {
+    const retailer = this.get(domain);
+    return retailer ? retailer.weight : DEFAULT_WEIGHT;
+  }
+
+  create(entry) {
+    const retailer = this.validate(entry);
+    if (this.get(retailer.domain)) {
+      throw this.error('RETAILER_EXISTS', `Retailer ${retailer.domain} already exists`);
+    }
+
+    this.retailers.push(retailer);
+    this.commit();
+    return retailer;
+  }
+
+  // Partial update; the domain itself cannot be changed
+  update(domain, changes = {}) {
+    const existing = this.get(domain);
+    if (!existing) {
+      throw this.error('RETAILER_NOT_FOUND', `Retailer ${domain} not found`);
+    }
+
+    const retailer = this.validate({ ...existing, ...changes, domain: existing.domain });
+    this.retailers[this.retailers.indexOf(existing)] = retailer;
+    this.commit();
+    return retailer;
+  }
+
+  remove(domain) {
+    const existing = this.get(domain);
+    if (!existing) {
+      throw this.error('RETAILER_NOT_FOUND', `Retailer ${domain} not found`);
+    }
+
+    this.retailers.splice(this.retailers.indexOf(existing), 1);
+    this.commit();
+    return existing;
+  }
+
+  commit() {
+    this.buildIndex();
+    if (this.persist) this.save();
+  }
+}
+
+module.exports = RetailerRegistry;
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TAX_RATES_FILE = path.join(__dirname, '..', 'config', 'tax-rates.json');
+
+// Sales-tax rates (in %) keyed by ZIP or state, from config/tax-rates.json:
+//   zips        - 5-digit ZIPs or 3-digit ZIP prefixes; the longest match wins
+//   states      - 2-letter state codes
+//   defaultRate - rate for locations the table doesn't list (null = unknown)
+class TaxRateTable {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.TAX_RATES_FILE || DEFAULT_TAX_RATES_FILE;
+    const config = options.config || JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+
+    this.states = {};
+    for (const [state, rate] of Object.entries(config.states || {})) {
+      this.states[state.toUpperCase()] = TaxRateTable.validateRate(rate, `Tax rate for state ${state}`);
+    }
+    this.zips = {};
+    for (const [zip, rate] of Object.entries(config.zips || {})) {
+      if (!/^\d{3}(\d{2})?$/.test(zip)) {
+        throw new Error(`Tax rate table: "${zip}" is not a 5-digit ZIP or 3-digit ZIP prefix`);
+      }
+      this.zips[zip] = TaxRateTable.validateRate(rate, `Tax rate for ZIP ${zip}`);
+    }
+    this.defaultRate = config.defaultRate == null ? null : TaxRateTable.validateRate(config.defaultRate, 'Tax table defaultRate');
+  }
+
+  // Shared table loaded from TAX_RATES_FILE (config/tax-rates.json by default)
+  static shared() {
+    if (!TaxRateTable.instance) {
+      TaxRateTable.instance = new TaxRateTable();
+    }
+    return TaxRateTable.instance;
+  }
+
+  static validateRate(rate, name = 'taxRate') {
+    const number = Number(rate);
+    if (rate === null || rate === '' || isNaN(number) || number < 0 || number > 100) {
+      const error = new Error(`${name} must be a percentage between 0 and 100`);
+      error.code = 'INVALID_TAX_RATE';
+      throw error;
+    }
+    return number;
+  }
+
+  // Rate for a ZIP ("94103", "94103-1234") or state code ("CA").
+  // Returns { rate, location, matchedBy } or null when the table has no rate for it.
+  lookup(location) {
+    const text = String(location == null ? '' : location).trim().toUpperCase();
+    if (!text) return null;
+
+    const zip = text.match(/^(\d{5})(-\d{4})?$/);
+    if (zip) {
+      if (zip[1] in this.zips) return { rate: this.zips[zip[1]], location: zip[1], matchedBy: 'zip' };
+      const prefix = zip[1].slice(0, 3);
+      if (prefix in this.zips) return { rate: this.zips[prefix], location: zip[1], matchedBy: 'zip prefix' };
+      return null;
+    }
+
+    if (text in this.states) return { rate: this.states[text], location: text, matchedBy: 'state' };
+    return null;
+  }
+
+  // Rate for one claim row. Row ZIP, then row state, then the claim-level location,
+  // then the table's default. `claim` is { rate, location } from the request; an explicit
+  // claim-level rate overrides everything.
+  resolve({ zip, state } = {}, claim = {}) {
+    if (claim.rate != null) return { rate: claim.rate, location: claim.location || null, matchedBy: 'claim rate' };
+
+    const candidates = [[zip, 'row'], [state, 'row'], [claim.location, 'claim']];
+    for (const [location, source] of candidates) {
+      const found = this.lookup(location);
+      if (found) return { ...found, source };
+    }
+
+    if (this.defaultRate != null) return { rate: this.defaultRate, location: null, matchedBy: 'default' };
+    return null;
+  }
+}
+
+module.exports = TaxRateTable;
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const SearchProvider = require('./SearchProvider');
+const PriceCache = require('../utils/priceCache');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, '..', 'fixtures', 'search-results.json');
+
+// Offline backend that answers from a JSON file, for tests and demos:
+//   { "shopping": { "<query>": [results...], "*": [fallback...] }, "web": { ... } }
+// Queries are matched after the same normalization the price cache uses. When no
+// query matches exactly, the entry sharing the most words with the query wins,
+// then the "*" entry, then an empty list. No network calls are ever made.
+class FixtureProvider extends SearchProvider {
+  constructor(options = {}) {
+    super('fixture');
+    this.filePath = options.filePath || process.env.SEARCH_FIXTURES_FILE || DEFAULT_FIXTURES_FILE;
+    this.fixtures = options.fixtures || this.load();
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to load search fixtures from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async searchShopping(query) {
+    return this.lookup('shopping', query).map(result => SearchProvider.shoppingResult(result));
+  }
+
+  async searchWeb(query) {
+    return this.lookup('web', query).map(result => SearchProvider.webResult(result));
+  }
+
+  lookup(kind, query) {
+    const entries = this.fixtures[kind] || {};
+    const normalized = PriceCache.normalizeKey(query);
+    const words = new Set(normalized.split(' ').filter(Boolean));
+
+    let best = null;
+    let bestOverlap = 0;
+    for (const [fixtureQuery, results] of Object.entries(entries)) {
+      if (fixtureQuery === '*') continue;
+
+      const fixtureNormalized = PriceCache.normalizeKey(fixtureQuery);
+      if (fixtureNormalized === normalized) return results;
+
+      const overlap = fixtureNormalized.split(' ').filter(word => words.has(word)).length;
+      if (overlap > bestOverlap) {
+        best = results;
+        bestOverlap = overlap;
+      }
+    }
+
+    return best || entries['*'] || [];
+  }
+}
+
+module.exports = FixtureProvider;
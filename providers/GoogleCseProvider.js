@@ -0,0 +1,62 @@
+const axios = require('axios');
+const SearchProvider = require('./SearchProvider');
+const HelperUtils = require('../utils/helpers');
+
+const CSE_URL = 'https://www.googleapis.com/customsearch/v1';
+
+// Google Custom Search backend. Web search maps straight onto the API; shopping
+// results are built from items whose page metadata carries a schema.org offer price.
+class GoogleCseProvider extends SearchProvider {
+  constructor(options = {}) {
+    super('google_cse');
+    this.apiKey = options.apiKey || process.env.GOOGLE_API_KEY;
+    this.searchEngineId = options.searchEngineId || process.env.GOOGLE_SEARCH_ENGINE_ID;
+    this.timeout = options.timeout || 10000;
+
+    if (!this.apiKey || !this.searchEngineId) {
+      throw new Error('GOOGLE_API_KEY and GOOGLE_SEARCH_ENGINE_ID environment variables are required');
+    }
+  }
+
+  async searchWeb(query) {
+    const items = await this.request(query);
+    return items.map(item => SearchProvider.webResult(item));
+  }
+
+  async searchShopping(query) {
+    const items = await this.request(query);
+    const results = [];
+
+    for (const item of items) {
+      const offer = (item.pagemap?.offer || [])[0] || {};
+      const price = parseFloat(String(offer.price || '').replace(/[$,]/g, ''));
+      if (!(price > 0)) continue;
+
+      results.push(SearchProvider.shoppingResult({
+        title: item.title,
+        extracted_price: price,
+        source: HelperUtils.normalizeDomain(item.link),
+        link: item.link,
+        thumbnail: (item.pagemap?.cse_thumbnail || [])[0]?.src
+      }, item));
+    }
+
+    return results;
+  }
+
+  async request(query) {
+    const response = await axios.get(CSE_URL, {
+      params: {
+        key: this.apiKey,
+        cx: this.searchEngineId,
+        q: query,
+        num: 10,
+        safe: 'active'
+      },
+      timeout: this.timeout
+    });
+    return response.data.items || [];
+  }
+}
+
+module.exports = GoogleCseProvider;
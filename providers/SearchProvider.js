@@ -0,0 +1,78 @@
+// Base class for search backends.
+// Ranking code only ever sees two result shapes, whatever the backend:
+//   searchShopping(query) -> [{ title, extracted_price, price, source, link, product_link, thumbnail,
+//                               delivery, shipping, raw }]
+//     (the SerpAPI google_shopping shape the pricers were written against; `shipping` is the
+//     delivery charge in dollars, 0 when free, null when the result doesn't say; `raw` is the
+//     backend's own result object as it returned it, kept as evidence)
+//   searchWeb(query)      -> [{ title, link, snippet, displayLink }]
+//     (the Google Custom Search item shape ProductValidator was written against)
+// Backends that cannot serve one of the two throw an error with code 'NOT_SUPPORTED'.
+class SearchProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async searchShopping(query) {
+    throw this.notSupported('shopping');
+  }
+
+  async searchWeb(query) {
+    throw this.notSupported('web');
+  }
+
+  notSupported(kind) {
+    const error = new Error(`${this.name} provider does not support ${kind} search`);
+    error.code = 'NOT_SUPPORTED';
+    return error;
+  }
+
+  // Fill in the fields ranking code relies on, whatever the backend returned. `raw` is the
+  // backend's result when `fields` were built from it rather than taken as returned.
+  static shoppingResult(fields, raw = fields) {
+    const extractedPrice = parseFloat(String(fields.extracted_price ?? fields.price ?? '').replace(/[$,]/g, ''));
+    return {
+      title: fields.title || '',
+      extracted_price: isNaN(extractedPrice) ? 0 : extractedPrice,
+      price: fields.price != null ? String(fields.price) : (isNaN(extractedPrice) ? '' : `$${extractedPrice.toFixed(2)}`),
+      source: fields.source || '',
+      link: fields.link || null,
+      product_link: fields.product_link || null,
+      thumbnail: fields.thumbnail || null,
+      delivery: SearchProvider.deliveryText(fields),
+      shipping: SearchProvider.parseShipping(fields),
+      raw
+    };
+  }
+
+  // SerpAPI puts delivery in `delivery` ("$5.99 delivery", "Free delivery by Fri") or
+  // among `extensions`
+  static deliveryText(fields) {
+    if (fields.delivery) return String(fields.delivery);
+    const extension = (fields.extensions || []).find(text => /deliver|shipping/i.test(text));
+    return extension ? String(extension) : null;
+  }
+
+  static parseShipping(fields) {
+    if (fields.shipping != null && fields.shipping !== '' && !isNaN(Number(fields.shipping))) {
+      return Number(fields.shipping);
+    }
+
+    const text = SearchProvider.deliveryText(fields);
+    if (!text) return null;
+    if (/free/i.test(text)) return 0;
+    const amount = text.match(/\$\s*(\d+(?:\.\d+)?)/);
+    return amount ? parseFloat(amount[1]) : null;
+  }
+
+  static webResult(fields) {
+    return {
+      title: fields.title || '',
+      link: fields.link || '',
+      snippet: fields.snippet || '',
+      displayLink: fields.displayLink || ''
+    };
+  }
+}
+
+module.exports = SearchProvider;
@@ -0,0 +1,53 @@
+const axios = require('axios');
+const SearchProvider = require('./SearchProvider');
+const RateLimiter = require('../utils/rateLimiter');
+
+const SERPAPI_URL = 'https://serpapi.com/search.json';
+
+// SerpAPI backend: google_shopping for shopping results, google for web results.
+// Every call goes through the shared limiter so it counts against the monthly quota.
+class SerpApiProvider extends SearchProvider {
+  constructor(options = {}) {
+    super('serpapi');
+    this.apiKey = options.apiKey || process.env.SERPAPI_KEY;
+    this.rateLimiter = options.rateLimiter || RateLimiter.shared();
+    this.timeout = options.timeout || 5000;
+
+    if (!this.apiKey) {
+      console.error('❌ SERPAPI_KEY environment variable is required');
+      throw new Error('SERPAPI_KEY environment variable is required');
+    }
+  }
+
+  async searchShopping(query) {
+    const data = await this.request({ engine: 'google_shopping', q: query, num: 25 });
+    return (data.shopping_results || []).slice(0, 25).map(result => SearchProvider.shoppingResult(result));
+  }
+
+  async searchWeb(query) {
+    const data = await this.request({ engine: 'google', q: query, num: 10 });
+    return (data.organic_results || []).map(result => SearchProvider.webResult({
+      title: result.title,
+      link: result.link,
+      snippet: result.snippet,
+      displayLink: result.displayed_link
+    }));
+  }
+
+  async request(params) {
+    // Pacing is handled by the shared limiter rather than fixed sleeps
+    await this.rateLimiter.acquire();
+
+    const response = await axios.get(SERPAPI_URL, {
+      params: { ...params, api_key: this.apiKey, gl: 'us', hl: 'en' },
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept-Encoding': 'gzip, deflate'
+      }
+    });
+    return response.data;
+  }
+}
+
+module.exports = SerpApiProvider;
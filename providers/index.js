@@ -0,0 +1,47 @@
+const SearchProvider = require('./SearchProvider');
+const SerpApiProvider = require('./SerpApiProvider');
+const GoogleCseProvider = require('./GoogleCseProvider');
+const FixtureProvider = require('./FixtureProvider');
+
+const providerClasses = {
+  serpapi: SerpApiProvider,
+  google_cse: GoogleCseProvider,
+  fixture: FixtureProvider
+};
+
+const sharedProviders = {};
+
+function createSearchProvider(name, options = {}) {
+  const ProviderClass = providerClasses[String(name).toLowerCase()];
+  if (!ProviderClass) {
+    throw new Error(`Unknown search provider "${name}". Expected one of: ${Object.keys(providerClasses).join(', ')}`);
+  }
+  return new ProviderClass(options);
+}
+
+// SEARCH_PROVIDER picks the shopping backend the pricers use (default serpapi).
+// WEB_SEARCH_PROVIDER picks the web backend ProductValidator uses; it defaults to
+// google_cse, or to fixture when SEARCH_PROVIDER=fixture so demos stay fully offline.
+function configuredProviderName(kind) {
+  const shopping = (process.env.SEARCH_PROVIDER || 'serpapi').toLowerCase();
+  if (kind === 'shopping') return shopping;
+  return (process.env.WEB_SEARCH_PROVIDER || (shopping === 'fixture' ? 'fixture' : 'google_cse')).toLowerCase();
+}
+
+// One instance per configured backend, created on first use
+function getSearchProvider(kind = 'shopping') {
+  const name = configuredProviderName(kind);
+  if (!sharedProviders[name]) {
+    sharedProviders[name] = createSearchProvider(name);
+  }
+  return sharedProviders[name];
+}
+
+module.exports = {
+  SearchProvider,
+  SerpApiProvider,
+  GoogleCseProvider,
+  FixtureProvider,
+  createSearchProvider,
+  getSearchProvider
+};
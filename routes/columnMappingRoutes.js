@@ -0,0 +1,79 @@
+// routes/columnMappingRoutes.js
+const express = require('express');
+const ColumnMappingRegistry = require('../models/ColumnMappingRegistry');
+
+const router = express.Router();
+
+// HTTP status for registry errors
+function errorStatus(error) {
+  if (error.code === 'INVALID_MAPPING_TEMPLATE' || error.code === 'INVALID_COLUMN_MAP') return 400;
+  if (error.code === 'MAPPING_TEMPLATE_NOT_FOUND') return 404;
+  if (error.code === 'MAPPING_TEMPLATE_EXISTS') return 409;
+  return 500;
+}
+
+function sendError(res, error, action) {
+  const status = errorStatus(error);
+  if (status === 500) console.error(`❌ Failed to ${action}:`, error);
+  res.status(status).json({ success: false, error: error.message });
+}
+
+router.get('/', (req, res) => {
+  const templates = ColumnMappingRegistry.shared().list();
+  res.json({ success: true, total: templates.length, fields: ColumnMappingRegistry.FIELDS, templates });
+});
+
+// Column map a file would get. Body: { headers: [], templateId, columnMap }
+router.post('/match', (req, res) => {
+  try {
+    const { headers, templateId, columnMap } = req.body || {};
+    if (!Array.isArray(headers) || !headers.length) {
+      return res.status(400).json({ success: false, error: 'headers must be a non-empty array of column names' });
+    }
+    res.json({ success: true, ...ColumnMappingRegistry.shared().resolve(headers.map(String), { templateId, columnMap }) });
+  } catch (error) {
+    sendError(res, error, 'match column mapping');
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const template = ColumnMappingRegistry.shared().get(req.params.id);
+  if (!template) {
+    return res.status(404).json({ success: false, error: `Mapping template ${req.params.id} not found` });
+  }
+  res.json({ success: true, template });
+});
+
+// Body: { id, name, description, fields: { itemNumber: "Line", ... }, headers: [] }
+router.post('/', (req, res) => {
+  try {
+    const template = ColumnMappingRegistry.shared().create(req.body || {});
+    console.log(`🗂️ Added column mapping template ${template.id}`);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'add column mapping template');
+  }
+});
+
+// Partial update of name, description, fields or headers
+router.patch('/:id', (req, res) => {
+  try {
+    const template = ColumnMappingRegistry.shared().update(req.params.id, req.body || {});
+    console.log(`🗂️ Updated column mapping template ${template.id}`);
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'update column mapping template');
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    const template = ColumnMappingRegistry.shared().remove(req.params.id);
+    console.log(`🗂️ Removed column mapping template ${template.id}`);
+    res.json({ success: true, removed: template.id });
+  } catch (error) {
+    sendError(res, error, 'remove column mapping template');
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,21 @@ const router = express.Router();
 
 // Import your InsuranceItemPricer
 const InsuranceItemPricer = require('../models/InsuranceItemPricer');
+const JobQueue = require('../models/JobQueue');
+const RateLimiter = require('../utils/rateLimiter');
+const HelperUtils = require('../utils/helpers');
+const PriceCache = require('../utils/priceCache');
+const ProfileRegistry = require('../models/ProfileRegistry');
+const TaxRateTable = require('../models/TaxRateTable');
+const PriceHistory = require('../utils/priceHistory');
+const TargetPriceEstimator = require('../utils/targetPriceEstimator');
+const ListingRevalidator = require('../models/ListingRevalidator');
+const WorkbookReader = require('../utils/workbookReader');
+const WorkbookWriter = require('../utils/workbookWriter');
+const ClaimReport = require('../utils/claimReport');
+const ClaimColumns = require('../utils/claimColumns');
+const ColumnMappingRegistry = require('../models/ColumnMappingRegistry');
+const EvidenceStore = require('../utils/evidenceStore');
 
 // Initialize the pricer instance
 let insuranceItemPricer;
@@ -15,152 +30,160 @@ try {
   console.log('✅ InsuranceItemPricer initialized successfully');
 } catch (error) {
   console.error('❌ Failed to initialize InsuranceItemPricer:', error.message);
-  console.error('🚨 Make sure SERPAPI_KEY is set in your .env file');
+  console.error('🚨 Make sure SERPAPI_KEY is set in your .env file (or set SEARCH_PROVIDER=fixture to run offline)');
 }
 
 // Configure multer for file uploads
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Helper function to detect flexible column names
-function detectColumns(headers) {
-  const columnMap = {};
-  
-  headers.forEach(header => {
-    const normalizedHeader = header.trim().toLowerCase();
-    
-    // Check for Description/Desc column (handles both variants)
-    if (normalizedHeader === 'description' || normalizedHeader === 'desc') {
-      columnMap.description = header;
-    }
-    
-    // Other required columns
-    if (normalizedHeader.includes('item') && normalizedHeader.includes('#')) {
-      columnMap.itemNumber = header;
-    }
-    if (normalizedHeader.includes('item') && normalizedHeader.includes('description')) {
-      columnMap.itemDescription = header;
-    }
-    if (normalizedHeader.includes('brand') || normalizedHeader.includes('manufacturer')) {
-      columnMap.brand = header;
-    }
-    if (normalizedHeader.includes('cost') && normalizedHeader.includes('replace')) {
-      columnMap.costToReplace = header;
+// Column map for an upload's headers: the request's manual columnMap, its mappingTemplate
+// or a template matched by header fingerprint, then the built-in header rules (see
+// ColumnMappingRegistry). Returns { columnMap, source, templateId, score }.
+function columnMappingFor(headers, body = {}) {
+  return ColumnMappingRegistry.shared().resolve(headers, mappingOptionsFrom(body));
+}
+
+// mappingTemplate: template id; columnMap: JSON object of field → header
+function mappingOptionsFrom(body = {}) {
+  let columnMap = body.columnMap || null;
+  if (typeof columnMap === 'string') {
+    try {
+      columnMap = columnMap.trim() ? JSON.parse(columnMap) : null;
+    } catch (error) {
+      const invalid = new Error('columnMap must be a JSON object of field to column name, e.g. {"itemNumber": "Line"}');
+      invalid.code = 'INVALID_COLUMN_MAP';
+      throw invalid;
     }
-  });
-  
-  return columnMap;
-}
-
-// Helper function to parse different file types
-function parseFileData(file) {
-  if (file.originalname.endsWith('.xlsx') || file.originalname.endsWith('.xls')) {
-    // Parse Excel file
-    const workbook = XLSX.read(file.buffer, {
-      cellStyles: true,
-      cellFormulas: true,
-      cellDates: true,
-      cellNF: true,
-      sheetStubs: true
-    });
-    
-    const firstSheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[firstSheetName];
-    
-    // Convert to JSON
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-      header: 1, 
-      defval: "",
-      raw: false 
-    });
-    
-    if (jsonData.length < 2) {
-      throw new Error('Excel file must contain at least a header row and one data row');
+  }
+  return { templateId: body.mappingTemplate || null, columnMap };
+}
+
+// A file can only be priced when some column describes the items
+function requireDescriptionColumn(columnMap) {
+  if (!columnMap.itemDescription && !columnMap.description) {
+    const error = new Error('No item description column found. Map itemDescription or description to a column (columnMap) or pick a mapping template');
+    error.code = 'INVALID_COLUMN_MAP';
+    throw error;
+  }
+}
+
+// Text of a mapped field on a row; '' when the field isn't mapped or the cell is blank
+function fieldValue(row, columnMap, field) {
+  const header = columnMap[field];
+  const value = header ? row[header] : null;
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// Rows without an item number (or, when no item number column is mapped, without any
+// description) are blank lines or sheet furniture and are left out of the output
+function isEmptyRow(row, columnMap) {
+  if (columnMap.itemNumber) return !fieldValue(row, columnMap, 'itemNumber');
+  return !fieldValue(row, columnMap, 'itemDescription') && !fieldValue(row, columnMap, 'description');
+}
+
+// Item number for logs, history and audits: the mapped column, else the row's place in the file
+function itemNumberOf(row, columnMap, index = null) {
+  return fieldValue(row, columnMap, 'itemNumber') || row[WorkbookReader.SOURCE_ROW] || (index !== null ? index + 1 : null);
+}
+
+// Rows of an uploaded CSV or Excel file. Workbooks are read from the sheets the request
+// picks (every sheet with Item # and Item Description columns by default), each from its
+// detected header row unless headerRows gives one; rows carry Source Sheet and Source Row.
+function parseFileData(file, body = {}) {
+  return WorkbookReader.readRows(file, { ...sheetOptionsFrom(body), accepts: headers => hasDescriptionColumn(headers, body) });
+}
+
+// Whether a sheet's columns, mapped the way the request asks, include an item description
+function hasDescriptionColumn(headers, body = {}) {
+  try {
+    const { columnMap } = columnMappingFor(headers, body);
+    return Boolean(columnMap.itemDescription || columnMap.description);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Names of the workbook sheets rows were read from, in file order (none for CSV files)
+function sheetsIn(rows) {
+  return [...new Set(rows.map(row => row[WorkbookReader.SOURCE_SHEET]).filter(Boolean))];
+}
+
+// sheets: JSON array or comma-separated names; headerRows: JSON object of sheet → row number
+function sheetOptionsFrom(body = {}) {
+  let sheets = body.sheets;
+  if (typeof sheets === 'string') {
+    const text = sheets.trim();
+    if (text.startsWith('[')) {
+      try {
+        sheets = JSON.parse(text);
+      } catch (error) {
+        sheets = null;
+      }
+    } else {
+      sheets = text.split(',');
     }
-    
-    // Convert to object format with headers
-    const headers = jsonData[0];
-    const csvData = jsonData.slice(1).map(row => {
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = row[index] || '';
-      });
-      return obj;
-    });
-    
-    return csvData;
-  } else {
-    // Parse CSV file
-    const csvText = file.buffer.toString('utf-8');
-    const parseResult = Papa.parse(csvText, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: true
-    });
-    
-    if (parseResult.errors.length > 0) {
-      console.error('CSV parsing errors:', parseResult.errors);
+  }
+  sheets = Array.isArray(sheets) ? sheets.map(name => String(name).trim()).filter(Boolean) : null;
+
+  let headerRows = body.headerRows || {};
+  if (typeof headerRows === 'string') {
+    try {
+      headerRows = headerRows.trim() ? JSON.parse(headerRows) : {};
+    } catch (error) {
+      const invalid = new Error('headerRows must be a JSON object of sheet name to header row number, e.g. {"Kitchen": 3}');
+      invalid.code = 'INVALID_HEADER_ROW';
+      throw invalid;
     }
-    
-    return parseResult.data;
   }
+
+  return { sheets: sheets && sheets.length ? sheets : null, headerRows };
 }
 
-// SAFE-FAST: Smart target price estimation with caching
-const priceEstimateCache = new Map();
-function getSmartTargetPrice(description, itemDescription) {
-  const query = (description || itemDescription || '').toLowerCase();
-  const cacheKey = query.substring(0, 30); // Cache by first 30 chars
-  
-  if (priceEstimateCache.has(cacheKey)) {
-    return priceEstimateCache.get(cacheKey);
+// Target price for a row: its Cost to Replace, or an estimate when the cell is empty.
+// Returns { targetPrice, estimate } where estimate.source is 'provided', 'historical',
+// 'keyword' or 'default' (see TargetPriceEstimator)
+function targetPriceFor(costToReplace, description) {
+  const provided = parseFloat(String(costToReplace ?? '').replace(/[$,\s]/g, ''));
+  if (provided > 0) {
+    return { targetPrice: provided, estimate: { price: provided, source: 'provided' } };
   }
-  
-  let price = 30; // Default
-  
-  // Smart keyword matching
-  if (query.includes('toilet') && query.includes('brush')) price = 15;
-  else if (query.includes('shower') && query.includes('curtain')) price = 25;
-  else if (query.includes('step') && query.includes('stool')) price = 35;
-  else if (query.includes('personal care') || query.includes('bulk')) price = 50;
-  else if (query.includes('shirt') || query.includes('t-shirt')) price = 20;
-  else if (query.includes('shorts') || query.includes('pants')) price = 25;
-  else if (query.includes('jacket') || query.includes('coat')) price = 60;
-  else if (query.includes('bag') || query.includes('purse')) price = 40;
-  else if (query.includes('vacuum')) price = 80;
-  else if (query.includes('fan')) price = 50;
-  else if (query.includes('mattress') || query.includes('bed')) price = 150;
-  
-  priceEstimateCache.set(cacheKey, price);
-  return price;
+
+  const estimate = TargetPriceEstimator.shared().estimate(description);
+  return { targetPrice: estimate.price, estimate };
+}
+
+// Text a row's target price is estimated from and its found price is remembered under
+function historyDescription(row, columnMap) {
+  return fieldValue(row, columnMap, 'description') || fieldValue(row, columnMap, 'itemDescription');
 }
 
 // SAFE-FAST: Smart query building with priority (BETTER QUALITY)
 function buildOptimalQuery(row, columnMap) {
   // Priority 1: Use Desc field if it's detailed and meaningful
-  const desc = row['Desc'];
-  if (desc && desc.trim() && desc.length > 15 && desc !== '1' && desc !== 'EMPTY' && !desc.includes('�')) {
+  const desc = fieldValue(row, columnMap, 'description');
+  if (desc && desc.length > 15 && desc !== '1' && desc !== 'EMPTY' && !desc.includes('�')) {
     return { query: desc.trim(), strategy: 'Desc Field' };
   }
   
   // Priority 2: Use Item Description
-  const itemDesc = row['Item Description'];
-  if (itemDesc && itemDesc.trim()) {
-    return { query: itemDesc.trim(), strategy: 'Item Description' };
+  const itemDesc = fieldValue(row, columnMap, 'itemDescription');
+  if (itemDesc) {
+    return { query: itemDesc, strategy: 'Item Description' };
   }
   
   // Priority 3: Combine Brand + Item Description if available
-  const brand = row['Brand or Manufacturer'];
-  if (brand && brand.trim() && brand.trim() !== ' ' && itemDesc) {
-    return { query: `${brand.trim()} ${itemDesc.trim()}`, strategy: 'Brand + Item' };
+  const brand = fieldValue(row, columnMap, 'brand');
+  if (brand && itemDesc) {
+    return { query: `${brand} ${itemDesc}`, strategy: 'Brand + Item' };
   }
   
   return { query: null, strategy: 'No Valid Terms' };
 }
 
 // SAFE-FAST: Should we skip this item to save time?
-function shouldSkipItem(row) {
-  const desc = (row['Item Description'] || '').toLowerCase();
-  const detailedDesc = (row['Desc'] || '').toLowerCase();
+function shouldSkipItem(row, columnMap) {
+  const desc = fieldValue(row, columnMap, 'itemDescription').toLowerCase();
+  const detailedDesc = fieldValue(row, columnMap, 'description').toLowerCase();
   
   // Skip obvious bulk/generic items that are hard to price
   if (desc.includes('bulk personal care') || desc.includes('misc') || desc.includes('various')) {
@@ -175,13 +198,737 @@ function shouldSkipItem(row) {
   return false;
 }
 
-// SAFE-FAST: Add delay helper function
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Pricing profile named by a request's profileId (the default profile when absent).
+// Throws PROFILE_NOT_FOUND for unknown ids.
+function profileFrom(body = {}) {
+  return ProfileRegistry.shared().resolve(body.profileId);
 }
 
-// CSV Processing Route - Process ALL rows with SAFE-FAST optimizations
-router.post('/api/process-csv', upload.single('csvFile'), async (req, res) => {
+// Pricing mode choices from a request body: a preset name ('thorough', 'fast')
+// plus optional per-part overrides, and an optional minRelevance (0-100).
+// Throws INVALID_MODE for unknown names and INVALID_RELEVANCE for a bad threshold.
+function pricingOptionsFrom(body = {}, profile = null) {
+  const options = {};
+  for (const field of ['mode', 'fallbackDepth', 'earlyExit', 'scoring']) {
+    if (body[field]) options[field] = String(body[field]);
+  }
+  insuranceItemPricer.resolveMode({ ...options, profile });
+  if (body.minRelevance !== undefined && body.minRelevance !== '') {
+    options.minRelevance = insuranceItemPricer.resolveMinRelevance(body.minRelevance);
+  }
+  return options;
+}
+
+// Evidence options from a request body: `snapshotPages` also saves the retailer page of
+// every match next to its shopping result (EVIDENCE_SNAPSHOTS=on makes that the default)
+function evidenceOptionsFrom(body = {}) {
+  const value = body.snapshotPages !== undefined && body.snapshotPages !== '' ? body.snapshotPages : process.env.EVIDENCE_SNAPSHOTS;
+  return { snapshots: ['true', '1', 'on', 'yes'].includes(String(value || '').toLowerCase()) };
+}
+
+// Claim-level tax settings: a ZIP or state (`taxLocation`) and/or an explicit `taxRate`.
+// Rows with their own ZIP or state column are taxed by that instead, unless a rate is given.
+function taxOptionsFrom(body = {}) {
+  const tax = { location: null, rate: null };
+  if (body.taxRate !== undefined && body.taxRate !== '') {
+    tax.rate = TaxRateTable.validateRate(body.taxRate);
+  }
+  if (body.taxLocation) {
+    tax.location = String(body.taxLocation).trim();
+    if (tax.rate == null && !TaxRateTable.shared().lookup(tax.location)) {
+      const error = new Error(`No tax rate for "${tax.location}"; use a 5-digit ZIP or a 2-letter state code, or give taxRate`);
+      error.code = 'TAX_LOCATION_NOT_FOUND';
+      throw error;
+    }
+  }
+  return tax;
+}
+
+// HTTP status for errors the pricer raises on purpose
+function errorStatus(error) {
+  if (['INVALID_MODE', 'INVALID_RELEVANCE', 'PROFILE_NOT_FOUND', 'INVALID_TAX_RATE', 'TAX_LOCATION_NOT_FOUND', 'INVALID_DRIFT', 'SHEET_NOT_FOUND', 'INVALID_HEADER_ROW', 'INVALID_COLUMN_MAP', 'MAPPING_TEMPLATE_NOT_FOUND'].includes(error.code)) return 400;
+  if (error.code === 'QUOTA_EXCEEDED') return 429;
+  return 500;
+}
+
+// LKQ columns: which claimed attributes the found product matched or contradicted
+function likeKindColumns(result) {
+  const likeKind = result.likeKind || { matched: [], mismatched: [] };
+  return {
+    'LKQ Matched': likeKind.matched.join('; '),
+    'LKQ Mismatched': likeKind.mismatched.join('; ')
+  };
+}
+
+// Units claimed on a row, from the file's quantity column (1 when there is none)
+function quantityFrom(row, columnMap) {
+  const quantity = columnMap.quantity ? parseFloat(String(row[columnMap.quantity]).replace(/[,\s]/g, '')) : NaN;
+  return quantity > 0 ? quantity : 1;
+}
+
+// Build the output row for a row that was not priced
+function unpricedRow(row, pricer, status, queryUsed, extra = {}) {
+  return {
+    ...row,
+    'Price': '',
+    'Cat': '',
+    'Sub Cat': '',
+    'Source': '',
+    'URL': '',
+    'Pricer': pricer,
+    'Search Status': status,
+    'Search Query Used': queryUsed,
+    ...extra
+  };
+}
+
+// Audit record for a row that never reached the pricer
+function unpricedAudit(outcome, reason, profile) {
+  return { outcome, reason, profile: profile.id, searches: [], selection: null };
+}
+
+// The retailer page of a match as fetched now, through the same parsing the validator uses.
+// A page that can't be fetched (blocked, gone, offline) is recorded with the error.
+async function pageSnapshot(result) {
+  const fetchedAt = new Date().toISOString();
+  try {
+    const { snapshotHtml, ...extracted } = await insuranceItemPricer.productValidator.extractProductData(
+      { link: result.url, title: result.description },
+      { snapshot: true }
+    );
+    return { url: result.url, fetchedAt, html: snapshotHtml, extracted };
+  } catch (error) {
+    return { url: result.url, fetchedAt, error: error.message };
+  }
+}
+
+// Store the search result (and, when the job asks for it, the page) a row was priced from.
+// Returns the audit's evidence entry; a failed capture is noted there and never fails the row.
+async function captureEvidence(job, index, { itemNumber, description, result }) {
+  const store = EvidenceStore.shared();
+  if (!store.enabled || !result.shoppingResult) return null;
+
+  try {
+    const snapshot = job.options.evidence && job.options.evidence.snapshots && result.url ? await pageSnapshot(result) : null;
+    const { raw = null, ...shoppingResult } = result.shoppingResult;
+    const record = store.save({
+      jobId: job.id,
+      rowIndex: index,
+      itemNumber,
+      description,
+      query: result.searchQuery,
+      provider: insuranceItemPricer.searchProvider ? insuranceItemPricer.searchProvider.name : null,
+      fetchedAt: result.searchFetchedAt,
+      fromCache: result.searchFromCache,
+      listing: { title: result.description, price: result.listingPrice, source: result.source, url: result.url },
+      shoppingResult,
+      rawResult: raw,
+      snapshot
+    });
+    return {
+      capturedAt: record.capturedAt,
+      fetchedAt: record.fetchedAt,
+      contentHash: record.contentHash,
+      snapshot: record.snapshot ? { hash: record.snapshot.hash || null, error: record.snapshot.error || null } : null
+    };
+  } catch (error) {
+    console.warn(`⚠️ Evidence capture failed for row ${index + 1}: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+// Price a single CSV row. Returns a job result entry:
+// { outcome, row, withinRange, audit } where outcome is one of
+// 'empty', 'skipped', 'no_terms', 'found', 'not_found' or 'error'
+// and audit explains how the price was (or wasn't) chosen
+async function processCsvRow(row, index, job) {
+  const { tolerance, pricing = {} } = job.options;
+  // Jobs keep a copy of their profile so later config edits don't change a running job
+  const profile = job.options.profile || ProfileRegistry.shared().getDefault();
+  const profileColumn = { 'Pricing Profile': profile.id };
+  const columnMap = job.meta.columnMap || {};
+
+  try {
+    // Skip empty rows
+    if (isEmptyRow(row, columnMap)) {
+      console.log(`⏭️ Skipping empty row ${index + 1}`);
+      return { outcome: 'empty', row: null, audit: unpricedAudit('empty', 'Row has no item number', profile) };
+    }
+    const itemNumber = itemNumberOf(row, columnMap, index);
+
+    // Cost to Replace, or an estimate from price history / keywords when it's empty
+    const { targetPrice, estimate: targetEstimate } = targetPriceFor(fieldValue(row, columnMap, 'costToReplace'), historyDescription(row, columnMap));
+
+    // SAFE-FAST: Check if we should skip this item (saves time on impossible items)
+    if (shouldSkipItem(row, columnMap)) {
+      console.log(`⏭️ Skipping difficult item ${itemNumber}: "${fieldValue(row, columnMap, 'itemDescription')}"`);
+      return {
+        outcome: 'skipped',
+        row: unpricedRow(row, 'Manual Validation Required', 'Skipped (Bulk/Generic)', 'Item skipped for efficiency', {
+          'Query Strategy': 'Skipped',
+          ...profileColumn
+        }),
+        audit: unpricedAudit('skipped', 'Bulk/generic item or no meaningful description', profile)
+      };
+    }
+
+    // SAFE-FAST: Build optimal search query
+    const queryResult = buildOptimalQuery(row, columnMap);
+
+    // Skip if no meaningful search terms
+    if (!queryResult.query) {
+      console.log(`⚠️ No search terms for row ${itemNumber}`);
+      return {
+        outcome: 'no_terms',
+        row: unpricedRow(row, 'Manual Validation Required', 'No Search Terms', 'No valid search terms found', {
+          'Query Strategy': 'No Valid Terms',
+          ...profileColumn
+        }),
+        audit: unpricedAudit('no_terms', 'No usable search terms in the description, item description or brand columns', profile)
+      };
+    }
+
+    // Call the pricing service
+    const result = await insuranceItemPricer.findBestPrice(queryResult.query, targetPrice, tolerance, {
+      ...pricing,
+      profile,
+      brand: fieldValue(row, columnMap, 'brand') || null
+    });
+    const audit = { ...result.audit, queryStrategy: queryResult.strategy, targetPriceSource: targetEstimate.source, targetEstimate };
+
+    if (result && result.found) {
+      // Calculate if result is within price range
+      const minPrice = targetPrice * (1 - tolerance/100);
+      const maxPrice = targetPrice * (1 + tolerance/100);
+      const isWithinRange = result.price >= minPrice && result.price <= maxPrice;
+      const quantity = quantityFrom(row, columnMap);
+      const cost = ClaimColumns.cost(result, ClaimColumns.location(row, columnMap), job.options.tax);
+      audit.tax = cost.tax;
+
+      // Found prices feed later target estimates
+      PriceHistory.shared().record({
+        jobId: job.id,
+        itemNumber,
+        description: historyDescription(row, columnMap),
+        query: queryResult.query,
+        category: result.category,
+        subcategory: result.subcategory,
+        price: result.price,
+        source: result.source,
+        url: result.url,
+        title: result.description,
+        recordedAt: result.searchFetchedAt,
+        fromCache: result.searchFromCache,
+        targetSource: targetEstimate.source
+      });
+
+      const evidence = await captureEvidence(job, index, { itemNumber, description: historyDescription(row, columnMap), result });
+      if (evidence) audit.evidence = evidence;
+
+      // ACV columns only when the file says how old the items are and what shape they're in
+      let acvColumns = {};
+      if (columnMap.age && columnMap.condition) {
+        const { columns, depreciation } = ClaimColumns.depreciation(result, quantity, row[columnMap.age], row[columnMap.condition]);
+        acvColumns = columns;
+        audit.depreciation = depreciation;
+      }
+
+      return {
+        outcome: 'found',
+        withinRange: isWithinRange,
+        row: {
+          ...row,
+          'Price': result.price,
+          ...cost.columns,
+          'Cat': result.category || 'HSW',
+          'Sub Cat': result.subcategory || 'General',
+          'Category Confidence': result.categoryConfidence != null ? result.categoryConfidence : '',
+          'Source': result.source,
+          'URL': result.url,
+          'Pricer': 'AI-Enhanced',
+          'Search Status': 'Found',
+          'Search Query Used': queryResult.query,
+          'Query Strategy': queryResult.strategy,
+          'Target Price Used': targetPrice,
+          'Target Price Source': targetEstimate.source,
+          'Within Range': isWithinRange ? 'Yes' : 'No',
+          'Relevance Score': result.relevance != null ? result.relevance : '',
+          ...likeKindColumns(result),
+          ...ClaimColumns.pack(result, quantity),
+          ...acvColumns,
+          'Description': result.description || historyDescription(row, columnMap),
+          ...profileColumn
+        },
+        audit
+      };
+    }
+
+    return {
+      outcome: 'not_found',
+      row: unpricedRow(row, 'Manual Validation Required', 'No Results Found', queryResult.query, {
+        'Query Strategy': queryResult.strategy,
+        'Target Price Used': targetPrice,
+        'Target Price Source': targetEstimate.source,
+        ...profileColumn
+      }),
+      audit
+    };
+
+  } catch (error) {
+    // Out of SerpAPI credits: stop the job (finished rows are kept) rather than fail every remaining row
+    if (error.code === 'QUOTA_EXCEEDED') throw error;
+
+    console.error(`❌ Error processing row ${index + 1}:`, error.message);
+
+    // Continue processing even if one item fails
+    return {
+      outcome: 'error',
+      row: unpricedRow(row, 'Error - Manual Review Required', 'Processing Error', 'Error during processing', profileColumn),
+      audit: { ...unpricedAudit('error', 'Processing error', profile), error: error.message }
+    };
+  }
+}
+
+// Cache use by one job's searches, from the `cached` flag each search trace in the row
+// audits carries. The shared cache's own counters cover every job and request since startup.
+function jobCacheStats(searches) {
+  const hits = searches.filter(search => search.cached === true).length;
+  const misses = searches.filter(search => search.cached === false).length;
+  return { hits, misses, hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0 };
+}
+
+// Build the response summary once every row of a job has finished
+function summarizeCsvJob(job) {
+  const entries = job.results.filter(Boolean);
+  const count = outcome => entries.filter(entry => entry.outcome === outcome).length;
+
+  const totalItems = entries.filter(entry => entry.outcome !== 'empty').length;
+  const successfulFinds = count('found');
+  const errorCount = count('error');
+  const skippedItems = count('skipped');
+  const withinRangeCount = entries.filter(entry => entry.withinRange).length;
+
+  const processingTime = Math.round((Date.now() - new Date(job.startedAt).getTime()) / 1000);
+  const successRate = totalItems > 0 ? Math.round((successfulFinds / totalItems) * 100) : 0;
+  const avgTimePerItem = totalItems > 0 ? (processingTime / totalItems).toFixed(2) : 0;
+  const withinRangeRate = successfulFinds > 0 ? Math.round((withinRangeCount / successfulFinds) * 100) : 0;
+  const itemsPerSecond = totalItems > 0 ? (totalItems / Math.max(processingTime, 1)).toFixed(1) : 0;
+  const cacheStats = jobCacheStats(entries.flatMap(entry => (entry.audit && entry.audit.searches) || []));
+  const totals = ClaimColumns.totals(entries.filter(entry => entry.outcome !== 'empty').map(entry => entry.row));
+
+  // Where each searched row's target price came from; estimated targets make Within Range less reliable
+  const targetPriceSources = {};
+  for (const entry of entries) {
+    const source = entry.audit && entry.audit.targetPriceSource;
+    if (source) targetPriceSources[source] = (targetPriceSources[source] || 0) + 1;
+  }
+
+  console.log(`🎯 SAFE-FAST PROCESSING COMPLETE (job ${job.id}):`);
+  console.log(`   ⚡ ${totalItems} items in ${processingTime}s (${avgTimePerItem}s/item)`);
+  console.log(`   ✅ ${successfulFinds} found (${successRate}% success rate)`);
+  console.log(`   🎯 ${withinRangeCount} within range (${withinRangeRate}% accuracy)`);
+  console.log(`   ⏭️ ${skippedItems} skipped (bulk/generic items)`);
+  console.log(`   ❌ ${errorCount} errors`);
+  console.log(`   💵 $${totals.grandTotal} claim total across ${totals.pricedItems} priced items`);
+
+  return {
+    totalItems,
+    successfulFinds,
+    errorCount,
+    skippedItems,
+    withinRangeCount,
+    successRate: `${successRate}%`,
+    withinRangeRate: `${withinRangeRate}%`,
+    totals,
+    processingTime: `${processingTime}s`,
+    averageTimePerItem: `${avgTimePerItem}s`,
+    itemsPerSecond: `${itemsPerSecond}`,
+    cacheHitRate: `${cacheStats.hitRate}%`,
+    cache: cacheStats,
+    tolerance: `±${job.options.tolerance}%`,
+    minRelevance: insuranceItemPricer.resolveMinRelevance(job.options.pricing && job.options.pricing.minRelevance),
+    tax: job.options.tax || null,
+    targetPriceSources,
+    columnMappingUsed: job.meta.columnMap,
+    columnMapping: job.meta.mapping || null,
+    sheets: job.meta.sheets || [],
+    totalRowsProcessed: jobQueue.getOutputRows(job).length,
+    pricingProfile: job.options.profile || ProfileRegistry.shared().getDefault(),
+    pricingMode: insuranceItemPricer.resolveMode({ ...job.options.pricing, profile: job.options.profile }),
+    concurrency: jobQueue.concurrency,
+    serpApiUsage: RateLimiter.shared().getStats(),
+    performanceMode: 'SAFE-FAST: bounded-concurrency background job with a shared SerpAPI rate limiter'
+  };
+}
+
+// Pre-flight problems listed per kind; longer lists are cut off (the counts stay exact)
+const PREFLIGHT_LIST_LIMIT = 100;
+
+// Text decoded from the wrong encoding: "â€™" for a curly quote, "Ã©" for "é"
+const MOJIBAKE_PATTERN = /â€|Ã[\u0080-\u00bf]|Â[\u0080-\u00bf]/;
+
+// Number a user would look for in the file: the workbook row, or the CSV line (header is line 1)
+function fileRowNumber(row, index) {
+  return row[WorkbookReader.SOURCE_ROW] || index + 2;
+}
+
+// Everything a pricing run would trip over, found without a single search: encoding damage,
+// duplicate or missing item numbers, rows without a description, costs and quantities that
+// aren't numbers, rows that would be skipped, and the SerpAPI calls the run would make.
+// `rows` are parsed the way a run parses them; `rawRows` (CSV only) without number parsing.
+function preflightReport(rows, rawRows, columnMap, { validUtf8 = true, pricing = {}, profile = null } = {}) {
+  const issues = {
+    encoding: [],
+    duplicateItemNumbers: [],
+    missingItemNumber: [],
+    missingDescription: [],
+    invalidCosts: [],
+    invalidQuantities: [],
+    itemNumbersChanged: [],
+    skipped: []
+  };
+  const counts = Object.fromEntries(Object.keys(issues).map(kind => [kind, 0]));
+  const add = (kind, entry) => {
+    counts[kind]++;
+    if (issues[kind].length < PREFLIGHT_LIST_LIMIT) issues[kind].push(entry);
+  };
+
+  const byItemNumber = new Map();
+  const plannedRows = [];
+  let emptyRows = 0;
+
+  rows.forEach((row, index) => {
+    const line = fileRowNumber(row, index);
+
+    for (const [column, value] of Object.entries(row)) {
+      const text = value === null || value === undefined ? '' : String(value);
+      if (text.includes('\uFFFD')) add('encoding', { row: line, column, value: text, problem: 'unreadable character (�)' });
+      else if (MOJIBAKE_PATTERN.test(text)) add('encoding', { row: line, column, value: text, problem: 'text decoded with the wrong encoding' });
+    }
+
+    const itemNumber = fieldValue(row, columnMap, 'itemNumber');
+    const hasDescription = Boolean(fieldValue(row, columnMap, 'itemDescription') || fieldValue(row, columnMap, 'description'));
+
+    if (isEmptyRow(row, columnMap)) {
+      // A described row with no item number would be dropped without a word
+      if (hasDescription) add('missingItemNumber', { row: line, description: historyDescription(row, columnMap) });
+      else emptyRows++;
+      return;
+    }
+
+    if (itemNumber) {
+      if (!byItemNumber.has(itemNumber)) byItemNumber.set(itemNumber, []);
+      byItemNumber.get(itemNumber).push(line);
+
+      const raw = rawRows && rawRows[index] ? fieldValue(rawRows[index], columnMap, 'itemNumber') : itemNumber;
+      if (raw !== itemNumber) add('itemNumbersChanged', { row: line, written: raw, readAs: itemNumber });
+    }
+
+    if (!hasDescription) add('missingDescription', { row: line, itemNumber: itemNumber || null });
+
+    const cost = fieldValue(row, columnMap, 'costToReplace');
+    if (cost && !(parseFloat(cost.replace(/[$,\s]/g, '')) > 0)) add('invalidCosts', { row: line, itemNumber, value: cost });
+
+    const quantity = fieldValue(row, columnMap, 'quantity');
+    if (quantity && !(parseFloat(quantity.replace(/[,\s]/g, '')) > 0)) add('invalidQuantities', { row: line, itemNumber, value: quantity });
+
+    if (shouldSkipItem(row, columnMap)) {
+      add('skipped', { row: line, itemNumber, status: 'Skipped (Bulk/Generic)' });
+      return;
+    }
+    const queryResult = buildOptimalQuery(row, columnMap);
+    if (!queryResult.query) {
+      add('skipped', { row: line, itemNumber, status: 'No Search Terms' });
+      return;
+    }
+    plannedRows.push(queryResult.query);
+  });
+
+  for (const [itemNumber, lines] of byItemNumber) {
+    if (lines.length > 1) add('duplicateItemNumbers', { itemNumber, rows: lines });
+  }
+
+  const issueCount = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  return {
+    ready: issueCount === 0 && validUtf8,
+    validUtf8,
+    issueCount,
+    rows: {
+      total: rows.length,
+      empty: emptyRows,
+      toPrice: plannedRows.length,
+      skipped: counts.skipped
+    },
+    counts,
+    issues,
+    searchEstimate: searchEstimate(plannedRows, pricing, profile)
+  };
+}
+
+// SerpAPI calls a run would make. Every row's first query runs; the fallback rewrites only
+// run for rows the earlier queries don't price, so the real count falls between min and max.
+// Queries repeated in the file or already in the price cache cost nothing.
+function searchEstimate(queries, pricing = {}, profile = null) {
+  const provider = insuranceItemPricer.searchProvider.name;
+  const cache = PriceCache.shared();
+  const isCached = query => cache.has('shopping', PriceCache.key(provider, query));
+
+  const first = new Set();
+  const all = new Set();
+  let mode = null;
+  for (const query of queries) {
+    const plan = insuranceItemPricer.planSearches(query, { ...pricing, profile });
+    mode = plan.mode;
+    first.add(plan.queries[0]);
+    plan.queries.forEach(planned => all.add(planned));
+  }
+
+  const uncachedFirst = [...first].filter(query => !isCached(query)).length;
+  const uncachedAll = [...all].filter(query => !isCached(query)).length;
+  const usage = RateLimiter.shared().getStats();
+  // Only SerpAPI searches are metered against SERPAPI_MONTHLY_QUOTA
+  const metered = provider === 'serpapi';
+
+  return {
+    provider,
+    metered,
+    mode: mode ? mode.name : insuranceItemPricer.resolveMode({ ...pricing, profile }).name,
+    rowsSearched: queries.length,
+    uniqueQueries: first.size,
+    cachedQueries: first.size - uncachedFirst,
+    minCalls: uncachedFirst,
+    maxCalls: uncachedAll,
+    quota: usage.monthlyQuota,
+    remaining: usage.remaining,
+    exceedsQuota: metered && usage.remaining !== null ? uncachedAll > usage.remaining : false
+  };
+}
+
+// Statuses that make a re-validated row part of the diff report
+const REVALIDATION_CHANGES = ['price_up', 'price_down', 'out_of_stock', 'dead', 'unreachable', 'no_price', 'not_found'];
+
+// The listing an earlier run priced a row with, or null when the row was never priced.
+// Listing Price is what the retailer advertised, so it compares directly with a fresh offer;
+// files priced before pack handling only have Price.
+function pricedListing(row, columnMap = {}) {
+  const parsePrice = value => parseFloat(String(value == null ? '' : value).replace(/[$,]/g, ''));
+  const listingPrice = parsePrice(row['Listing Price']);
+  const price = listingPrice > 0 ? listingPrice : parsePrice(row['Price']);
+  if (!(price > 0)) return null;
+
+  const url = /^https?:\/\//i.test(String(row['URL'] || '')) ? String(row['URL']) : null;
+  const title = String(row['Description'] || row['Search Query Used'] || fieldValue(row, columnMap, 'itemDescription')).trim();
+  if (!url && !title) return null;
+
+  return { price, comparablePrice: parsePrice(row['Price']) || price, url, title, source: row['Source'] || null };
+}
+
+function revalidationColumns(check) {
+  return {
+    'Revalidation Status': check.status,
+    'Current Price': check.currentPrice != null ? check.currentPrice : '',
+    'Price Drift %': check.driftPercent != null ? check.driftPercent : '',
+    'Checked Via': check.checkedVia || '',
+    'Revalidated At': check.checkedAt || new Date().toISOString()
+  };
+}
+
+// Re-check one row of an already-priced file. Returns a job result entry whose outcome
+// is the ListingRevalidator status, 'not_priced', 'empty' or 'error'.
+async function processRevalidationRow(row, index, job) {
+  const columnMap = job.meta.columnMap || {};
+  if (isEmptyRow(row, columnMap)) {
+    return { outcome: 'empty', row: null, audit: { outcome: 'empty', reason: 'Row has no item number' } };
+  }
+
+  const listing = pricedListing(row, columnMap);
+  if (!listing) {
+    return {
+      outcome: 'not_priced',
+      row: { ...row, ...revalidationColumns({ status: 'not_priced' }) },
+      audit: { outcome: 'not_priced', reason: 'Row has no stored price with a URL or title' }
+    };
+  }
+
+  try {
+    const check = await ListingRevalidator.shared().recheck(listing, job.options.revalidation);
+
+    // A fresh price feeds price history like any other find, scaled back to the claim pack
+    if (check.currentPrice > 0) {
+      PriceHistory.shared().record({
+        jobId: job.id,
+        itemNumber: itemNumberOf(row, columnMap, index),
+        description: historyDescription(row, columnMap),
+        query: row['Search Query Used'] || null,
+        category: row['Cat'] || null,
+        subcategory: row['Sub Cat'] || null,
+        price: +(listing.comparablePrice * (check.currentPrice / listing.price)).toFixed(2),
+        source: listing.source,
+        url: listing.url,
+        title: check.currentTitle || listing.title,
+        recordedAt: check.fetchedAt,
+        fromCache: check.checkedVia === 'search' ? check.search.cached : false,
+        targetSource: row['Target Price Source'] || null
+      });
+    }
+
+    return {
+      outcome: check.status,
+      row: { ...row, ...revalidationColumns(check) },
+      audit: { outcome: check.status, listing, ...check }
+    };
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') throw error;
+
+    console.error(`❌ Error re-checking row ${index + 1}:`, error.message);
+    return {
+      outcome: 'error',
+      row: { ...row, ...revalidationColumns({ status: 'error' }) },
+      audit: { outcome: 'error', listing, error: error.message }
+    };
+  }
+}
+
+function summarizeRevalidationJob(job) {
+  const entries = job.results.filter(entry => entry && entry.outcome !== 'empty');
+  const statusCounts = {};
+  for (const entry of entries) {
+    statusCounts[entry.outcome] = (statusCounts[entry.outcome] || 0) + 1;
+  }
+
+  const totalItems = entries.length;
+  const pricedItems = totalItems - (statusCounts.not_priced || 0);
+  const changedItems = entries.filter(entry => REVALIDATION_CHANGES.includes(entry.outcome)).length;
+  const processingTime = Math.round((Date.now() - new Date(job.startedAt).getTime()) / 1000);
+  const cacheStats = jobCacheStats(entries.map(entry => entry.audit && entry.audit.search).filter(Boolean));
+
+  console.log(`🔁 RE-VALIDATION COMPLETE (job ${job.id}):`);
+  console.log(`   📦 ${pricedItems} priced rows re-checked in ${processingTime}s`);
+  console.log(`   ✅ ${statusCounts.unchanged || 0} unchanged, ⚠️ ${changedItems} changed`);
+
+  return {
+    mode: 'revalidation',
+    totalItems,
+    pricedItems,
+    unchangedItems: statusCounts.unchanged || 0,
+    changedItems,
+    errorCount: statusCounts.error || 0,
+    statusCounts,
+    driftPercent: job.options.revalidation.driftPercent,
+    checkPages: job.options.revalidation.checkPages,
+    processingTime: `${processingTime}s`,
+    cacheHitRate: `${cacheStats.hitRate}%`,
+    cache: cacheStats,
+    totalRowsProcessed: jobQueue.getOutputRows(job).length,
+    serpApiUsage: RateLimiter.shared().getStats(),
+    diffUrl: `/api/jobs/${job.id}/diff`
+  };
+}
+
+// Background job queue - jobs survive restarts and resume from the last finished row
+const jobQueue = new JobQueue();
+jobQueue.registerHandler('csv-pricing', {
+  processRow: processCsvRow,
+  summarize: summarizeCsvJob
+});
+jobQueue.registerHandler('csv-revalidation', {
+  processRow: processRevalidationRow,
+  summarize: summarizeRevalidationJob
+});
+if (insuranceItemPricer) {
+  jobQueue.resumePending();
+}
+
+// Upload preview: the sheets of a workbook (or the single sheet of a CSV) with each
+// sheet's detected header row, columns, row count and first rows, so the user can pick
+// which sheets to process before queueing the file
+router.post('/api/preview-file', upload.single('csvFile'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file uploaded' });
+    }
+
+    // Validates mappingTemplate / columnMap up front so a bad one fails here, not per sheet
+    mappingOptionsFrom(req.body);
+    const preview = WorkbookReader.preview(req.file, {
+      sampleRows: Math.min(parseInt(req.query.sampleRows) || 5, 50),
+      accepts: headers => hasDescriptionColumn(headers, req.body)
+    });
+    res.json({
+      success: true,
+      ...preview,
+      sheets: preview.sheets.map(sheet => {
+        if (!sheet.headers.length) return { ...sheet, mapping: null };
+        try {
+          return { ...sheet, mapping: columnMappingFor(sheet.headers, req.body) };
+        } catch (error) {
+          return { ...sheet, mapping: null, mappingError: error.message };
+        }
+      }),
+      fields: ColumnMappingRegistry.FIELDS,
+      templates: ColumnMappingRegistry.shared().list().map(template => ({ id: template.id, name: template.name }))
+    });
+  } catch (error) {
+    console.error('❌ File preview error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to read file',
+      message: error.message
+    });
+  }
+});
+
+// Pre-flight check of an upload - parses and maps the file exactly as /api/process-csv
+// would and reports what would go wrong, plus the search calls the run would cost. Takes
+// the same fields as /api/process-csv; nothing is searched or queued.
+router.post('/api/preflight', upload.single('csvFile'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file uploaded' });
+    }
+
+    if (!insuranceItemPricer) {
+      return res.status(500).json({ error: 'Pricing service not available. Check SERPAPI_KEY configuration.' });
+    }
+
+    const profile = profileFrom(req.body);
+    const pricing = pricingOptionsFrom(req.body, profile);
+
+    const rows = parseFileData(req.file, req.body);
+    const isWorkbook = WorkbookReader.isWorkbook(req.file);
+    const rawRows = isWorkbook ? null : WorkbookReader.parseCsv(req.file, { dynamicTyping: false });
+    const headers = Object.keys(rows[0] || {});
+    const { columnMap, ...mapping } = columnMappingFor(headers, req.body);
+    requireDescriptionColumn(columnMap);
+
+    const report = preflightReport(rows, rawRows, columnMap, {
+      validUtf8: isWorkbook || WorkbookReader.isValidUtf8(req.file.buffer),
+      pricing,
+      profile
+    });
+    console.log(`🛫 Pre-flight ${req.file.originalname}: ${report.rows.toPrice} rows to price, ${report.issueCount} issue(s), ${report.searchEstimate.minCalls}-${report.searchEstimate.maxCalls} search calls`);
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      columnMap,
+      columnMapping: mapping,
+      sheets: sheetsIn(rows),
+      pricingProfile: profile.id,
+      ...report
+    });
+  } catch (error) {
+    console.error('❌ Pre-flight error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to check file',
+      message: error.message
+    });
+  }
+});
+
+// CSV Processing Route - queues the file and returns a job ID right away
+router.post('/api/process-csv', upload.single('csvFile'), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No CSV file uploaded' });
@@ -192,240 +939,566 @@ router.post('/api/process-csv', upload.single('csvFile'), async (req, res) => {
       return res.status(500).json({ error: 'Pricing service not available. Check SERPAPI_KEY configuration.' });
     }
 
-    const tolerance = parseInt(req.body.tolerance) || 10;
-    const startTime = Date.now();
+    const profile = profileFrom(req.body);
+    const tolerance = ProfileRegistry.toleranceFor(profile, req.body.tolerance);
+    const pricing = pricingOptionsFrom(req.body, profile);
+    const tax = taxOptionsFrom(req.body);
 
     // Parse file data
-    const csvData = parseFileData(req.file);
-    console.log(`🚀 SAFE-FAST processing ${csvData.length} rows from ${req.file.originalname}`);
+    const csvData = parseFileData(req.file, req.body);
+    console.log(`🚀 SAFE-FAST queueing ${csvData.length} rows from ${req.file.originalname}`);
 
-    // Detect column mappings flexibly
+    // Map columns: manual map, mapping template (picked or matched by fingerprint), header rules
     const headers = Object.keys(csvData[0] || {});
-    const columnMap = detectColumns(headers);
-    console.log('🔧 Detected columns:', columnMap);
+    const { columnMap, ...mapping } = columnMappingFor(headers, req.body);
+    requireDescriptionColumn(columnMap);
+    console.log(`🔧 Column map (${mapping.source}${mapping.templateId ? `: ${mapping.templateId}` : ''}):`, columnMap);
 
-    let successfulFinds = 0;
-    let totalItems = 0;
-    let errorCount = 0;
-    let withinRangeCount = 0;
-    let skippedItems = 0; // SAFE-FAST: Track skipped items
+    const job = jobQueue.createJob('csv-pricing', {
+      fileName: req.file.originalname,
+      rows: csvData,
+      options: { tolerance, pricing, profile, tax, evidence: evidenceOptionsFrom(req.body) },
+      meta: { columnMap, mapping, sheets: sheetsIn(csvData), headerRows: sheetOptionsFrom(req.body).headerRows },
+      upload: WorkbookWriter.canWrite(req.file.originalname) ? req.file.buffer : null
+    });
 
-    // SAFE-FAST: Process rows with optimizations but maintain quality
-    const processedRows = [];
-    
-    for (let index = 0; index < csvData.length; index++) {
-      const row = csvData[index];
-      
-      try {
-        // Skip empty rows
-        if (!row['Item #']) {
-          console.log(`⏭️ Skipping empty row ${index + 1}`);
-          continue;
-        }
+    res.status(202).json({
+      success: true,
+      message: 'CSV accepted for background processing',
+      jobId: job.id,
+      status: job.status,
+      totalRows: job.totalRows,
+      statusUrl: `/api/jobs/${job.id}`,
+      resultUrl: `/api/jobs/${job.id}/result`
+    });
 
-        totalItems++;
-        
-        // MINOR OPTIMIZATION: Reduced logging frequency
-        if (totalItems % 25 === 0 || totalItems <= 5) {
-          const elapsed = (Date.now() - startTime) / 1000;
-          const rate = (totalItems / elapsed).toFixed(1);
-          const eta = Math.round((csvData.length - totalItems) / parseFloat(rate));
-          console.log(`⚡ ${totalItems}/${csvData.length} | ${rate}/s | ETA: ${eta}s | Success: ${((successfulFinds/totalItems)*100).toFixed(1)}% | Cache: ${insuranceItemPricer.cacheHits}`);
-        }
+  } catch (error) {
+    console.error('❌ SAFE-FAST processing error:', error);
+    res.status(errorStatus(error)).json({ 
+      success: false,
+      error: 'Failed to process CSV file',
+      message: error.message 
+    });
+  }
+});
 
-        // SAFE-FAST: Smart target price calculation with caching
-        let targetPrice = parseFloat(row['Cost to Replace Pre-Tax (each)']?.toString().replace(/[$,\s]/g, ''));
-        
-        if (!targetPrice || isNaN(targetPrice)) {
-          targetPrice = getSmartTargetPrice(row['Desc'], row['Item Description']);
-        }
+// Re-validation - re-checks the prices of a file /api/process-csv already priced.
+// Each priced row gets one search for its stored title (and, with checkPages, a fetch of
+// its stored URL when search no longer shows it) instead of a full re-search.
+router.post('/api/revalidate-csv', upload.single('csvFile'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file uploaded' });
+    }
 
-        // SAFE-FAST: Check if we should skip this item (saves time on impossible items)
-        if (shouldSkipItem(row)) {
-          skippedItems++;
-          console.log(`⏭️ Skipping difficult item ${row['Item #']}: "${row['Item Description']}"`);
-          processedRows.push({
-            ...row,
-            'Price': '',
-            'Cat': '',
-            'Sub Cat': '',
-            'Source': '',
-            'URL': '',
-            'Pricer': 'Manual Validation Required',
-            'Search Status': 'Skipped (Bulk/Generic)',
-            'Search Query Used': 'Item skipped for efficiency',
-            'Query Strategy': 'Skipped'
-          });
-          continue;
-        }
+    if (!insuranceItemPricer) {
+      return res.status(500).json({ error: 'Pricing service not available. Check SERPAPI_KEY configuration.' });
+    }
 
-        // SAFE-FAST: Build optimal search query
-        const queryResult = buildOptimalQuery(row, columnMap);
+    const revalidation = {
+      driftPercent: ListingRevalidator.validateDrift(req.body.driftPercent),
+      checkPages: !['false', '0', 'off', 'no'].includes(String(req.body.checkPages || '').toLowerCase())
+    };
 
-        // Skip if no meaningful search terms
-        if (!queryResult.query) {
-          console.log(`⚠️ No search terms for row ${row['Item #']}`);
-          processedRows.push({
-            ...row,
-            'Price': '',
-            'Cat': '',
-            'Sub Cat': '',
-            'Source': '',
-            'URL': '',
-            'Pricer': 'Manual Validation Required',
-            'Search Status': 'No Search Terms',
-            'Search Query Used': 'No valid search terms found',
-            'Query Strategy': 'No Valid Terms'
-          });
-          continue;
-        }
+    const csvData = parseFileData(req.file, req.body);
+    const headers = Object.keys(csvData[0] || {});
+    if (!headers.includes('Price') || !(headers.includes('URL') || headers.includes('Description'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'File has not been priced',
+        message: 'Re-validation needs the Price and URL (or Description) columns that /api/process-csv writes'
+      });
+    }
 
-        // Call the pricing service
-        const result = await insuranceItemPricer.findBestPrice(queryResult.query, targetPrice, tolerance);
+    const { columnMap, ...mapping } = columnMappingFor(headers, req.body);
+    const pricedRows = csvData.filter(row => pricedListing(row, columnMap)).length;
+    if (!pricedRows) {
+      return res.status(400).json({ success: false, error: 'No priced rows to re-check' });
+    }
 
-        if (result && result.found) {
-          successfulFinds++;
-          
-          // Calculate if result is within price range
-          const minPrice = targetPrice * (1 - tolerance/100);
-          const maxPrice = targetPrice * (1 + tolerance/100);
-          const isWithinRange = result.price >= minPrice && result.price <= maxPrice;
-          
-          if (isWithinRange) withinRangeCount++;
-          
-          processedRows.push({
-            ...row,
-            'Price': result.price,
-            'Cat': result.category || 'HSW',
-            'Sub Cat': result.subcategory || 'General',
-            'Source': result.source,
-            'URL': result.url,
-            'Pricer': 'AI-Enhanced',
-            'Search Status': 'Found',
-            'Search Query Used': queryResult.query,
-            'Query Strategy': queryResult.strategy,
-            'Target Price Used': targetPrice,
-            'Within Range': isWithinRange ? 'Yes' : 'No',
-            'Description': result.description || row[columnMap.description] || row['Description'] || row['Desc'] || row['Item Description'] || ''
-          });
-        } else {
-          processedRows.push({
-            ...row,
-            'Price': '',
-            'Cat': '',
-            'Sub Cat': '',
-            'Source': '',
-            'URL': '',
-            'Pricer': 'Manual Validation Required',
-            'Search Status': 'No Results Found',
-            'Search Query Used': queryResult.query,
-            'Query Strategy': queryResult.strategy,
-            'Target Price Used': targetPrice
-          });
-        }
-        
-        // MINOR OPTIMIZATION: Slightly more aggressive delays
-        if (index < csvData.length - 1) {
-          const currentSuccessRate = successfulFinds / totalItems;
-          const progressPercent = totalItems / csvData.length;
-          
-          let delayMs = 25; // Slightly faster base delay
-          
-          // Adaptive delay based on performance
-          if (currentSuccessRate > 0.9) delayMs = 15;        // Faster when very successful
-          else if (currentSuccessRate > 0.8) delayMs = 25;   // Faster when successful  
-          else if (currentSuccessRate > 0.6) delayMs = 40;   // Faster when decent
-          else if (currentSuccessRate < 0.5) delayMs = 60;   // Faster when struggling
-          
-          // Speed up significantly towards the end
-          if (progressPercent > 0.9) delayMs = Math.max(12, delayMs * 0.5);
-          else if (progressPercent > 0.8) delayMs = Math.max(18, delayMs * 0.7);
-          
-          await delay(delayMs);
-        }
+    console.log(`🔁 Queueing re-validation of ${pricedRows}/${csvData.length} priced rows from ${req.file.originalname}`);
+    const job = jobQueue.createJob('csv-revalidation', {
+      fileName: req.file.originalname,
+      rows: csvData,
+      options: { revalidation },
+      meta: { columnMap, mapping, pricedRows, headerRows: sheetOptionsFrom(req.body).headerRows },
+      upload: WorkbookWriter.canWrite(req.file.originalname) ? req.file.buffer : null
+    });
 
-      } catch (error) {
-        console.error(`❌ Error processing row ${index + 1}:`, error.message);
-        errorCount++;
-        
-        processedRows.push({
-          ...row,
-          'Price': '',
-          'Cat': '',
-          'Sub Cat': '',
-          'Source': '',
-          'URL': '',
-          'Pricer': 'Error - Manual Review Required',
-          'Search Status': 'Processing Error',
-          'Search Query Used': 'Error during processing'
-        });
+    res.status(202).json({
+      success: true,
+      message: 'File accepted for re-validation',
+      jobId: job.id,
+      status: job.status,
+      totalRows: job.totalRows,
+      pricedRows,
+      statusUrl: `/api/jobs/${job.id}`,
+      resultUrl: `/api/jobs/${job.id}/result`,
+      diffUrl: `/api/jobs/${job.id}/diff`
+    });
+
+  } catch (error) {
+    console.error('❌ Re-validation error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to re-validate file',
+      message: error.message
+    });
+  }
+});
+
+// Job status: progress, ETA and partial results (?since=<row index> to page through new rows)
+router.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
 
-        // Continue processing even if one item fails
-        continue;
+  const since = parseInt(req.query.since) || 0;
+  res.json({ success: true, ...jobQueue.getStatus(job, { since }) });
+});
+
+// Server-Sent Events stream of a job: one "row" event per priced, skipped or failed row
+// (rows already finished are replayed on connect), then "complete" or "failed"
+router.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const rowEvent = (index, entry) => ({
+    jobId: job.id,
+    index,
+    outcome: entry.outcome,
+    progress: jobQueue.getProgress(job),
+    row: entry.row
+  });
+
+  const finish = () => {
+    // Rows were already sent as "row" events; skip copying them into the status
+    const { results, ...status } = jobQueue.getStatus(job, { since: job.results.length });
+    send(job.status === 'failed' ? 'failed' : 'complete', status);
+    cleanup();
+    res.end();
+  };
+
+  const onRow = (rowJob, index, entry) => {
+    if (rowJob.id !== job.id) return;
+    if (entry.row) {
+      send('row', rowEvent(index, entry));
+    } else {
+      send('progress', { jobId: job.id, index, progress: jobQueue.getProgress(job) });
+    }
+  };
+
+  const onDone = (doneJob) => {
+    if (doneJob.id === job.id) finish();
+  };
+
+  // Comment line every 15s so proxies don't drop an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    jobQueue.off('row', onRow);
+    jobQueue.off('completed', onDone);
+    jobQueue.off('failed', onDone);
+  }
+
+  // Replay rows that finished before the client connected
+  job.results.forEach((entry, index) => {
+    if (entry && entry.row) send('row', rowEvent(index, entry));
+  });
+
+  if (job.status === 'completed' || job.status === 'failed') {
+    return finish();
+  }
+
+  jobQueue.on('row', onRow);
+  jobQueue.on('completed', onDone);
+  jobQueue.on('failed', onDone);
+  req.on('close', cleanup);
+});
+
+// Rows that still need a person: unpriced rows and rows that failed
+function needsManualReview(row) {
+  return /Manual (Validation|Review) Required/.test(row['Pricer'] || '');
+}
+
+// Final output for a completed job as CSV (default) or XLSX. format=workbook writes the
+// results into a copy of the uploaded .xlsx file, keeping its formatting, with a Summary sheet.
+router.get('/api/jobs/:id/result', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  if (job.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: `Job is ${job.status}; results are available once it completes`,
+      progress: jobQueue.getProgress(job)
+    });
+  }
+
+  const outputRows = jobQueue.getOutputRows(job);
+  const baseName = (job.fileName || 'processed_inventory').replace(/\.(csv|xlsx|xls)$/i, '');
+  const suffix = job.type === 'csv-revalidation' ? 'revalidated' : 'processed';
+
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (format === 'workbook') {
+    const upload = jobQueue.getUpload(job);
+    if (!upload) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only jobs uploaded as an .xlsx file can be written back into the workbook; use format=xlsx instead'
+      });
+    }
+
+    try {
+      const entries = job.results
+        .map((entry, index) => entry && entry.row ? { input: job.rows[index], output: entry.row } : null)
+        .filter(Boolean);
+      const buffer = WorkbookWriter.write(upload, entries, {
+        headerRows: job.meta.headerRows || {},
+        summary: job.summary,
+        highlight: needsManualReview
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}_${suffix}.xlsx"`);
+      return res.send(buffer);
+    } catch (error) {
+      if (error.code === 'WORKBOOK_OUTPUT_UNAVAILABLE') {
+        return res.status(409).json({ success: false, error: error.message });
       }
+      console.error('❌ Failed to write results into workbook:', error);
+      return res.status(500).json({ success: false, error: 'Failed to write results into workbook', message: error.message });
     }
+  }
 
-    // Calculate processing time and success rate
-    const processingTime = Math.round((Date.now() - startTime) / 1000);
-    const successRate = totalItems > 0 ? Math.round((successfulFinds / totalItems) * 100) : 0;
-    const avgTimePerItem = totalItems > 0 ? (processingTime / totalItems).toFixed(2) : 0;
-    const withinRangeRate = successfulFinds > 0 ? Math.round((withinRangeCount / successfulFinds) * 100) : 0;
-    const itemsPerSecond = totalItems > 0 ? (totalItems / processingTime).toFixed(1) : 0;
-    const cacheHitRate = totalItems > 0 ? Math.round((insuranceItemPricer.cacheHits / totalItems) * 100) : 0;
+  if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(outputRows), 'Results');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 
-    // Convert back to CSV
-    const outputCsv = Papa.unparse(processedRows);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}_${suffix}.xlsx"`);
+    return res.send(buffer);
+  }
 
-    // Enhanced response with SAFE-FAST statistics
-    const response = {
-      success: true,
-      message: 'CSV processed successfully with SAFE-FAST optimization (1-2s per item)',
-      summary: {
-        totalItems,
-        successfulFinds,
-        errorCount,
-        skippedItems,
-        withinRangeCount,
-        successRate: `${successRate}%`,
-        withinRangeRate: `${withinRangeRate}%`,
-        processingTime: `${processingTime}s`,
-        averageTimePerItem: `${avgTimePerItem}s`,
-        itemsPerSecond: `${itemsPerSecond}`,
-        cacheHitRate: `${cacheHitRate}%`,
-        tolerance: `±${tolerance}%`,
-        columnMappingUsed: columnMap,
-        totalRowsProcessed: processedRows.length,
-        performanceMode: 'SAFE-FAST: 1-2s per item with smart caching and query optimization'
-      },
-      results: processedRows,
-      outputCsv: outputCsv
-    };
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}_${suffix}.csv"`);
+  res.send(Papa.unparse(outputRows));
+});
+
+// Claim valuation report (PDF) of a finished pricing job: claim totals on the cover, then
+// every line item with its target, found price, retailer and listing link
+router.get('/api/jobs/:id/report', async (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (job.type !== 'csv-pricing') {
+    return res.status(409).json({ success: false, error: 'Valuation reports are only available for pricing jobs' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: `Job is ${job.status}; the report is available once it completes`,
+      progress: jobQueue.getProgress(job)
+    });
+  }
 
-    console.log(`🎯 SAFE-FAST PROCESSING COMPLETE:`);
-    console.log(`   ⚡ ${totalItems} items in ${processingTime}s (${avgTimePerItem}s/item)`);
-    console.log(`   ✅ ${successfulFinds} found (${successRate}% success rate)`);
-    console.log(`   🎯 ${withinRangeCount} within range (${withinRangeRate}% accuracy)`);
-    console.log(`   ⏭️ ${skippedItems} skipped (bulk/generic items)`);
-    console.log(`   💨 ${insuranceItemPricer.cacheHits} cache hits (${cacheHitRate}% cache rate)`);
-    console.log(`   ❌ ${errorCount} errors`);
-    console.log(`   🚀 Rate: ${itemsPerSecond} items/second`);
+  try {
+    const columnMap = job.meta.columnMap || {};
+    const items = job.results
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => entry && entry.row && entry.outcome !== 'empty')
+      .map(({ entry, index }) => {
+        const input = job.rows[index];
+        const row = entry.row;
+        return {
+          itemNumber: itemNumberOf(input, columnMap, index),
+          description: fieldValue(input, columnMap, 'itemDescription') || fieldValue(input, columnMap, 'description'),
+          target: row['Target Price Used'] !== undefined && row['Target Price Used'] !== '' ? row['Target Price Used'] : fieldValue(input, columnMap, 'costToReplace'),
+          price: row['Price'],
+          retailer: row['Source'],
+          url: row['URL'],
+          status: row['Search Status'],
+          needsReview: needsManualReview(row)
+        };
+      });
 
-    res.json(response);
+    const buffer = await ClaimReport.render({
+      fileName: job.fileName,
+      jobId: job.id,
+      generatedAt: new Date().toISOString(),
+      summary: job.summary,
+      items
+    });
 
+    const baseName = (job.fileName || 'processed_inventory').replace(/\.(csv|xlsx|xls)$/i, '');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}_valuation_report.pdf"`);
+    res.send(buffer);
   } catch (error) {
-    console.error('❌ SAFE-FAST processing error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to process CSV file',
-      message: error.message 
+    console.error('❌ Failed to build valuation report:', error);
+    res.status(500).json({ success: false, error: 'Failed to build valuation report', message: error.message });
+  }
+});
+
+// Audit record of one finished row, keyed by the same row index as the status and event stream
+function auditEntry(job, index) {
+  const entry = job.results[index];
+  return {
+    index,
+    itemNumber: itemNumberOf(job.rows[index], job.meta.columnMap || {}, index),
+    outcome: entry.outcome,
+    audit: entry.audit || null
+  };
+}
+
+// Audit trail for the whole file as a JSON sidecar download. Rows that have not
+// finished yet are left out, so a running job gives a partial trail.
+router.get('/api/jobs/:id/audit', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const rows = [];
+  job.results.forEach((entry, index) => {
+    if (entry) rows.push(auditEntry(job, index));
+  });
+
+  const baseName = (job.fileName || 'processed_inventory').replace(/\.(csv|xlsx|xls)$/i, '');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}_audit.json"`);
+  res.json({
+    jobId: job.id,
+    fileName: job.fileName,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    tolerance: job.options.tolerance,
+    pricingProfile: (job.options.profile || ProfileRegistry.shared().getDefault()).id,
+    rows
+  });
+});
+
+// Row index from a job URL, or sends a 404 and returns null
+function jobRowIndex(job, req, res) {
+  const index = Number(req.params.rowIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= job.rows.length) {
+    res.status(404).json({ success: false, error: `Row ${req.params.rowIndex} not found; rows are numbered 0 to ${job.rows.length - 1}` });
+    return null;
+  }
+  return index;
+}
+
+// Audit record for one row of a job
+router.get('/api/jobs/:id/audit/:rowIndex', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const index = jobRowIndex(job, req, res);
+  if (index === null) return;
+
+  if (!job.results[index]) {
+    return res.status(409).json({ success: false, error: `Row ${index} has not been processed yet` });
+  }
+
+  const baseName = (job.fileName || 'processed_inventory').replace(/\.(csv|xlsx|xls)$/i, '');
+  if (req.query.download) {
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}_row-${index}_audit.json"`);
+  }
+  res.json({ success: true, jobId: job.id, ...auditEntry(job, index) });
+});
+
+// Evidence bundle of a job as a JSON download: the stored shopping result of every matched
+// row with its hashes, and with ?includeSnapshots the saved retailer pages too
+router.get('/api/jobs/:id/evidence', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const store = EvidenceStore.shared();
+  const rows = store.list(job.id).map(record => {
+    if (!req.query.includeSnapshots || !record.snapshot || !record.snapshot.file) return record;
+    return { ...record, snapshotHtml: store.getSnapshot(job.id, record.rowIndex) };
+  });
+
+  const baseName = (job.fileName || 'processed_inventory').replace(/\.(csv|xlsx|xls)$/i, '');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}_evidence.json"`);
+  res.json({
+    jobId: job.id,
+    fileName: job.fileName,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    snapshots: Boolean(job.options.evidence && job.options.evidence.snapshots),
+    generatedAt: new Date().toISOString(),
+    total: rows.length,
+    rows
+  });
+});
+
+// Evidence record for one row of a job
+router.get('/api/jobs/:id/evidence/:rowIndex', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const index = jobRowIndex(job, req, res);
+  if (index === null) return;
+
+  if (!job.results[index]) {
+    return res.status(409).json({ success: false, error: `Row ${index} has not been processed yet` });
+  }
+
+  const record = EvidenceStore.shared().get(job.id, index);
+  if (!record) {
+    return res.status(404).json({ success: false, error: `No evidence for row ${index}; only matched rows have evidence`, outcome: job.results[index].outcome });
+  }
+
+  const baseName = (job.fileName || 'processed_inventory').replace(/\.(csv|xlsx|xls)$/i, '');
+  if (req.query.download) {
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}_row-${index}_evidence.json"`);
+  }
+  res.json({ success: true, ...record });
+});
+
+// Saved retailer page for one row. Served as a download in a sandbox so the page's own
+// markup can't run against this app.
+router.get('/api/jobs/:id/evidence/:rowIndex/snapshot', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const index = jobRowIndex(job, req, res);
+  if (index === null) return;
+
+  const html = EvidenceStore.shared().getSnapshot(job.id, index);
+  if (html === null) {
+    return res.status(404).json({ success: false, error: `No page snapshot for row ${index}` });
+  }
+
+  const baseName = (job.fileName || 'processed_inventory').replace(/\.(csv|xlsx|xls)$/i, '');
+  res.setHeader('Content-Security-Policy', 'sandbox');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}_row-${index}_snapshot.html"`);
+  res.type('html').send(html);
+});
+
+// Diff report of a re-validation job: every priced row whose listing drifted past the
+// threshold, went out of stock, died or could not be confirmed. JSON, or ?format=csv.
+// Rows still being checked are left out, so a running job gives a partial report.
+router.get('/api/jobs/:id/diff', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (job.type !== 'csv-revalidation') {
+    return res.status(400).json({ success: false, error: 'Diff reports are only available for re-validation jobs (/api/revalidate-csv)' });
+  }
+  const columnMap = job.meta.columnMap || {};
+
+  const changes = [];
+  job.results.forEach((entry, index) => {
+    if (!entry || !REVALIDATION_CHANGES.includes(entry.outcome)) return;
+    const audit = entry.audit || {};
+    const listing = audit.listing || {};
+    changes.push({
+      index,
+      itemNumber: itemNumberOf(job.rows[index], columnMap, index),
+      itemDescription: fieldValue(job.rows[index], columnMap, 'itemDescription') || null,
+      status: entry.outcome,
+      title: listing.title || null,
+      currentTitle: audit.currentTitle || null,
+      source: listing.source || null,
+      url: listing.url || null,
+      storedPrice: listing.price != null ? listing.price : null,
+      currentPrice: audit.currentPrice != null ? audit.currentPrice : null,
+      driftPercent: audit.driftPercent != null ? audit.driftPercent : null,
+      checkedVia: audit.checkedVia || null,
+      httpStatus: audit.httpStatus || null
     });
+  });
+
+  const baseName = (job.fileName || 'processed_inventory').replace(/\.(csv|xlsx|xls)$/i, '');
+  if ((req.query.format || 'json').toLowerCase() === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}_diff.csv"`);
+    return res.send(Papa.unparse(changes.map(change => ({
+      'Row': change.index + 1,
+      'Item #': change.itemNumber,
+      'Item Description': change.itemDescription,
+      'Status': change.status,
+      'Stored Price': change.storedPrice,
+      'Current Price': change.currentPrice != null ? change.currentPrice : '',
+      'Price Drift %': change.driftPercent != null ? change.driftPercent : '',
+      'Checked Via': change.checkedVia || '',
+      'Source': change.source || '',
+      'URL': change.url || '',
+      'Title': change.title || ''
+    })), { columns: ['Row', 'Item #', 'Item Description', 'Status', 'Stored Price', 'Current Price', 'Price Drift %', 'Checked Via', 'Source', 'URL', 'Title'] }));
   }
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    fileName: job.fileName,
+    status: job.status,
+    driftPercent: job.options.revalidation.driftPercent,
+    checkedRows: job.results.filter(entry => entry && entry.outcome !== 'empty' && entry.outcome !== 'not_priced').length,
+    changedRows: changes.length,
+    changes
+  });
+});
+
+// Price cache statistics (hits, misses and TTL per namespace)
+router.get('/api/cache/stats', (req, res) => {
+  res.json({ success: true, ...PriceCache.shared().getStats() });
+});
+
+// Clear the price cache, or one namespace of it (?namespace=shopping)
+router.delete('/api/cache', (req, res) => {
+  const namespace = req.query.namespace || null;
+  PriceCache.shared().clear(namespace);
+  res.json({ success: true, cleared: namespace || 'all' });
+});
+
+// Pricing profiles the UI can offer
+router.get('/api/profiles', (req, res) => {
+  const profiles = ProfileRegistry.shared();
+  res.json({ success: true, defaultProfile: profiles.defaultProfileId, profiles: profiles.list() });
+});
+
+// Pricing modes the UI can offer
+router.get('/api/pricing-modes', (req, res) => {
+  res.json({ success: true, ...InsuranceItemPricer.listModes() });
 });
 
 // Single item processing route - matches your interface
 router.post('/api/process-item', async (req, res) => {
   try {
-    const { itemDescription, brand, model, costToReplace, tolerance } = req.body;
+    const { itemDescription, brand, model, costToReplace, tolerance, quantity, age, condition } = req.body;
     
     if (!itemDescription) {
       return res.status(400).json({ error: 'Item description is required' });
@@ -436,11 +1509,7 @@ router.post('/api/process-item', async (req, res) => {
       return res.status(500).json({ error: 'Pricing service not available. Check SERPAPI_KEY configuration.' });
     }
 
-    // SAFE-FAST: Smart target price calculation
-    let targetPrice = costToReplace ? parseFloat(costToReplace) : null;
-    if (!targetPrice) {
-      targetPrice = getSmartTargetPrice(itemDescription, itemDescription);
-    }
+    const { targetPrice, estimate: targetEstimate } = targetPriceFor(costToReplace, itemDescription);
 
     // Build search query combining all fields
     const searchParts = [
@@ -450,25 +1519,61 @@ router.post('/api/process-item', async (req, res) => {
     ].filter(part => part && part.trim() !== '');
 
     const combinedQuery = searchParts.join(' ').trim();
-    const toleranceValue = tolerance ? parseInt(tolerance) : 10;
+    const profile = profileFrom(req.body);
+    const toleranceValue = ProfileRegistry.toleranceFor(profile, tolerance);
+    const pricing = pricingOptionsFrom(req.body, profile);
+    const tax = taxOptionsFrom(req.body);
 
     console.log(`🔍 SAFE-FAST single item test: "${combinedQuery}"`);
     
-    const result = await insuranceItemPricer.findBestPrice(combinedQuery, targetPrice, toleranceValue);
+    const result = await insuranceItemPricer.findBestPrice(combinedQuery, targetPrice, toleranceValue, { ...pricing, profile, brand, model });
     
     let responseResult;
     
     if (result && result.found) {
+      const units = parseFloat(quantity) > 0 ? parseFloat(quantity) : 1;
+      const cost = ClaimColumns.cost(result, {}, tax);
+      result.audit.tax = cost.tax;
+
+      PriceHistory.shared().record({
+        description: itemDescription,
+        query: combinedQuery,
+        category: result.category,
+        subcategory: result.subcategory,
+        price: result.price,
+        source: result.source,
+        url: result.url,
+        title: result.description,
+        recordedAt: result.searchFetchedAt,
+        fromCache: result.searchFromCache,
+        targetSource: targetEstimate.source
+      });
+      let acvColumns = {};
+      if (age != null && age !== '' && condition) {
+        const { columns, depreciation } = ClaimColumns.depreciation(result, units, age, condition);
+        acvColumns = columns;
+        result.audit.depreciation = depreciation;
+      }
+
       responseResult = {
         'Price': `${result.price}`,
+        ...cost.columns,
         'Cat': result.category || 'HSW',
         'Sub Cat': result.subcategory || 'General',
+        'Category Confidence': result.categoryConfidence != null ? result.categoryConfidence : '',
         'Source': result.source,
         'URL': result.url,
         'Pricer': 'AI-Enhanced',
         'Search Status': 'Found',
         'Search Query Used': combinedQuery,
         'Target Price Used': targetPrice,
+        'Target Price Source': targetEstimate.source,
+        'Relevance Score': result.relevance,
+        ...likeKindColumns(result),
+        ...ClaimColumns.pack(result, units),
+        ...acvColumns,
+        'Pricing Mode': result && result.mode,
+        'Pricing Profile': profile.id,
         'Item Description': itemDescription
       };
     } else {
@@ -482,18 +1587,22 @@ router.post('/api/process-item', async (req, res) => {
         'Search Status': 'No Results Found',
         'Search Query Used': combinedQuery,
         'Target Price Used': targetPrice,
+        'Target Price Source': targetEstimate.source,
+        'Pricing Mode': result && result.mode,
+        'Pricing Profile': profile.id,
         'Item Description': itemDescription
       };
     }
 
     res.json({
       success: result && result.found,
-      result: responseResult
+      result: responseResult,
+      audit: result.audit && { ...result.audit, targetPriceSource: targetEstimate.source, targetEstimate }
     });
 
   } catch (error) {
     console.error('❌ SAFE-FAST single item error:', error);
-    res.status(500).json({ 
+    res.status(errorStatus(error)).json({ 
       success: false,
       error: 'Failed to process item: ' + error.message 
     });
@@ -512,28 +1621,29 @@ router.post('/process-csv', upload.single('csvFile'), async (req, res) => {
       return res.status(500).json({ error: 'Pricing service not available. Check SERPAPI_KEY configuration.' });
     }
 
-    const csvData = parseFileData(req.file);
+    const csvData = parseFileData(req.file, req.body);
     console.log(`📊 SAFE-FAST processing ${csvData.length} rows from CSV`);
 
     const headers = Object.keys(csvData[0] || {});
-    const columnMap = detectColumns(headers);
+    const { columnMap } = columnMappingFor(headers, req.body);
+    requireDescriptionColumn(columnMap);
+    const profile = profileFrom(req.body);
+    const tolerance = ProfileRegistry.toleranceFor(profile, req.body.tolerance);
+    const pricing = { ...pricingOptionsFrom(req.body, profile), profile };
+    const tax = taxOptionsFrom(req.body);
 
-    // SAFE-FAST: Process sequentially for backward compatibility route too
-    const processedRows = [];
-    
-    for (let index = 0; index < csvData.length; index++) {
-      const row = csvData[index];
-      
+    // Price rows through the same bounded worker pool as background jobs; output keeps file order
+    const pricedRows = await HelperUtils.mapWithConcurrency(csvData, jobQueue.concurrency, async (row) => {
       try {
-        if (!row['Item #']) {
-          continue;
+        if (isEmptyRow(row, columnMap)) {
+          return null;
         }
 
         // SAFE-FAST: Use new query building logic
         const queryResult = buildOptimalQuery(row, columnMap);
         
         if (!queryResult.query) {
-          processedRows.push({
+          return {
             ...row,
             'Price': '',
             'Cat': '',
@@ -541,50 +1651,59 @@ router.post('/process-csv', upload.single('csvFile'), async (req, res) => {
             'Source': '',
             'URL': '',
             'Pricer': 'Manual Validation Required',
-            'Search Status': 'No Search Terms'
-          });
-          continue;
+            'Search Status': 'No Search Terms',
+            'Pricing Profile': profile.id
+          };
         }
 
-        // SAFE-FAST: Smart target price calculation
-        let targetPrice = parseFloat(row['Cost to Replace Pre-Tax (each)']?.toString().replace(/[$,\s]/g, ''));
-        if (!targetPrice || isNaN(targetPrice)) {
-          targetPrice = getSmartTargetPrice(row['Desc'], row['Item Description']);
-        }
+        const { targetPrice, estimate: targetEstimate } = targetPriceFor(fieldValue(row, columnMap, 'costToReplace'), historyDescription(row, columnMap));
 
-        const result = await insuranceItemPricer.findBestPrice(queryResult.query, targetPrice, 10);
+        const result = await insuranceItemPricer.findBestPrice(queryResult.query, targetPrice, tolerance, {
+          ...pricing,
+          brand: fieldValue(row, columnMap, 'brand') || null
+        });
 
         if (result && result.found) {
-          processedRows.push({
+          const quantity = quantityFrom(row, columnMap);
+          return {
             ...row,
             'Price': result.price,
+            ...ClaimColumns.cost(result, ClaimColumns.location(row, columnMap), tax).columns,
             'Cat': result.category || 'HSW',
             'Sub Cat': result.subcategory || 'General',
+            'Category Confidence': result.categoryConfidence != null ? result.categoryConfidence : '',
             'Source': result.source,
             'URL': result.url,
             'Pricer': 'AI-Enhanced',
-            'Search Status': 'Found'
-          });
-        } else {
-          processedRows.push({
-            ...row,
-            'Price': '',
-            'Cat': '',
-            'Sub Cat': '',
-            'Source': '',
-            'URL': '',
-            'Pricer': 'Manual Validation Required',
-            'Search Status': 'No Results Found'
-          });
+            'Search Status': 'Found',
+            'Target Price Used': targetPrice,
+            'Target Price Source': targetEstimate.source,
+            'Relevance Score': result.relevance != null ? result.relevance : '',
+            ...likeKindColumns(result),
+            ...ClaimColumns.pack(result, quantity),
+            ...(columnMap.age && columnMap.condition
+              ? ClaimColumns.depreciation(result, quantity, row[columnMap.age], row[columnMap.condition]).columns
+              : {}),
+            'Pricing Profile': profile.id
+          };
         }
 
-        // MINOR OPTIMIZATION: Slightly reduced delay
-        if (index < csvData.length - 1) {
-          await delay(35);
-        }
+        return {
+          ...row,
+          'Price': '',
+          'Cat': '',
+          'Sub Cat': '',
+          'Source': '',
+          'URL': '',
+          'Pricer': 'Manual Validation Required',
+          'Search Status': 'No Results Found',
+          'Pricing Profile': profile.id
+        };
 
       } catch (error) {
-        processedRows.push({
+        if (error.code === 'QUOTA_EXCEEDED') throw error;
+
+        return {
           ...row,
           'Price': '',
           'Cat': '',
@@ -592,10 +1711,12 @@ router.post('/process-csv', upload.single('csvFile'), async (req, res) => {
           'Source': '',
           'URL': '',
           'Pricer': 'Error - Manual Review Required',
-          'Search Status': 'Processing Error'
-        });
+          'Search Status': 'Processing Error',
+          'Pricing Profile': profile.id
+        };
       }
-    }
+    });
+    const processedRows = pricedRows.filter(Boolean);
 
     const outputCsv = Papa.unparse(processedRows);
 
@@ -606,7 +1727,7 @@ router.post('/process-csv', upload.single('csvFile'), async (req, res) => {
 
   } catch (error) {
     console.error('❌ SAFE-FAST CSV processing error:', error);
-    res.status(500).json({ error: 'Failed to process CSV file' });
+    res.status(errorStatus(error)).json({ error: 'Failed to process CSV file', message: error.message });
   }
 });
 
@@ -625,12 +1746,14 @@ router.post('/single-item-test', async (req, res) => {
 
     console.log(`🔍 SAFE-FAST single item test: "${query}"`);
     
-    const result = await insuranceItemPricer.findBestPrice(query, targetPrice, 10);
+    const profile = profileFrom(req.body);
+    const tolerance = ProfileRegistry.toleranceFor(profile, req.body.tolerance);
+    const result = await insuranceItemPricer.findBestPrice(query, targetPrice, tolerance, { ...pricingOptionsFrom(req.body, profile), profile });
     
     res.json(result);
   } catch (error) {
     console.error('❌ SAFE-FAST single item test error:', error);
-    res.status(500).json({ error: 'Failed to process item: ' + error.message });
+    res.status(errorStatus(error)).json({ error: 'Failed to process item: ' + error.message });
   }
 });
 
@@ -0,0 +1,26 @@
+// routes/priceHistoryRoutes.js
+const express = require('express');
+const PriceHistory = require('../utils/priceHistory');
+
+const router = express.Router();
+
+// Time series of found prices for an item.
+// Query: q (required), retailer, since, until (ISO dates), limit, jumpPercent
+router.get('/', (req, res) => {
+  if (!req.query.q) {
+    return res.status(400).json({ success: false, error: 'q is required, e.g. /api/price-history?q=tower+fan' });
+  }
+
+  try {
+    const trend = PriceHistory.shared().trend(req.query.q, req.query);
+    res.json({ success: true, query: req.query.q, ...trend });
+  } catch (error) {
+    if (error.code === 'INVALID_HISTORY_QUERY') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Failed to read price history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// routes/retailerRoutes.js
+const express = require('express');
+const RetailerRegistry = require('../models/RetailerRegistry');
+
+const router = express.Router();
+
+// HTTP status for registry errors
+function errorStatus(error) {
+  if (error.code === 'INVALID_RETAILER') return 400;
+  if (error.code === 'RETAILER_NOT_FOUND') return 404;
+  if (error.code === 'RETAILER_EXISTS') return 409;
+  return 500;
+}
+
+function sendError(res, error, action) {
+  const status = errorStatus(error);
+  if (status === 500) console.error(`❌ Failed to ${action}:`, error);
+  res.status(status).json({ success: false, error: error.message });
+}
+
+// List every retailer (?enabled=true for trusted ones only)
+router.get('/', (req, res) => {
+  const registry = RetailerRegistry.shared();
+  const retailers = req.query.enabled === 'true'
+    ? registry.list().filter(retailer => retailer.enabled)
+    : registry.list();
+
+  res.json({ success: true, total: retailers.length, retailers });
+});
+
+router.get('/:domain', (req, res) => {
+  const retailer = RetailerRegistry.shared().get(req.params.domain);
+  if (!retailer) {
+    return res.status(404).json({ success: false, error: `Retailer ${req.params.domain} not found` });
+  }
+  res.json({ success: true, retailer });
+});
+
+// Body: { domain, name, aliases: [], weight: 0-10, enabled }
+router.post('/', (req, res) => {
+  try {
+    const retailer = RetailerRegistry.shared().create(req.body || {});
+    console.log(`🏪 Added retailer ${retailer.domain}`);
+    res.status(201).json({ success: true, retailer });
+  } catch (error) {
+    sendError(res, error, 'add retailer');
+  }
+});
+
+// Partial update of name, aliases, weight or enabled
+router.patch('/:domain', (req, res) => {
+  try {
+    const retailer = RetailerRegistry.shared().update(req.params.domain, req.body || {});
+    console.log(`🏪 Updated retailer ${retailer.domain}`);
+    res.json({ success: true, retailer });
+  } catch (error) {
+    sendError(res, error, 'update retailer');
+  }
+});
+
+router.delete('/:domain', (req, res) => {
+  try {
+    const retailer = RetailerRegistry.shared().remove(req.params.domain);
+    console.log(`🏪 Removed retailer ${retailer.domain}`);
+    res.json({ success: true, removed: retailer.domain });
+  } catch (error) {
+    sendError(res, error, 'remove retailer');
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,9 @@ const path = require('path');
 
 // Import routes
 const csvProcessingRoutes = require('./routes/csvProcessingRoutes');
+const retailerRoutes = require('./routes/retailerRoutes');
+const priceHistoryRoutes = require('./routes/priceHistoryRoutes');
+const columnMappingRoutes = require('./routes/columnMappingRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -22,7 +25,9 @@ app.use(cors());
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
-  max: process.env.MAX_REQUESTS_PER_MINUTE || 30
+  max: process.env.MAX_REQUESTS_PER_MINUTE || 30,
+  // Job status polling would otherwise eat the whole budget on long files
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/api/jobs/')
 });
 app.use(limiter);
 
@@ -35,6 +40,9 @@ app.use(express.static('public'));
 
 // Routes
 app.use('/', csvProcessingRoutes);  // This handles both /api/* and /* routes
+app.use('/api/retailers', retailerRoutes);
+app.use('/api/price-history', priceHistoryRoutes);
+app.use('/api/column-mappings', columnMappingRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,12 @@
+// Runs every test/*.test.js with Node's built-in test runner (node:test): npm test
+const fs = require('fs');
+const path = require('path');
+
+// Shared stores stay in memory so tests never read or write data/
+process.env.PRICE_CACHE_STORE = 'memory';
+process.env.PRICE_HISTORY_STORE = 'memory';
+
+const testDir = path.join(__dirname, 'test');
+for (const file of fs.readdirSync(testDir).filter(name => name.endsWith('.test.js')).sort()) {
+  require(path.join(testDir, file));
+}
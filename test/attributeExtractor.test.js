@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AttributeExtractor = require('../utils/attributeExtractor');
+
+const extractor = new AttributeExtractor();
+
+test('a brand that is also a colour or noun only counts when the Brand column names it', () => {
+  const towel = extractor.extract('Purple bath towel');
+  assert.strictEqual(towel.brand, null);
+  assert.strictEqual(towel.brandTier, null);
+
+  const mattress = extractor.extract('Purple Hybrid Premier Mattress', 'Purple');
+  assert.strictEqual(mattress.brand, 'Purple');
+  assert.strictEqual(mattress.brandTier, 'premium');
+
+  assert.strictEqual(extractor.extract('Samsung 55 in Smart TV').brandTier, 'mid');
+});
+
+test('bed sizes need bedding in the text or a "size" after them', () => {
+  assert.strictEqual(extractor.extract('Full motion TV wall mount').size, null);
+  assert.strictEqual(extractor.extract('Twin pack AA batteries').size, null);
+  assert.strictEqual(extractor.extract('King of the Hill DVD box set').size, null);
+
+  assert.deepStrictEqual(extractor.extract('Zinus Full Bed Frame').size, { label: 'full' });
+  assert.deepStrictEqual(extractor.extract('Queen mattress').size, { label: 'queen' });
+  assert.deepStrictEqual(extractor.extract('King size comforter').size, { label: 'king' });
+  assert.deepStrictEqual(extractor.extract('Full-size air bed').size, { label: 'full' });
+  assert.deepStrictEqual(extractor.extract('Twin XL dorm topper').size, { label: 'twin xl' });
+  assert.deepStrictEqual(extractor.extract('twin-xl sheet set').size, { label: 'twin xl' });
+  assert.deepStrictEqual(extractor.extract('Cal King sheets').size, { label: 'california king' });
+});
+
+test('"in" before a number is a word, not inches', () => {
+  assert.strictEqual(extractor.extract('4 in 1 pet shampoo').size, null);
+  assert.strictEqual(extractor.extract('2 in 1 laptop').size, null);
+
+  assert.deepStrictEqual(extractor.extract('Samsung 55 in Smart TV').size, { value: 55, unit: 'inch' });
+  assert.deepStrictEqual(extractor.extract('Lodge 12 in. Cast Iron Skillet').size, { value: 12, unit: 'inch' });
+  assert.deepStrictEqual(extractor.extract('65" 4K TV').size, { value: 65, unit: 'inch' });
+  assert.deepStrictEqual(extractor.extract('6 ft Folding Table').size, { value: 72, unit: 'inch' });
+});
+
+test('a colour word does not make a brand tier conflict', () => {
+  const claim = extractor.extract('Purple bath towel');
+  const offer = extractor.extract('Mainstays Purple Bath Towel');
+  assert.strictEqual(offer.brandTier, 'economy');
+  assert.deepStrictEqual(extractor.compare(claim, offer).mismatched, []);
+});
+
+test('withoutCount drops the multipack wording and keeps piece counts', () => {
+  assert.strictEqual(extractor.withoutCount('Set of 4 bath towels'), 'bath towels');
+  assert.strictEqual(extractor.withoutCount('AA batteries 24-pack'), 'AA batteries');
+  assert.strictEqual(extractor.withoutCount('12-piece cookware set'), '12-piece cookware set');
+  assert.strictEqual(extractor.withoutCount('set of 4 pieces luggage'), 'set of 4 pieces luggage');
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ClaimColumns = require('../utils/claimColumns');
+const TaxRateTable = require('../models/TaxRateTable');
+const WorkbookReader = require('../utils/workbookReader');
+
+// Rates and rules come from the shipped config/tax-rates.json and config/depreciation.json
+
+test('extended price is the claim-pack price times the quantity', () => {
+  const result = { price: 26.97, listingPrice: 53.94, packSize: 6, unitPrice: 8.99 };
+  assert.deepStrictEqual(ClaimColumns.pack(result, 3), {
+    'Listing Price': 53.94,
+    'Pack Size': 6,
+    'Unit Price': 8.99,
+    'Quantity': 3,
+    'Extended Price': 80.91
+  });
+});
+
+test('tax applies to the price but not to shipping', () => {
+  const byZip = ClaimColumns.cost({ price: 19.99, shipping: 5.99 }, { zip: '10001' });
+  assert.deepStrictEqual(byZip.columns, { 'Tax Rate': 8.875, 'Post-Tax Price': 21.76, 'Shipping': 5.99, 'Delivered Cost': 27.75 });
+
+  const byState = ClaimColumns.cost({ price: 19.99 }, { state: 'TX' });
+  assert.deepStrictEqual(byState.columns, { 'Tax Rate': 6.25, 'Post-Tax Price': 21.24, 'Shipping': '', 'Delivered Cost': '' });
+
+  const claimRate = ClaimColumns.cost({ price: 19.99, shipping: 0 }, { state: 'TX' }, { rate: 8 });
+  assert.deepStrictEqual(claimRate.columns, { 'Tax Rate': 8, 'Post-Tax Price': 21.59, 'Shipping': 0, 'Delivered Cost': 21.59 });
+
+  const unknown = ClaimColumns.cost({ price: 19.99, shipping: 5.99 }, {});
+  assert.deepStrictEqual(unknown.columns, { 'Tax Rate': '', 'Post-Tax Price': '', 'Shipping': 5.99, 'Delivered Cost': '' });
+  assert.strictEqual(unknown.tax.rate, null);
+});
+
+test('depreciation is taken from the extended price for the age and condition', () => {
+  // Fans: 8-year straight line, 2 years = 25%, good condition x0.9 = 22.5%
+  const fan = ClaimColumns.depreciation({ price: 49.99, subcategory: 'Fans /HSW' }, 3, '2 years', 'good');
+  assert.deepStrictEqual(fan.columns, { 'RCV': 149.97, 'Depreciation %': 22.5, 'ACV': 116.23 });
+
+  // Mattresses: schedule, year 3 = 40%, fair condition x1.15 = 46%
+  const mattress = ClaimColumns.depreciation({ price: 400, subcategory: 'Mattresses /FRN' }, 1, '3', 'fair');
+  assert.deepStrictEqual(mattress.columns, { 'RCV': 400, 'Depreciation %': 46, 'ACV': 216 });
+
+  const unreadable = ClaimColumns.depreciation({ price: 10 }, 2, 'unknown', 'good');
+  assert.deepStrictEqual(unreadable.columns, { 'RCV': 20, 'Depreciation %': '', 'ACV': '' });
+  assert.ok(unreadable.depreciation.skipped);
+});
+
+test('claim totals add priced rows by category and count unpriced rows', () => {
+  const rows = [
+    { 'Search Status': 'Found', 'Extended Price': 149.97, 'Quantity': 3, 'ACV': 116.23, 'Cat': 'HSW', 'Sub Cat': 'Fans' },
+    { 'Search Status': 'Found', 'Extended Price': 400, 'Quantity': 1, 'ACV': 216, 'Cat': 'FRN', 'Sub Cat': 'Mattresses' },
+    { 'Search Status': 'Found', 'Extended Price': 0.1, 'Quantity': 1, 'ACV': '', 'Cat': 'HSW', 'Sub Cat': 'Fans' },
+    { 'Search Status': 'Found', 'Extended Price': 0.2, 'Quantity': '', 'ACV': '', 'Cat': 'HSW', 'Sub Cat': 'Trash Cans' },
+    { 'Search Status': 'Not Found', 'Extended Price': '', 'Quantity': 2, 'Cat': 'HSW' },
+    { 'Search Status': 'Found', 'Extended Price': '', 'Quantity': 1, 'Cat': 'HSW' }
+  ];
+
+  assert.deepStrictEqual(ClaimColumns.totals(rows), {
+    grandTotal: 550.27,
+    pricedItems: 4,
+    unpricedItems: 2,
+    totalQuantity: 6,
+    acvTotal: 332.53,
+    categorySubtotals: [
+      {
+        category: 'FRN', items: 1, quantity: 1, total: 400, acvTotal: 216,
+        subcategories: [{ subcategory: 'Mattresses', items: 1, quantity: 1, total: 400, acvTotal: 216 }]
+      },
+      {
+        category: 'HSW', items: 3, quantity: 5, total: 150.27, acvTotal: 116.53,
+        subcategories: [
+          { subcategory: 'Fans', items: 2, quantity: 4, total: 150.07, acvTotal: 116.33 },
+          { subcategory: 'Trash Cans', items: 1, quantity: 1, total: 0.2, acvTotal: 0.2 }
+        ]
+      }
+    ]
+  });
+});
+
+test('claim totals leave out ACV when no row has depreciation columns', () => {
+  const totals = ClaimColumns.totals([
+    { 'Search Status': 'Found', 'Extended Price': 10, 'Quantity': 1 },
+    { 'Search Status': 'Found', 'Extended Price': 5.5, 'Quantity': 2, 'Cat': 'HSW' }
+  ]);
+  assert.strictEqual(totals.grandTotal, 15.5);
+  assert.strictEqual('acvTotal' in totals, false);
+  assert.deepStrictEqual(totals.categorySubtotals.map(category => [category.category, category.total]), [['Uncategorized', 10], ['HSW', 5.5]]);
+});
+
+test('a leading-zero ZIP read from a CSV keeps its zero and finds its rate', () => {
+  const file = { buffer: Buffer.from('Item Description,ZIP,State\nBath towel,02134,MA\nFan,07102-1234,NJ\n') };
+  const [boston, newark] = WorkbookReader.parseCsv(file);
+  assert.strictEqual(boston.ZIP, 2134);
+
+  const columnMap = { zip: 'ZIP', state: 'State' };
+  assert.deepStrictEqual(ClaimColumns.location(boston, columnMap), { zip: '02134', state: 'MA' });
+  assert.deepStrictEqual(ClaimColumns.location(newark, columnMap), { zip: '07102-1234', state: 'NJ' });
+  assert.deepStrictEqual(ClaimColumns.location(boston, {}), { zip: null, state: null });
+
+  const table = new TaxRateTable({ config: { zips: { '021': 6.25 } } });
+  assert.strictEqual(table.resolve(ClaimColumns.location(boston, columnMap)).rate, 6.25);
+  assert.strictEqual(table.resolve({ zip: 2134 }), null);
+});
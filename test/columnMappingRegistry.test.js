@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ColumnMappingRegistry = require('../models/ColumnMappingRegistry');
+
+// Templates passed in are kept in memory only
+const registry = new ColumnMappingRegistry({
+  templates: [{
+    id: 'line-item-export',
+    fields: { itemNumber: 'Line', itemDescription: 'Item', brand: 'Make', costToReplace: 'Replacement Cost', quantity: 'Qty' },
+    headers: ['Line', 'Room', 'Item', 'Make', 'Qty', 'Replacement Cost']
+  }]
+});
+
+const ourHeaders = ['Item #', 'Item Description', 'Brand', 'Cost to Replace Pre-Tax (each)', 'Qty', 'ZIP'];
+const vendorHeaders = ['Line', 'Room', 'Item', 'Make', 'Qty', 'Replacement Cost', 'Condition'];
+
+test('our own headers are detected by the built-in rules', () => {
+  assert.deepStrictEqual(registry.resolve(ourHeaders), {
+    columnMap: { itemNumber: 'Item #', itemDescription: 'Item Description', brand: 'Brand', costToReplace: 'Cost to Replace Pre-Tax (each)', quantity: 'Qty', zip: 'ZIP' },
+    source: 'detected',
+    templateId: null,
+    score: null
+  });
+});
+
+test('a vendor file close enough to a template\'s headers picks the template', () => {
+  const resolved = registry.resolve(vendorHeaders);
+  assert.strictEqual(resolved.source, 'auto-template');
+  assert.strictEqual(resolved.templateId, 'line-item-export');
+  assert.strictEqual(resolved.score, 0.86);
+  assert.deepStrictEqual(resolved.columnMap, {
+    itemNumber: 'Line', itemDescription: 'Item', brand: 'Make', costToReplace: 'Replacement Cost', quantity: 'Qty', condition: 'Condition'
+  });
+
+  // Too few shared headers, or a mapped column missing, is no match
+  assert.strictEqual(registry.resolve(['Line', 'Item', 'Qty', 'Replacement Cost', 'A', 'B', 'C']).source, 'detected');
+  assert.strictEqual(registry.resolve(vendorHeaders.filter(header => header !== 'Make')).source, 'detected');
+});
+
+test('a manual map wins over the template, and "" leaves a field unmapped', () => {
+  const resolved = registry.resolve(vendorHeaders, { templateId: 'line-item-export', columnMap: { brand: 'room', quantity: '' } });
+  assert.strictEqual(resolved.source, 'manual');
+  assert.strictEqual(resolved.templateId, 'line-item-export');
+  assert.strictEqual(resolved.columnMap.brand, 'Room');
+  assert.strictEqual('quantity' in resolved.columnMap, false);
+});
+
+test('detected columns never reuse a header a manual map already took', () => {
+  const resolved = registry.resolve(ourHeaders, { columnMap: { description: 'Brand' } });
+  assert.strictEqual(resolved.columnMap.description, 'Brand');
+  assert.strictEqual('brand' in resolved.columnMap, false);
+});
+
+test('unknown templates, fields and columns are rejected with a code', () => {
+  const codeOf = fn => {
+    try {
+      fn();
+    } catch (error) {
+      return error.code;
+    }
+    return null;
+  };
+
+  assert.strictEqual(codeOf(() => registry.resolve(ourHeaders, { templateId: 'nope' })), 'MAPPING_TEMPLATE_NOT_FOUND');
+  assert.strictEqual(codeOf(() => registry.resolve(ourHeaders, { templateId: 'line-item-export' })), 'INVALID_COLUMN_MAP');
+  assert.strictEqual(codeOf(() => registry.resolve(ourHeaders, { columnMap: { colour: 'Brand' } })), 'INVALID_COLUMN_MAP');
+  assert.strictEqual(codeOf(() => registry.resolve(ourHeaders, { columnMap: { brand: 'Maker' } })), 'INVALID_COLUMN_MAP');
+});
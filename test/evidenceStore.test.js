@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EvidenceStore = require('../utils/evidenceStore');
+const SearchProvider = require('../providers/SearchProvider');
+
+// A SerpAPI google_shopping result as the API returns it
+const serpApiResult = {
+  position: 3,
+  title: 'Lasko 42 in. Oscillating Tower Fan',
+  product_id: '1234567890',
+  source: 'The Home Depot',
+  price: '$64.98',
+  extracted_price: 64.98,
+  extensions: ['$5.99 delivery'],
+  link: 'https://www.homedepot.com/p/205156788'
+};
+
+test('a normalized shopping result keeps the provider\'s own object', () => {
+  const result = SearchProvider.shoppingResult(serpApiResult);
+  assert.strictEqual(result.shipping, 5.99);
+  assert.deepStrictEqual(result.raw, serpApiResult);
+
+  const item = { title: 'Fan', pagemap: { offer: [{ price: '20' }] } };
+  assert.strictEqual(SearchProvider.shoppingResult({ title: item.title, extracted_price: 20 }, item).raw, item);
+});
+
+test('evidence stores the raw result next to the normalized one and verifies both', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+  const store = new EvidenceStore({ dir });
+  const { raw, ...shoppingResult } = SearchProvider.shoppingResult(serpApiResult);
+
+  const saved = store.save({ jobId: 'job-1', rowIndex: 4, shoppingResult, rawResult: raw, fetchedAt: '2025-02-27T09:15:40.002Z', fromCache: true });
+  assert.deepStrictEqual(saved.rawResult, serpApiResult);
+  assert.strictEqual(saved.shoppingResult.raw, undefined);
+  assert.strictEqual(saved.rawHash, EvidenceStore.hash(EvidenceStore.canonicalJson(serpApiResult)));
+
+  assert.deepStrictEqual(store.get('job-1', 4).verified, { contentHash: true, rawHash: true });
+
+  // An edited raw result no longer matches its hash
+  const file = path.join(dir, 'job-1', '4.json');
+  const record = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  record.rawResult.extracted_price = 49.98;
+  fs.writeFileSync(file, JSON.stringify(record));
+  assert.deepStrictEqual(store.get('job-1', 4).verified, { contentHash: true, rawHash: false });
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HelperUtils = require('../utils/helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapWithConcurrency keeps results in input order', async () => {
+  const results = await HelperUtils.mapWithConcurrency([30, 5, 20, 1], 3, async (ms, index) => {
+    await sleep(ms);
+    return `${index}:${ms}`;
+  });
+  assert.deepStrictEqual(results, ['0:30', '1:5', '2:20', '3:1']);
+});
+
+test('mapWithConcurrency never runs more than `concurrency` workers at once', async () => {
+  let running = 0;
+  let peak = 0;
+  await HelperUtils.mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    running--;
+  });
+  assert.strictEqual(peak, 3);
+});
+
+test('mapWithConcurrency stops taking items after a failure and rethrows it', async () => {
+  const started = [];
+  await assert.rejects(
+    HelperUtils.mapWithConcurrency([0, 1, 2, 3, 4, 5], 2, async item => {
+      started.push(item);
+      await sleep(5);
+      if (item === 1) throw new Error('boom');
+    }),
+    /boom/
+  );
+  // Items 0 and 1 run together; the worker free after item 0 takes item 2, then both stop
+  assert.deepStrictEqual(started, [0, 1, 2]);
+});
+
+test('mapWithConcurrency handles an empty list and a concurrency above the item count', async () => {
+  assert.deepStrictEqual(await HelperUtils.mapWithConcurrency([], 4, async () => 1), []);
+  assert.deepStrictEqual(await HelperUtils.mapWithConcurrency([1, 2], 10, async n => n * 2), [2, 4]);
+});
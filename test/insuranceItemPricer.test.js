@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const InsuranceItemPricer = require('../models/InsuranceItemPricer');
+const SearchProvider = require('../providers/SearchProvider');
+const PriceCache = require('../utils/priceCache');
+
+// Pricer whose searches all return `offers` ({ title, price, source })
+function pricerWith(offers) {
+  return new InsuranceItemPricer({
+    cache: new PriceCache(),
+    searchProvider: {
+      name: 'stub',
+      searchShopping: async () => offers.map(offer => SearchProvider.shoppingResult({
+        title: offer.title,
+        extracted_price: offer.price,
+        source: offer.source || 'Walmart',
+        link: `https://www.walmart.com/ip/${encodeURIComponent(offer.title)}`
+      }))
+    }
+  });
+}
+
+test('a piece count is not a pack: a 12-piece cookware set is priced as listed', async () => {
+  const pricer = pricerWith([
+    { title: 'T-fal 12-Piece Nonstick Cookware Set', price: 150 },
+    { title: 'Cuisinart 10 pcs Stainless Cookware Set', price: 180, source: 'Target' }
+  ]);
+  const result = await pricer.findBestPrice('nonstick cookware set', null, 10, { mode: 'fast' });
+
+  assert.strictEqual(result.found, true);
+  assert.strictEqual(result.price, 150);
+  assert.strictEqual(result.listingPrice, 150);
+  assert.strictEqual(result.packSize, 1);
+  assert.strictEqual(result.claimPackSize, null);
+});
+
+test('a contents count is not a pack: 100-count paper plates are priced as listed', async () => {
+  const pricer = pricerWith([{ title: 'Dixie Paper Plates 100 Count', price: 12.49 }]);
+  const result = await pricer.findBestPrice('paper plates', 12, 10, { mode: 'fast' });
+
+  assert.strictEqual(result.found, true);
+  assert.strictEqual(result.price, 12.49);
+});
+
+test('without a claimed pack size, a multi-pack offer is compared at its listing price', async () => {
+  const pricer = pricerWith([{ title: 'Cotton Bath Towel 6 Pack', price: 54 }]);
+  const result = await pricer.findBestPrice('cotton bath towel', 60, 10, { mode: 'fast' });
+
+  assert.strictEqual(result.found, true);
+  assert.strictEqual(result.price, 54);
+  assert.strictEqual(result.packSize, 6);
+  assert.strictEqual(result.unitPrice, 9);
+});
+
+test('a claimed "set of 4" compares multi-packs and singles per unit', async () => {
+  const pricer = pricerWith([
+    { title: 'Cotton Bath Towels 6 Pack', price: 54 },
+    { title: 'Cotton Bath Towel', price: 8.99, source: 'Target' }
+  ]);
+  const result = await pricer.findBestPrice('set of 4 cotton bath towels', 40, 10, { mode: 'fast' });
+
+  assert.strictEqual(result.found, true);
+  assert.strictEqual(result.claimPackSize, 4);
+  const compared = result.audit.searches[0].candidates.map(candidate => [candidate.listingPrice, candidate.price]);
+  assert.deepStrictEqual(compared.sort((a, b) => a[0] - b[0]), [[8.99, 35.96], [54, 36]]);
+});
+
+test('the claimed pack count does not decide relevance: the cheaper per-unit multipack wins', async () => {
+  const pricer = pricerWith([
+    { title: 'Cotton Bath Towels, Set of 4', price: 44 },
+    { title: 'Cotton Bath Towels 6 Pack', price: 54, source: 'Target' }
+  ]);
+  const result = await pricer.findBestPrice('Set of 4 cotton bath towels', 40, 10, { mode: 'fast' });
+
+  assert.strictEqual(result.found, true);
+  assert.strictEqual(result.listingPrice, 54);
+  assert.strictEqual(result.packSize, 6);
+  assert.strictEqual(result.price, 36);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const JobQueue = require('../models/JobQueue');
+
+// Queue over a fresh jobs directory with a handler that records which rows it ran
+function queueIn(jobsDir) {
+  const queue = new JobQueue({ jobsDir, concurrency: 2 });
+  const ran = [];
+  queue.registerHandler('test', {
+    processRow: async (row, index) => {
+      ran.push(index);
+      return { outcome: 'done', row: { ...row, Done: true } };
+    },
+    summarize: job => ({ rows: job.processedRows })
+  });
+  return { queue, ran };
+}
+
+// Job files as a server leaves them when it stops mid-run
+function writeInterruptedJob(jobsDir, id, { status = 'running', type = 'test', results = '' } = {}) {
+  const rows = [{ Item: 'a' }, { Item: 'b' }, { Item: 'c' }, { Item: 'd' }];
+  const meta = { id, type, status, fileName: 'claim.csv', options: {}, meta: {}, totalRows: rows.length, processedRows: 1, summary: null, error: null };
+  fs.writeFileSync(path.join(jobsDir, `${id}.json`), JSON.stringify(meta));
+  fs.writeFileSync(path.join(jobsDir, `${id}.rows.json`), JSON.stringify(rows));
+  if (results) fs.writeFileSync(path.join(jobsDir, `${id}.results.jsonl`), results);
+}
+
+test('a job interrupted mid-run resumes with only its unfinished rows', async () => {
+  const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  // Row 0 finished; row 2 was being written when the server stopped
+  writeInterruptedJob(jobsDir, 'interrupted', {
+    results: `${JSON.stringify({ index: 0, outcome: 'done', row: { Item: 'a', Done: true } })}\n{"index":2,"outcome":"do`
+  });
+  writeInterruptedJob(jobsDir, 'finished', { status: 'completed' });
+  writeInterruptedJob(jobsDir, 'unknown-type', { type: 'other' });
+
+  const { queue, ran } = queueIn(jobsDir);
+  const job = queue.getJob('interrupted');
+  assert.strictEqual(job.processedRows, 1);
+  assert.deepStrictEqual(queue.getProgress(job), { processed: 1, total: 4, percent: 25 });
+
+  const completed = once(queue, 'completed');
+  assert.strictEqual(queue.resumePending(), 1);
+  await completed;
+
+  assert.deepStrictEqual(ran.sort(), [1, 2, 3]);
+  assert.strictEqual(job.status, 'completed');
+  assert.deepStrictEqual(job.summary, { rows: 4 });
+  assert.deepStrictEqual(queue.getOutputRows(job).map(row => row.Item), ['a', 'b', 'c', 'd']);
+
+  // The torn line was ended before appending, so every later line parses
+  const lines = fs.readFileSync(path.join(jobsDir, 'interrupted.results.jsonl'), 'utf-8').split('\n').filter(Boolean);
+  assert.strictEqual(lines.length, 5);
+  assert.deepStrictEqual(lines.slice(2).map(line => JSON.parse(line).index).sort(), [1, 2, 3]);
+
+  // A fresh queue reads the finished job back from disk
+  const reloaded = new JobQueue({ jobsDir }).loadJob('interrupted');
+  assert.strictEqual(reloaded.processedRows, 4);
+  assert.strictEqual(reloaded.status, 'completed');
+
+  fs.rmSync(jobsDir, { recursive: true, force: true });
+});
+
+test('jobs that were only queued resume from the first row', async () => {
+  const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  writeInterruptedJob(jobsDir, 'queued', { status: 'queued' });
+
+  const { queue, ran } = queueIn(jobsDir);
+  const completed = once(queue, 'completed');
+  assert.strictEqual(queue.resumePending(), 1);
+  await completed;
+
+  assert.deepStrictEqual(ran.sort(), [0, 1, 2, 3]);
+  fs.rmSync(jobsDir, { recursive: true, force: true });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ListingRevalidator = require('../models/ListingRevalidator');
+const SearchProvider = require('../providers/SearchProvider');
+const PriceCache = require('../utils/priceCache');
+
+const stored = {
+  title: 'Lasko 42 in. Oscillating Tower Fan',
+  url: 'https://www.homedepot.com/p/Lasko-Tower-Fan/205156788',
+  source: 'homedepot.com',
+  price: 64.98
+};
+
+// Revalidator whose searches all return `results`; pages are never fetched
+function revalidatorWith(results) {
+  return new ListingRevalidator({
+    cache: new PriceCache(),
+    productValidator: {},
+    searchProvider: { name: 'stub', searchShopping: async () => results.map(result => SearchProvider.shoppingResult(result)) }
+  });
+}
+
+test('the stored URL is found among the results whatever its www, slash or query string', async () => {
+  const revalidator = revalidatorWith([
+    { title: 'Lasko Tower Fan 42"', extracted_price: 59.99, source: 'The Home Depot', link: 'https://homedepot.com/p/Lasko-Tower-Fan/205156788/?utm_source=google' },
+    { title: 'Lasko 42 in. Oscillating Tower Fan', extracted_price: 49.99, source: 'Walmart', link: 'https://www.walmart.com/ip/1' }
+  ]);
+  const check = await revalidator.recheck(stored, { checkPages: false });
+
+  assert.strictEqual(check.matchedBy, 'url');
+  assert.strictEqual(check.currentPrice, 59.99);
+  assert.strictEqual(check.driftPercent, -7.7);
+  assert.strictEqual(check.status, 'unchanged');
+  assert.strictEqual(check.search.cached, false);
+  assert.ok(check.fetchedAt);
+});
+
+test('without the URL, a near-identical title from the same retailer is the listing', async () => {
+  const revalidator = revalidatorWith([
+    { title: 'Lasko 42 in. Oscillating Tower Fan', extracted_price: 49.99, source: 'Walmart', link: 'https://www.walmart.com/ip/1' },
+    { title: 'Lasko 42 in. Oscillating Tower Fan with Remote', extracted_price: 74.98, source: 'The Home Depot', link: 'https://www.homedepot.com/p/new-id/999' }
+  ]);
+  const check = await revalidator.recheck(stored, { checkPages: false });
+
+  assert.strictEqual(check.matchedBy, 'title');
+  assert.strictEqual(check.currentPrice, 74.98);
+  assert.strictEqual(check.status, 'price_up');
+  assert.ok(check.search.bestTitleScore >= 80);
+});
+
+test('the same title at another retailer, or a different item at the same one, is not the listing', async () => {
+  const revalidator = revalidatorWith([
+    { title: 'Lasko 42 in. Oscillating Tower Fan', extracted_price: 49.99, source: 'Walmart', link: 'https://www.walmart.com/ip/1' },
+    { title: 'Honeywell QuietSet Tower Fan', extracted_price: 69.99, source: 'The Home Depot', link: 'https://www.homedepot.com/p/2' }
+  ]);
+  const check = await revalidator.recheck(stored, { checkPages: false });
+
+  assert.strictEqual(check.status, 'not_found');
+  assert.strictEqual(check.matchedBy, null);
+  assert.strictEqual(check.currentPrice, null);
+});
+
+test('a listing gone from search falls back to its page', async () => {
+  const revalidator = revalidatorWith([]);
+  revalidator.checkPage = async () => ({ state: 'dead', httpStatus: 404, price: null, title: null, error: 'Not Found' });
+  const check = await revalidator.recheck(stored);
+
+  assert.strictEqual(check.checkedVia, 'page');
+  assert.strictEqual(check.status, 'dead');
+  assert.strictEqual(check.httpStatus, 404);
+});
+
+test('drift within the threshold is unchanged, beyond it up or down', async () => {
+  assert.strictEqual(ListingRevalidator.driftStatus(10, 10), 'unchanged');
+  assert.strictEqual(ListingRevalidator.driftStatus(-10, 10), 'unchanged');
+  assert.strictEqual(ListingRevalidator.driftStatus(10.1, 10), 'price_up');
+  assert.strictEqual(ListingRevalidator.driftStatus(-10.1, 10), 'price_down');
+  assert.strictEqual(ListingRevalidator.driftStatus(0.5, 0), 'price_up');
+  assert.strictEqual(ListingRevalidator.driftPercent(64.98, 74.98), 15.4);
+
+  const revalidator = revalidatorWith([{ title: stored.title, extracted_price: 74.98, source: 'The Home Depot', link: stored.url }]);
+  assert.strictEqual((await revalidator.recheck(stored, { checkPages: false })).status, 'price_up');
+  assert.strictEqual((await revalidator.recheck(stored, { checkPages: false, driftPercent: 20 })).status, 'unchanged');
+});
+
+test('the drift threshold must be a percentage', () => {
+  assert.strictEqual(ListingRevalidator.validateDrift(undefined), ListingRevalidator.DEFAULT_DRIFT_PERCENT);
+  assert.strictEqual(ListingRevalidator.validateDrift('25'), 25);
+  for (const value of ['abc', -1, 1001]) {
+    assert.throws(() => ListingRevalidator.validateDrift(value), error => error.code === 'INVALID_DRIFT');
+  }
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// The routes build a pricer and resume jobs when loaded: keep both offline and out of data/
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preflight-jobs-'));
+process.env.SEARCH_PROVIDER = 'fixture';
+process.env.JOBS_DIR = jobsDir;
+const csvProcessingRoutes = require('../routes/csvProcessingRoutes');
+
+async function preflight(csv, fields = {}) {
+  const app = express();
+  app.use('/', csvProcessingRoutes);
+  const server = app.listen(0);
+  try {
+    const form = new FormData();
+    form.append('csvFile', new Blob([csv]), 'claim.csv');
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/preflight`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test('pre-flight lists every problem a run would trip over, by file row', async () => {
+  const csv = [
+    'Item #,Item Description,Cost to Replace Pre-Tax (each),Qty',
+    '1,Lasko 42 in. tower fan,65,1',
+    '1,coffee maker,35,1',
+    '007,CafÃ© table,abc,two',
+    ',Queen mattress,300,1',
+    '4,,20,1',
+    '5,misc kitchen items,40,1',
+    ',,,'
+  ].join('\n');
+  const { status, body } = await preflight(csv);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.ready, false);
+  assert.deepStrictEqual(body.rows, { total: 7, empty: 1, toPrice: 3, skipped: 2 });
+  assert.deepStrictEqual(body.counts, {
+    encoding: 1,
+    duplicateItemNumbers: 1,
+    missingItemNumber: 1,
+    missingDescription: 1,
+    invalidCosts: 1,
+    invalidQuantities: 1,
+    itemNumbersChanged: 1,
+    skipped: 2
+  });
+  assert.strictEqual(body.issueCount, 9);
+  assert.deepStrictEqual(body.issues.duplicateItemNumbers, [{ itemNumber: '1', rows: [2, 3] }]);
+  assert.deepStrictEqual(body.issues.itemNumbersChanged, [{ row: 4, written: '007', readAs: '7' }]);
+  assert.deepStrictEqual(body.issues.missingItemNumber, [{ row: 5, description: 'Queen mattress' }]);
+  assert.deepStrictEqual(body.issues.invalidCosts, [{ row: 4, itemNumber: '7', value: 'abc' }]);
+  assert.deepStrictEqual(body.issues.invalidQuantities, [{ row: 4, itemNumber: '7', value: 'two' }]);
+  assert.deepStrictEqual(body.issues.skipped.map(entry => [entry.row, entry.status]), [[6, 'Skipped (Bulk/Generic)'], [7, 'Skipped (Bulk/Generic)']]);
+  assert.strictEqual(body.issues.encoding[0].column, 'Item Description');
+
+  assert.strictEqual(body.searchEstimate.provider, 'fixture');
+  assert.strictEqual(body.searchEstimate.metered, false);
+  assert.strictEqual(body.searchEstimate.rowsSearched, 3);
+  assert.ok(body.searchEstimate.minCalls <= body.searchEstimate.maxCalls);
+});
+
+test('a clean file is ready, and invalid UTF-8 is not', async () => {
+  const clean = await preflight('Item #,Item Description,Cost to Replace Pre-Tax (each)\n1,Lasko 42 in. tower fan,65\n2,coffee maker,35\n');
+  assert.strictEqual(clean.body.ready, true);
+  assert.strictEqual(clean.body.issueCount, 0);
+  assert.strictEqual(clean.body.rows.toPrice, 2);
+
+  const latin1 = Buffer.concat([Buffer.from('Item #,Item Description\n1,Caf'), Buffer.from([0xe9]), Buffer.from(' table\n')]);
+  const damaged = await preflight(latin1);
+  assert.strictEqual(damaged.body.validUtf8, false);
+  assert.strictEqual(damaged.body.ready, false);
+  assert.strictEqual(damaged.body.counts.encoding, 1);
+});
+
+test('a file without a description column is rejected', async () => {
+  const { status, body } = await preflight('Item #,Price\n1,10\n');
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.success, false);
+});
+
+test.after(() => fs.rmSync(jobsDir, { recursive: true, force: true }));
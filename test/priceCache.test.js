@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PriceCache = require('../utils/priceCache');
+
+function cacheFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'price-cache-')), 'cache.jsonl');
+}
+
+test('keys ignore case, punctuation, spacing and accents', () => {
+  assert.strictEqual(PriceCache.key('serpapi', 'Tower  Fan!'), PriceCache.key('SerpAPI', 'tower fan'));
+  assert.strictEqual(PriceCache.normalizeKey('Café Table'), 'cafe table');
+});
+
+test('get counts hits and misses per namespace and drops expired entries', async () => {
+  const cache = new PriceCache();
+  cache.set('shopping', 'fan', [1]);
+  cache.set('shopping', 'old', [2], 0.001);
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.deepStrictEqual(cache.get('shopping', 'fan'), [1]);
+  assert.strictEqual(cache.get('shopping', 'old'), undefined);
+  assert.strictEqual(cache.get('shopping', 'missing'), undefined);
+  assert.strictEqual(cache.store.get('shopping:old'), undefined);
+
+  const stats = cache.getStats();
+  assert.deepStrictEqual([stats.hits, stats.misses, stats.hitRate], [1, 2, 33]);
+  assert.strictEqual(stats.namespaces.shopping.writes, 2);
+});
+
+test('has checks freshness without counting a lookup', () => {
+  const cache = new PriceCache();
+  cache.set('shopping', 'fan', []);
+  assert.strictEqual(cache.has('shopping', 'fan'), true);
+  assert.strictEqual(cache.has('shopping', 'lamp'), false);
+  assert.strictEqual(cache.getStats().hits + cache.getStats().misses, 0);
+});
+
+test('wrap runs compute once for concurrent callers and caches the value', async () => {
+  const cache = new PriceCache();
+  let calls = 0;
+  const compute = async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return ['result'];
+  };
+
+  const values = await Promise.all([1, 2, 3].map(() => cache.wrap('shopping', 'fan', compute)));
+  assert.strictEqual(calls, 1);
+  assert.ok(values.every(value => value[0] === 'result'));
+
+  await cache.wrap('shopping', 'fan', compute);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(cache.inFlight.size, 0);
+});
+
+test('lookup says whether a value came from the cache and when it was fetched', async () => {
+  const cache = new PriceCache();
+  const compute = async () => {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return ['result'];
+  };
+
+  const [first, shared] = await Promise.all([cache.lookup('shopping', 'fan', compute), cache.lookup('shopping', 'fan', compute)]);
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(shared.cached, true);
+  assert.strictEqual(shared.fetchedAt, first.fetchedAt);
+
+  const later = await cache.lookup('shopping', 'fan', compute);
+  assert.deepStrictEqual(later, { value: ['result'], cached: true, fetchedAt: first.fetchedAt });
+});
+
+test('wrap does not cache rejections', async () => {
+  const cache = new PriceCache();
+  await assert.rejects(cache.wrap('shopping', 'fan', async () => { throw new Error('API down'); }), /API down/);
+  assert.strictEqual(cache.inFlight.size, 0);
+  assert.deepStrictEqual(await cache.wrap('shopping', 'fan', async () => ['ok']), ['ok']);
+});
+
+test('clear removes one namespace or everything', () => {
+  const cache = new PriceCache();
+  cache.set('shopping', 'a', 1);
+  cache.set('web', 'a', 2);
+  cache.clear('shopping');
+  assert.strictEqual(cache.has('shopping', 'a'), false);
+  assert.strictEqual(cache.has('web', 'a'), true);
+  cache.clear();
+  assert.strictEqual(cache.store.size, 0);
+});
+
+test('JSON-lines store survives a restart, with later writes and deletes winning', () => {
+  const file = cacheFile();
+  const cache = new PriceCache({ store: new PriceCache.JsonLinesStore(file) });
+  cache.set('shopping', 'fan', ['old']);
+  cache.set('shopping', 'fan', ['new']);
+  cache.set('shopping', 'desk', ['desk']);
+  cache.store.delete('shopping:desk');
+
+  const reloaded = new PriceCache({ store: new PriceCache.JsonLinesStore(file) });
+  assert.deepStrictEqual(reloaded.get('shopping', 'fan'), ['new']);
+  assert.strictEqual(reloaded.get('shopping', 'desk'), undefined);
+  assert.strictEqual(reloaded.store.size, 1);
+});
+
+test('JSON-lines store skips a torn last line from an interrupted write', () => {
+  const file = cacheFile();
+  const cache = new PriceCache({ store: new PriceCache.JsonLinesStore(file) });
+  cache.set('shopping', 'fan', ['fan']);
+  fs.appendFileSync(file, '{"key":"shopping:lamp","value":["la');
+
+  const reloaded = new PriceCache({ store: new PriceCache.JsonLinesStore(file) });
+  assert.deepStrictEqual(reloaded.get('shopping', 'fan'), ['fan']);
+  assert.strictEqual(reloaded.get('shopping', 'lamp'), undefined);
+
+  reloaded.set('shopping', 'lamp', ['lamp']);
+  const again = new PriceCache({ store: new PriceCache.JsonLinesStore(file) });
+  assert.deepStrictEqual(again.get('shopping', 'lamp'), ['lamp']);
+});
+
+test('JSON-lines store compacts the file once stale lines outnumber live ones', () => {
+  const file = cacheFile();
+  const store = new PriceCache.JsonLinesStore(file);
+  const cache = new PriceCache({ store });
+  for (let i = 0; i < 100; i++) cache.set('shopping', 'fan', [i]);
+  assert.strictEqual(fs.readFileSync(file, 'utf-8').trim().split('\n').length, 100);
+
+  // The 100th stale line triggers the rewrite down to the one live entry
+  cache.set('shopping', 'fan', ['last']);
+  assert.strictEqual(fs.readFileSync(file, 'utf-8').trim().split('\n').length, 1);
+  assert.strictEqual(store.staleLines, 0);
+  assert.deepStrictEqual(new PriceCache({ store: new PriceCache.JsonLinesStore(file) }).get('shopping', 'fan'), ['last']);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PriceHistory = require('../utils/priceHistory');
+
+const fan = { description: 'Lasko 42 in. tower fan', price: 64.98, source: 'homedepot.com', url: 'https://www.homedepot.com/p/205156788' };
+
+test('a price is dated by when it was fetched, not when it was recorded', () => {
+  const history = new PriceHistory({ filePath: null });
+  const record = history.record({ ...fan, recordedAt: Date.parse('2025-03-01T10:00:00Z'), fromCache: true });
+
+  assert.strictEqual(record.recordedAt, '2025-03-01T10:00:00.000Z');
+  assert.strictEqual(record.fromCache, true);
+  assert.deepStrictEqual(history.trend('tower fan').series.map(point => [point.recordedAt, point.fromCache]), [['2025-03-01T10:00:00.000Z', true]]);
+});
+
+test('the same listing at the same fetch time is stored once', () => {
+  const history = new PriceHistory({ filePath: null });
+  const fetchedAt = '2025-03-01T10:00:00.000Z';
+
+  assert.ok(history.record({ ...fan, recordedAt: fetchedAt, fromCache: false }));
+  assert.strictEqual(history.record({ ...fan, recordedAt: fetchedAt, fromCache: true }), null);
+  assert.strictEqual(history.record({ ...fan, jobId: 'rerun', recordedAt: fetchedAt, fromCache: true }), null);
+  assert.strictEqual(history.size, 1);
+
+  // A later fetch, or another listing at the same time, is a new observation
+  assert.ok(history.record({ ...fan, recordedAt: '2025-03-09T10:00:00.000Z' }));
+  assert.ok(history.record({ ...fan, url: 'https://www.walmart.com/ip/1', recordedAt: fetchedAt }));
+  assert.strictEqual(history.size, 3);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RateLimiter = require('../utils/rateLimiter');
+
+function usageFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-')), 'usage.json');
+}
+
+test('acquire spends the burst immediately, then waits for tokens', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2, usageFile: usageFile() });
+  const start = Date.now();
+  await limiter.acquire();
+  await limiter.acquire();
+  assert.ok(Date.now() - start < 30, 'burst calls should not wait');
+
+  await limiter.acquire();
+  assert.ok(Date.now() - start >= 40, 'third call should wait for a token (50ms at 20/s)');
+});
+
+test('acquire refuses calls once the monthly quota is used', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 100, monthlyQuota: 2, usageFile: usageFile() });
+  await limiter.acquire();
+  await limiter.acquire();
+  await assert.rejects(limiter.acquire(), error => error.code === 'QUOTA_EXCEEDED');
+  assert.strictEqual(limiter.getStats().remaining, 0);
+});
+
+test('concurrent callers reserve quota up front, so no more than the quota get through', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 100, monthlyQuota: 3, usageFile: usageFile() });
+  const outcomes = await Promise.allSettled(Array.from({ length: 5 }, () => limiter.acquire()));
+  assert.strictEqual(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 3);
+  assert.ok(outcomes.filter(outcome => outcome.status === 'rejected').every(outcome => outcome.reason.code === 'QUOTA_EXCEEDED'));
+});
+
+test('usage survives a restart within the month and resets for a new month', async () => {
+  const file = usageFile();
+  const limiter = new RateLimiter({ requestsPerSecond: 100, monthlyQuota: 10, usageFile: file });
+  await limiter.acquire();
+  await limiter.acquire();
+  assert.strictEqual(new RateLimiter({ usageFile: file }).getStats().used, 2);
+
+  fs.writeFileSync(file, JSON.stringify({ month: '1999-01', used: 9 }));
+  assert.strictEqual(new RateLimiter({ usageFile: file }).getStats().used, 0);
+});
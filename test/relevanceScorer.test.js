@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RelevanceScorer = require('../utils/relevanceScorer');
+
+const scorer = new RelevanceScorer();
+
+test('"in" before a number is a word, not inches', () => {
+  assert.deepStrictEqual(RelevanceScorer.tokenize('4 in 1 pet shampoo'), ['4', '1', 'pet', 'shampoo']);
+  assert.ok(RelevanceScorer.tokenize('55 in TV').includes('inch'));
+  assert.ok(RelevanceScorer.tokenize('55" TV').includes('inch'));
+});
+
+test('a brand matches whole words only, ignoring punctuation inside it', () => {
+  assert.strictEqual(RelevanceScorer.hasBrand('Large garage fan', 'GE'), false);
+  assert.strictEqual(RelevanceScorer.hasBrand('GE Profile microwave', 'GE'), true);
+  assert.strictEqual(RelevanceScorer.hasBrand('BLACK & DECKER 20V drill', 'Black+Decker'), true);
+  assert.strictEqual(RelevanceScorer.hasBrand('Kitchen Aid stand mixer', 'KitchenAid'), true);
+  assert.strictEqual(RelevanceScorer.hasBrand('Purple bath towel', 'Purple'), true);
+});
+
+test('a brand only scores when it appears in the title', () => {
+  const target = scorer.prepare('box fan', { brand: 'GE' });
+  assert.strictEqual(scorer.score('Garage box fan', target).brandMatch, false);
+  assert.strictEqual(scorer.score('GE box fan', target).brandMatch, true);
+  assert.ok(scorer.score('GE box fan', target).score > scorer.score('Garage box fan', target).score);
+});
+
+test('accessories for the item score low', () => {
+  const target = scorer.prepare('Keurig coffee maker');
+  const result = scorer.score('Water filter for Keurig coffee maker', target);
+  assert.strictEqual(result.accessoryWord, 'filter');
+  assert.ok(result.score < scorer.minScore);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PriceHistory = require('../utils/priceHistory');
+const TargetPriceEstimator = require('../utils/targetPriceEstimator');
+
+const towel = { description: 'cotton bath towel', price: 12, source: 'target.com', url: 'https://www.target.com/p/A-1', targetSource: 'provided' };
+
+function estimatorWith(history) {
+  return new TargetPriceEstimator({ history });
+}
+
+test('one price recorded again and again is not a historical estimate', () => {
+  const history = new PriceHistory({ filePath: null });
+  for (const jobId of ['first', 'cache-hit', 'rerun']) {
+    history.record({ ...towel, jobId, recordedAt: '2025-03-01T10:00:00.000Z' });
+  }
+
+  assert.notStrictEqual(estimatorWith(history).estimate('cotton bath towel').source, 'historical');
+});
+
+test('repeated lines already in the history file count as one sample', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-history-'));
+  const filePath = path.join(dir, 'price-history.jsonl');
+  const line = JSON.stringify({ ...towel, key: PriceHistory.normalizeDescription(towel.description), recordedAt: '2025-03-01T10:00:00.000Z' });
+  fs.writeFileSync(filePath, `${line}\n${line}\n${line}\n`);
+
+  const history = new PriceHistory({ filePath });
+  assert.strictEqual(history.size, 3);
+  assert.deepStrictEqual(TargetPriceEstimator.samplePrices(history.recordsForDescription('cotton bath towel')), [12]);
+  assert.notStrictEqual(estimatorWith(history).estimate('cotton bath towel').source, 'historical');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('prices found against an estimated target do not feed estimates', () => {
+  const history = new PriceHistory({ filePath: null });
+  ['2025-03-01', '2025-03-02', '2025-03-03'].forEach((day, index) => {
+    history.record({ ...towel, price: 10 + index, recordedAt: `${day}T10:00:00.000Z`, targetSource: 'historical' });
+  });
+
+  assert.notStrictEqual(estimatorWith(history).estimate('cotton bath towel').source, 'historical');
+});
+
+test('separate fetches give a historical median and IQR', () => {
+  const history = new PriceHistory({ filePath: null });
+  [10, 12, 20].forEach((price, index) => {
+    history.record({ ...towel, price, recordedAt: `2025-03-0${index + 1}T10:00:00.000Z` });
+  });
+  // Records from before targetSource was kept still count
+  history.record({ ...towel, price: 14, targetSource: null, recordedAt: '2025-03-04T10:00:00.000Z' });
+
+  const estimate = estimatorWith(history).estimate('Cotton Bath Towels');
+  assert.strictEqual(estimate.source, 'historical');
+  assert.strictEqual(estimate.basis, 'description');
+  assert.deepStrictEqual([estimate.sampleSize, estimate.median, estimate.q1, estimate.q3, estimate.iqr], [4, 13, 11.5, 15.5, 4]);
+});
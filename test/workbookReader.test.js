@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const WorkbookReader = require('../utils/workbookReader');
+
+// A room sheet as adjusters send them: title, claim number and a blank row above the header
+const roomSheet = [
+  ['Smith Residence - Contents Claim'],
+  ['Claim #', 'CLM-2024-0042'],
+  [],
+  ['Item #', 'Item Description', 'Brand', 'Qty', 'Cost to Replace Pre-Tax (each)'],
+  [1, 'Lasko 42 in. tower fan', 'Lasko', 1, 65],
+  [2, 'coffee maker', '', 2, 35]
+];
+
+function workbookOf(sheets) {
+  const workbook = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  }
+  return workbook;
+}
+
+test('the header row is found below title and claim rows', () => {
+  assert.strictEqual(WorkbookReader.detectHeaderRow(roomSheet), 3);
+  assert.strictEqual(WorkbookReader.detectHeaderRow(roomSheet.slice(3)), 0);
+});
+
+test('vendor headers without our column names are still detected', () => {
+  const matrix = [
+    ['Room-by-room inventory'],
+    ['Line', 'Room', 'Item', 'Make', 'Qty', 'Replacement Cost'],
+    ['1', 'Kitchen', 'Toaster', 'Cuisinart', '1', '49.99']
+  ];
+  assert.strictEqual(WorkbookReader.detectHeaderRow(matrix), 1);
+});
+
+test('a sheet of data rows or a lone title has no header row', () => {
+  assert.strictEqual(WorkbookReader.detectHeaderRow([['Contents Claim'], [], ['Notes']]), -1);
+  assert.ok(WorkbookReader.headerScore(['1', '$65.00', '2', '35']) <= 0);
+});
+
+test('only the first 20 rows are searched', () => {
+  const padded = [...Array.from({ length: 20 }, (_, index) => [`Note ${index}`]), ...roomSheet.slice(3)];
+  assert.strictEqual(WorkbookReader.detectHeaderRow(padded), -1);
+});
+
+test('rows read below a detected header keep their sheet and row number', () => {
+  const sheet = WorkbookReader.readSheet(workbookOf({ Kitchen: roomSheet }), 'Kitchen');
+  assert.strictEqual(sheet.headerRow, 4);
+  assert.strictEqual(sheet.headerDetected, true);
+  assert.deepStrictEqual(sheet.rows.map(row => [row['Item Description'], row[WorkbookReader.SOURCE_SHEET], row[WorkbookReader.SOURCE_ROW]]), [
+    ['Lasko 42 in. tower fan', 'Kitchen', 5],
+    ['coffee maker', 'Kitchen', 6]
+  ]);
+});
+
+test('a given header row overrides detection and must be inside the sheet', () => {
+  const workbook = workbookOf({ Kitchen: roomSheet });
+  const sheet = WorkbookReader.readSheet(workbook, 'Kitchen', 2);
+  assert.strictEqual(sheet.headerDetected, false);
+  assert.deepStrictEqual(sheet.headers, ['Claim #', 'CLM-2024-0042']);
+
+  assert.throws(() => WorkbookReader.readSheet(workbook, 'Kitchen', 40), error => error.code === 'INVALID_HEADER_ROW');
+});
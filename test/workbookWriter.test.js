@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const WorkbookReader = require('../utils/workbookReader');
+const WorkbookWriter = require('../utils/workbookWriter');
+
+function upload(sheetName, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function priced(buffer, summary = null) {
+  const entries = WorkbookReader.readRows({ originalname: 'claim.xlsx', buffer })
+    .map(row => ({ input: row, output: { ...row, Price: 10, Description: `${row['Item Description']} – found` } }));
+  return WorkbookWriter.write(buffer, entries, { summary });
+}
+
+test('non-ASCII text in the upload and in new cells reads back unchanged', () => {
+  const buffer = upload('Living Room', [
+    ['Item #', 'Item Description', 'Cost to Replace'],
+    [1, 'Sofa — café “deluxe” ñ 🛋', 500]
+  ]);
+
+  const [row] = WorkbookReader.readRows({ originalname: 'claim.xlsx', buffer: priced(buffer) });
+  assert.strictEqual(row['Item Description'], 'Sofa — café “deluxe” ñ 🛋');
+  assert.strictEqual(row.Description, 'Sofa — café “deluxe” ñ 🛋 – found');
+  assert.strictEqual(row.Price, '10');
+});
+
+test('sheet names with XML special characters are still found', () => {
+  const buffer = upload('Kitchen & Bath', [['Item #', 'Item Description'], [1, 'Toaster <2 slice>']]);
+  const output = XLSX.read(priced(buffer));
+  assert.deepStrictEqual(output.SheetNames, ['Kitchen & Bath']);
+  assert.deepStrictEqual(XLSX.utils.sheet_to_json(output.Sheets['Kitchen & Bath'])[0], {
+    'Item #': 1, 'Item Description': 'Toaster <2 slice>', Price: 10, Description: 'Toaster <2 slice> – found'
+  });
+});
+
+test('the Summary sheet lists category subtotals one row per category with numeric cells', () => {
+  const buffer = upload('Sheet1', [['Item #', 'Item Description'], [1, 'Lamp']]);
+  const summary = {
+    successRate: '100%',
+    totals: {
+      grandTotal: 150,
+      categorySubtotals: [
+        { category: 'Furniture', items: 2, total: 120, subcategories: [{ subcategory: 'Sofas', items: 1, total: 100 }] },
+        { category: 'Lighting', items: 1, total: 30, subcategories: [] }
+      ]
+    },
+    sheets: ['Sheet1']
+  };
+
+  const sheet = XLSX.read(priced(buffer, summary)).Sheets.Summary;
+  assert.deepStrictEqual(XLSX.utils.sheet_to_json(sheet, { header: 1 }), [
+    ['Metric', 'Value'],
+    ['successRate', '100%'],
+    ['totals.grandTotal', 150],
+    ['totals.categorySubtotals', 'items', 'total'],
+    ['Furniture', 2, 120],
+    ['Furniture / Sofas', 1, 100],
+    ['Lighting', 1, 30],
+    ['sheets', 'Sheet1']
+  ]);
+  assert.strictEqual(sheet['!ref'], 'A1:C8');
+});
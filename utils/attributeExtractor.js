@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BRAND_TIERS_FILE = path.join(__dirname, '..', 'config', 'brand-tiers.json');
+
+// Capacity units converted to a common base so "1 gal" and "4 quart" compare.
+// Cups and cubic feet stay separate - a 12-cup coffee maker is not 3 quarts.
+const CAPACITY_UNITS = {
+  gallon: { base: 'liter', factor: 3.785 }, gal: { base: 'liter', factor: 3.785 }, gallons: { base: 'liter', factor: 3.785 },
+  quart: { base: 'liter', factor: 0.946 }, qt: { base: 'liter', factor: 0.946 }, quarts: { base: 'liter', factor: 0.946 },
+  pint: { base: 'liter', factor: 0.473 }, pints: { base: 'liter', factor: 0.473 },
+  liter: { base: 'liter', factor: 1 }, liters: { base: 'liter', factor: 1 }, litre: { base: 'liter', factor: 1 }, l: { base: 'liter', factor: 1 },
+  cup: { base: 'cup', factor: 1 }, cups: { base: 'cup', factor: 1 },
+  'cu ft': { base: 'cubic foot', factor: 1 }, 'cu. ft': { base: 'cubic foot', factor: 1 }, 'cubic feet': { base: 'cubic foot', factor: 1 }
+};
+
+const BED_SIZES = ['california king', 'cal king', 'king', 'queen', 'full', 'twin xl', 'twin'];
+
+// A bed size word only names a size next to "size"/"xl" or in text about bedding, so
+// "Full motion TV mount" and "Twin pack batteries" have no bed size
+const BED_WORDS = /\b(beds?|bedding|mattress(es)?|sheets?|comforters?|duvets?|quilts?|bedspreads?|coverlets?|headboards?|footboards?|box springs?|toppers?|pillows?|pillowcases?|blankets?|daybeds?)\b/;
+
+// Multipack wording: "pack of 4", "set of 4" (but not "set of 4 pieces"), "case of 24",
+// "6-pack", "6 pk". Piece counts ("12-piece", "100 count") describe one item, not a pack.
+const COUNT_PATTERNS = [
+  /\b(?:pack|set|case) of (\d+)\b(?!\s*-?\s*(?:pieces?|pcs?)\b)/i,
+  /\b(\d+)\s*-?\s*(?:pack|pk)\b/i
+];
+
+// Longest names first so "stainless steel" wins over "steel"
+const MATERIALS = [
+  'stainless steel', 'cast iron', 'faux leather', 'memory foam', 'solid wood',
+  'steel', 'aluminum', 'iron', 'plastic', 'wood', 'wooden', 'glass', 'ceramic', 'porcelain',
+  'leather', 'cotton', 'polyester', 'wool', 'silk', 'latex', 'bamboo', 'copper', 'brass',
+  'marble', 'granite', 'vinyl'
+];
+const MATERIAL_ALIASES = { wooden: 'wood', 'solid wood': 'wood' };
+
+// Attributes that make an offer a different item when they disagree; the rest
+// (material, brand tier, pack count) only make it a lesser match. Pack count is soft
+// because the pricer compares multi-packs on unit price.
+const HARD_ATTRIBUTES = ['type', 'size', 'capacity', 'wattage'];
+
+// Numeric attributes match when within this share of the claimed value
+const NUMERIC_TOLERANCE = { size: 0.1, capacity: 0.15, wattage: 0.15 };
+
+// Pulls like-kind-and-quality attributes out of a claim description or an offer title:
+// capacity, size, wattage, material, pack count and brand tier (config/brand-tiers.json)
+class AttributeExtractor {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.BRAND_TIERS_FILE || DEFAULT_BRAND_TIERS_FILE;
+    const config = options.config || JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+
+    this.tiers = config.tiers || ['economy', 'mid', 'premium'];
+    // Brands that are also ordinary words ("Purple", "Wolf") only count when the row's Brand
+    // column names them; in a description or title they are usually a colour or a noun
+    const commonWords = new Set((config.commonWordBrands || []).map(name => name.toLowerCase()));
+    this.brands = [];
+    for (const [tier, names] of Object.entries(config.brands || {})) {
+      for (const name of names) {
+        const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        this.brands.push({ name, tier, commonWord: commonWords.has(name.toLowerCase()), pattern: new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`) });
+      }
+    }
+    // Longer names first so "Sealy Posturepedic" style names beat a shorter brand
+    this.brands.sort((a, b) => b.name.length - a.name.length);
+  }
+
+  // Shared extractor loaded from BRAND_TIERS_FILE (config/brand-tiers.json by default)
+  static shared() {
+    if (!AttributeExtractor.instance) {
+      AttributeExtractor.instance = new AttributeExtractor();
+    }
+    return AttributeExtractor.instance;
+  }
+
+  // { capacity, size, wattage, material, count, brand, brandTier } - null when not stated.
+  // `brand` is a known brand for the text (e.g. the row's Brand column).
+  extract(text, brand = null) {
+    const lower = String(text || '').toLowerCase().replace(/,(\d{3})/g, '$1');
+
+    return {
+      capacity: this.extractCapacity(lower),
+      size: this.extractSize(lower),
+      wattage: this.extractWattage(lower),
+      material: this.extractMaterial(lower),
+      count: this.extractCount(lower),
+      ...this.extractBrand(lower, brand)
+    };
+  }
+
+  extractCapacity(lower) {
+    const match = lower.match(/(\d+(?:\.\d+)?)\s*-?\s*(gallons?|gal|quarts?|qt|pints?|liters?|litre|l|cups?|cu\.? ft|cubic feet)\b/);
+    if (!match) return null;
+
+    const unit = CAPACITY_UNITS[match[2]];
+    return { value: parseFloat(match[1]), unit: match[2], base: unit.base, baseValue: +(parseFloat(match[1]) * unit.factor).toFixed(3) };
+  }
+
+  extractSize(lower) {
+    const bedding = BED_WORDS.test(lower);
+    const bed = BED_SIZES.find(size => {
+      const context = bedding || size.endsWith(' xl') ? '' : '(?=[\\s-]*(size|xl)\\b)';
+      return new RegExp(`\\b${size.replace(/ /g, '[\\s-]+')}\\b${context}`).test(lower);
+    });
+    if (bed) return { label: bed === 'cal king' ? 'california king' : bed };
+
+    // "in" followed by a number is a word, not a unit: "4 in 1 shampoo"
+    const match = lower.match(/(\d+(?:\.\d+)?)\s*(?:-\s*)?(inches|inch|in\b\.?(?!\s*\d)|"|”|feet|foot|ft\b\.?|')/);
+    if (!match) return null;
+
+    const feet = /^(feet|foot|ft|')/.test(match[2]);
+    return { value: parseFloat(match[1]) * (feet ? 12 : 1), unit: 'inch' };
+  }
+
+  extractWattage(lower) {
+    const match = lower.match(/(\d+(?:\.\d+)?)\s*-?\s*(watts?|w)\b/);
+    return match ? { value: parseFloat(match[1]), unit: 'W' } : null;
+  }
+
+  extractMaterial(lower) {
+    const found = [];
+    let remaining = lower;
+    for (const material of MATERIALS) {
+      const pattern = new RegExp(`\\b${material}\\b`);
+      if (pattern.test(remaining)) {
+        found.push(MATERIAL_ALIASES[material] || material);
+        remaining = remaining.replace(pattern, ' ');
+      }
+    }
+    return found.length ? [...new Set(found)] : null;
+  }
+
+  // Units sold together: "pack of 6", "6-pack", "6 pk", "set of 4 towels", "case of 24".
+  // Pieces of one product ("12-piece cookware set", "set of 15 pcs") and contents counts
+  // ("100 count paper plates") are not packs; their price is for the whole item.
+  extractCount(lower) {
+    const match = AttributeExtractor.countMatch(lower);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  // The multipack wording in the text (see COUNT_PATTERNS), or null when it names no pack
+  static countMatch(text) {
+    const match = COUNT_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+    return match && parseInt(match[1]) > 1 ? match : null;
+  }
+
+  // The text without its multipack wording, so the pack count is not a word offer titles
+  // must match: "Set of 4 bath towels" -> "bath towels"
+  withoutCount(text) {
+    const value = String(text || '');
+    const match = AttributeExtractor.countMatch(value);
+    if (!match) return value;
+    return `${value.slice(0, match.index)} ${value.slice(match.index + match[0].length)}`.replace(/\s+/g, ' ').trim();
+  }
+
+  // Brand named in the text (or the one given) and its tier, when the brand is known
+  extractBrand(lower, brand) {
+    const given = brand ? String(brand).trim().toLowerCase() : '';
+    const known = this.brands.find(entry => entry.name.toLowerCase() === given) ||
+      this.brands.find(entry => !entry.commonWord && entry.pattern.test(lower));
+    if (known) return { brand: known.name, brandTier: known.tier };
+    return { brand: given ? String(brand).trim() : null, brandTier: null };
+  }
+
+  // Compare an offer's attributes with the claimed item's.
+  // Returns { matched, mismatched, hardConflicts, softConflicts } where matched and
+  // mismatched are readable strings like "size: 42 inch" or "wattage: 1500 W vs 900 W".
+  // Attributes missing on either side are neither matched nor mismatched.
+  compare(claim, offer) {
+    const matched = [];
+    const mismatched = [];
+    let hardConflicts = 0;
+    let softConflicts = 0;
+
+    const record = (name, ok, claimed, offered) => {
+      if (ok) {
+        matched.push(`${name}: ${claimed}`);
+        return;
+      }
+      mismatched.push(`${name}: ${claimed} vs ${offered}`);
+      if (HARD_ATTRIBUTES.includes(name)) hardConflicts++;
+      else softConflicts++;
+    };
+
+    if (claim.type && offer.type) {
+      record('type', claim.type === offer.type, claim.type, offer.type);
+    }
+
+    if (claim.size && offer.size) {
+      if (claim.size.label || offer.size.label) {
+        if (claim.size.label && offer.size.label) record('size', claim.size.label === offer.size.label, claim.size.label, offer.size.label);
+      } else {
+        record('size', this.near(claim.size.value, offer.size.value, NUMERIC_TOLERANCE.size), `${claim.size.value} inch`, `${offer.size.value} inch`);
+      }
+    }
+
+    if (claim.capacity && offer.capacity && claim.capacity.base === offer.capacity.base) {
+      record('capacity', this.near(claim.capacity.baseValue, offer.capacity.baseValue, NUMERIC_TOLERANCE.capacity),
+        `${claim.capacity.value} ${claim.capacity.unit}`, `${offer.capacity.value} ${offer.capacity.unit}`);
+    }
+
+    if (claim.wattage && offer.wattage) {
+      record('wattage', this.near(claim.wattage.value, offer.wattage.value, NUMERIC_TOLERANCE.wattage), `${claim.wattage.value} W`, `${offer.wattage.value} W`);
+    }
+
+    if (claim.count && offer.count) {
+      record('count', claim.count === offer.count, claim.count, offer.count);
+    }
+
+    if (claim.material && offer.material) {
+      const shared = claim.material.filter(material => offer.material.includes(material));
+      record('material', shared.length > 0, (shared.length ? shared : claim.material).join('/'), offer.material.join('/'));
+    }
+
+    if (claim.brandTier && offer.brandTier) {
+      record('brand tier', claim.brandTier === offer.brandTier, claim.brandTier, offer.brandTier);
+    }
+
+    return { matched, mismatched, hardConflicts, softConflicts };
+  }
+
+  near(claimed, offered, tolerance) {
+    return Math.abs(offered - claimed) <= claimed * tolerance;
+  }
+}
+
+AttributeExtractor.HARD_ATTRIBUTES = HARD_ATTRIBUTES;
+
+module.exports = AttributeExtractor;
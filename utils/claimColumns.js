@@ -0,0 +1,130 @@
+const DepreciationCalculator = require('../models/DepreciationCalculator');
+const TaxRateTable = require('../models/TaxRateTable');
+
+// Money columns of a priced output row (tax, pack, depreciation) and the claim totals
+// built from them. `result` is a found pricer result: { price, listingPrice, packSize,
+// unitPrice, shipping, subcategory }, with price already normalized to the claim's pack size.
+class ClaimColumns {
+  // Row ZIP and state from the file's columns, when it has them. CSV and spreadsheet cells
+  // read the ZIP "02134" as the number 2134, so numeric ZIPs are padded back to 5 digits.
+  static location(row, columnMap) {
+    const zip = columnMap.zip ? row[columnMap.zip] : null;
+    return {
+      zip: Number.isInteger(zip) && zip >= 0 && zip < 100000 ? String(zip).padStart(5, '0') : zip,
+      state: columnMap.state ? row[columnMap.state] : null
+    };
+  }
+
+  // Cost columns next to Price: the tax rate for the row's location, the price with tax,
+  // the listing's shipping charge and the delivered cost (price with tax plus shipping).
+  // Tax is not applied to shipping. Cells stay blank when the rate or shipping is unknown.
+  // Returns { columns, tax } where tax goes in the audit.
+  static cost(result, location = {}, claimTax = {}) {
+    const tax = TaxRateTable.shared().resolve(location, claimTax);
+    const postTax = tax ? +(result.price * (1 + tax.rate / 100)).toFixed(2) : '';
+    const shipping = result.shipping != null ? result.shipping : '';
+
+    return {
+      columns: {
+        'Tax Rate': tax ? tax.rate : '',
+        'Post-Tax Price': postTax,
+        'Shipping': shipping,
+        'Delivered Cost': postTax !== '' && shipping !== '' ? +(postTax + shipping).toFixed(2) : ''
+      },
+      tax: tax || { rate: null, reason: 'No tax rate for the row or claim location' }
+    };
+  }
+
+  // Pack columns: the listing as advertised, its per-unit price, and the price for the
+  // claimed item (Price, already normalized to the claim's pack size) times the quantity
+  static pack(result, quantity) {
+    return {
+      'Listing Price': result.listingPrice,
+      'Pack Size': result.packSize,
+      'Unit Price': result.unitPrice,
+      'Quantity': quantity,
+      'Extended Price': +(result.price * quantity).toFixed(2)
+    };
+  }
+
+  // Depreciation columns: replacement cost (RCV = Extended Price), depreciation % and actual
+  // cash value for the row's age and condition. Depreciation % and ACV stay blank when the
+  // age can't be read. Returns { columns, depreciation } where depreciation goes in the audit.
+  static depreciation(result, quantity, age, condition) {
+    const rcv = +(result.price * quantity).toFixed(2);
+    const depreciation = DepreciationCalculator.shared().calculate(rcv, { category: result.subcategory, age, condition });
+
+    return {
+      columns: {
+        'RCV': rcv,
+        'Depreciation %': depreciation ? depreciation.percent : '',
+        'ACV': depreciation ? depreciation.acv : ''
+      },
+      depreciation: depreciation || { skipped: `Unreadable age "${age}" or condition "${condition}"` }
+    };
+  }
+
+  // Claim-level totals of the priced rows: a grand total of Extended Price plus
+  // subtotals per category and sub category. Unpriced rows are counted but not totaled.
+  static totals(rows) {
+    const round = value => +value.toFixed(2);
+    const add = (bucket, quantity, amount, acv) => {
+      bucket.items++;
+      bucket.quantity += quantity;
+      bucket.total += amount;
+      if (acv !== null) bucket.acvTotal = (bucket.acvTotal || 0) + acv;
+    };
+
+    const totals = { grandTotal: 0, pricedItems: 0, unpricedItems: 0, totalQuantity: 0 };
+    let acvTotal = null;
+    const categories = new Map();
+
+    for (const row of rows) {
+      const amount = parseFloat(row['Extended Price']);
+      if (row['Search Status'] !== 'Found' || isNaN(amount)) {
+        totals.unpricedItems++;
+        continue;
+      }
+
+      const quantity = parseFloat(row['Quantity']) || 1;
+      // Rows without an ACV (no age or condition) count at full replacement cost
+      const acv = 'ACV' in row ? (row['ACV'] === '' ? amount : parseFloat(row['ACV'])) : null;
+      totals.pricedItems++;
+      totals.totalQuantity += quantity;
+      totals.grandTotal += amount;
+      if (acv !== null) acvTotal = (acvTotal || 0) + acv;
+
+      const categoryName = row['Cat'] || 'Uncategorized';
+      if (!categories.has(categoryName)) {
+        categories.set(categoryName, { category: categoryName, items: 0, quantity: 0, total: 0, subcategories: new Map() });
+      }
+      const category = categories.get(categoryName);
+      add(category, quantity, amount, acv);
+
+      const subcategoryName = row['Sub Cat'] || 'General';
+      if (!category.subcategories.has(subcategoryName)) {
+        category.subcategories.set(subcategoryName, { subcategory: subcategoryName, items: 0, quantity: 0, total: 0 });
+      }
+      add(category.subcategories.get(subcategoryName), quantity, amount, acv);
+    }
+
+    // Largest subtotals first
+    const byTotal = (a, b) => b.total - a.total;
+    const rounded = bucket => ({
+      ...bucket,
+      total: round(bucket.total),
+      ...(bucket.acvTotal != null ? { acvTotal: round(bucket.acvTotal) } : {})
+    });
+    return {
+      ...totals,
+      grandTotal: round(totals.grandTotal),
+      ...(acvTotal !== null ? { acvTotal: round(acvTotal) } : {}),
+      categorySubtotals: [...categories.values()].sort(byTotal).map(category => ({
+        ...rounded(category),
+        subcategories: [...category.subcategories.values()].sort(byTotal).map(rounded)
+      }))
+    };
+  }
+}
+
+module.exports = ClaimColumns;
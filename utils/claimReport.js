@@ -0,0 +1,241 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+
+// Line-item table columns; widths add up to the printable width of a Letter page
+const COLUMNS = [
+  { key: 'itemNumber', label: 'Item #', width: 40 },
+  { key: 'description', label: 'Description', width: 172 },
+  { key: 'target', label: 'Target', width: 55, align: 'right' },
+  { key: 'price', label: 'Found', width: 60, align: 'right' },
+  { key: 'retailer', label: 'Retailer / Status', width: 115 },
+  { key: 'link', label: 'Link', width: 70 }
+];
+
+const CELL_PADDING = 4;
+const HEADER_FILL = '#667eea';
+// Same amber as highlighted rows in workbook output
+const REVIEW_FILL = '#FFEB9C';
+
+// Printable claim valuation report for a finished pricing job: a cover page with the claim
+// totals, category subtotals and the rows left for manual validation, then one table row per
+// line item (description, target, found price, retailer and a link to the listing).
+// Uses pdfkit's built-in Helvetica, so characters outside Latin-1 are not rendered.
+class ClaimReport {
+  static money(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? '' : number.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+  }
+
+  static retailerOf(item) {
+    if (item.retailer) return item.retailer;
+    try {
+      return new URL(item.url).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  // report: { fileName, jobId, generatedAt, summary, items }
+  // items: [{ itemNumber, description, target, price, retailer, url, status, needsReview }]
+  // Resolves to the PDF as a Buffer.
+  static render(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+          Title: `Claim Valuation Report - ${report.fileName || 'inventory'}`,
+          Creator: 'Price Validation System'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        ClaimReport.coverPage(doc, report);
+        doc.addPage();
+        ClaimReport.lineItems(doc, report.items);
+        ClaimReport.pageNumbers(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  static coverPage(doc, report) {
+    const summary = report.summary || {};
+    const totals = summary.totals || {};
+    const items = report.items || [];
+    const review = items.filter(item => item.needsReview);
+
+    doc.font('Helvetica-Bold').fontSize(24).fillColor('#333').text('Claim Valuation Report');
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(11).fillColor('#666')
+      .text(`File: ${report.fileName || 'n/a'}`)
+      .text(`Generated: ${new Date(report.generatedAt || Date.now()).toLocaleString('en-US')}`)
+      .text(`Job: ${report.jobId || 'n/a'}`);
+    if (summary.pricingProfile) {
+      const mode = summary.pricingMode ? `, ${summary.pricingMode.name} mode` : '';
+      doc.text(`Pricing profile: ${summary.pricingProfile.name || summary.pricingProfile.id}${mode}`);
+    }
+
+    doc.moveDown(1.5);
+    ClaimReport.heading(doc, 'Claim Totals');
+    const figures = [
+      ['Replacement cost total', ClaimReport.money(totals.grandTotal || 0)],
+      ...(totals.acvTotal != null ? [['Actual cash value total', ClaimReport.money(totals.acvTotal)]] : []),
+      ['Line items', String(summary.totalItems != null ? summary.totalItems : items.length)],
+      ['Priced items', String(totals.pricedItems || 0)],
+      ['Total quantity priced', String(totals.totalQuantity || 0)],
+      ['Manual Validation Required', String(review.length)],
+      ...(summary.successRate ? [['Success rate', summary.successRate]] : []),
+      ...(summary.withinRangeRate ? [['Within target range', summary.withinRangeRate]] : [])
+    ];
+    ClaimReport.keyValues(doc, figures);
+
+    if (totals.categorySubtotals && totals.categorySubtotals.length) {
+      doc.moveDown(1);
+      ClaimReport.heading(doc, 'By Category');
+      ClaimReport.keyValues(doc, totals.categorySubtotals.map(category => [
+        `${category.category} (${category.items} item${category.items === 1 ? '' : 's'})`,
+        ClaimReport.money(category.total)
+      ]));
+    }
+
+    doc.moveDown(1);
+    ClaimReport.heading(doc, 'Manual Validation Required');
+    if (!review.length) {
+      doc.font('Helvetica').fontSize(11).fillColor('#333').text('Every line item was priced.');
+    } else {
+      const byStatus = {};
+      for (const item of review) {
+        const status = item.status || 'Unpriced';
+        byStatus[status] = (byStatus[status] || 0) + 1;
+      }
+      ClaimReport.keyValues(doc, Object.entries(byStatus).map(([status, count]) => [status, String(count)]));
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Oblique').fontSize(9).fillColor('#666')
+        .text('These rows are highlighted in the line-item table and need a price from the adjuster.');
+    }
+  }
+
+  static heading(doc, text) {
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#667eea').text(text);
+    doc.moveDown(0.3);
+  }
+
+  // Label on the left, value right-aligned, one line each
+  static keyValues(doc, pairs) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    doc.font('Helvetica').fontSize(11).fillColor('#333');
+    for (const [label, value] of pairs) {
+      if (doc.y + 16 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+      const y = doc.y;
+      doc.text(label, left, y, { width: width - 120 });
+      doc.text(value, left + width - 120, y, { width: 120, align: 'right' });
+      doc.moveDown(0.2);
+    }
+    doc.x = left;
+  }
+
+  static tableHeader(doc) {
+    const left = doc.page.margins.left;
+    const y = doc.y;
+    const height = 20;
+    doc.rect(left, y, COLUMNS.reduce((sum, column) => sum + column.width, 0), height).fill(HEADER_FILL);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('white');
+    let x = left;
+    for (const column of COLUMNS) {
+      doc.text(column.label, x + CELL_PADDING, y + 6, { width: column.width - CELL_PADDING * 2, align: column.align || 'left' });
+      x += column.width;
+    }
+    doc.x = left;
+    doc.y = y + height;
+  }
+
+  static cellText(item, key) {
+    if (key === 'target') return ClaimReport.money(item.target);
+    if (key === 'price') return ClaimReport.money(item.price);
+    // Unpriced rows say why instead
+    if (key === 'retailer') return ClaimReport.money(item.price) ? ClaimReport.retailerOf(item) : (item.status || '');
+    if (key === 'link') return item.url ? 'View listing' : '';
+    return item[key] == null ? '' : String(item[key]);
+  }
+
+  static lineItems(doc, items = []) {
+    ClaimReport.heading(doc, 'Line Items');
+    ClaimReport.tableHeader(doc);
+
+    const left = doc.page.margins.left;
+    const tableWidth = COLUMNS.reduce((sum, column) => sum + column.width, 0);
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    items.forEach((item, index) => {
+      doc.font('Helvetica').fontSize(9);
+      const texts = COLUMNS.map(column => ClaimReport.cellText(item, column.key));
+      const height = Math.max(...COLUMNS.map((column, i) =>
+        doc.heightOfString(texts[i] || ' ', { width: column.width - CELL_PADDING * 2 })
+      )) + CELL_PADDING * 2;
+
+      if (doc.y + height > bottom()) {
+        doc.addPage();
+        ClaimReport.tableHeader(doc);
+      }
+
+      const y = doc.y;
+      if (item.needsReview) {
+        doc.rect(left, y, tableWidth, height).fill(REVIEW_FILL);
+      } else if (index % 2 === 1) {
+        doc.rect(left, y, tableWidth, height).fill('#f5f6fa');
+      }
+
+      let x = left;
+      COLUMNS.forEach((column, i) => {
+        const options = { width: column.width - CELL_PADDING * 2, align: column.align || 'left' };
+        if (column.key === 'link' && item.url) {
+          doc.fillColor('#1a56db').text(texts[i], x + CELL_PADDING, y + CELL_PADDING, { ...options, link: item.url, underline: true });
+        } else {
+          doc.fillColor('#333').text(texts[i], x + CELL_PADDING, y + CELL_PADDING, options);
+        }
+        x += column.width;
+      });
+
+      doc.moveTo(left, y + height).lineTo(left + tableWidth, y + height).lineWidth(0.5).strokeColor('#dddddd').stroke();
+      doc.x = left;
+      doc.y = y + height;
+    });
+
+    if (!items.length) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(11).fillColor('#333').text('No line items.');
+    }
+  }
+
+  static pageNumbers(doc) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing into the bottom margin would otherwise start a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#999').text(
+        `Page ${i + 1} of ${range.count}`,
+        doc.page.margins.left,
+        doc.page.height - bottomMargin / 2,
+        { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center' }
+      );
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+}
+
+ClaimReport.COLUMNS = COLUMNS;
+
+module.exports = ClaimReport;
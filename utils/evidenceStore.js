@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EVIDENCE_DIR = path.join(__dirname, '..', 'data', 'evidence');
+
+// What a matched row was priced from, kept so a disputed price can be shown months later
+// when the listing has changed or is gone. One record per matched row:
+// { capturedAt, fetchedAt, fromCache, jobId, rowIndex, itemNumber, description, query, provider,
+//   listing: { title, price, source, url }, shoppingResult, rawResult, contentHash, rawHash, snapshot }
+// rawResult is the search result exactly as the provider returned it, shoppingResult the same
+// result in the providers' common shape (SearchProvider.shoppingResult). fetchedAt is when the
+// provider returned it, which is earlier than capturedAt when the search was answered from the
+// price cache. contentHash and rawHash are the SHA-256 of the two results (keys sorted),
+// snapshot.hash that of the retailer page saved alongside them. Files live in <EVIDENCE_DIR>/<jobId>/<row>.json and
+// <row>.html, separate from the job files so they outlive job cleanup. EVIDENCE_STORE=off
+// disables capture.
+class EvidenceStore {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_EVIDENCE_DIR;
+    this.enabled = options.enabled !== false;
+  }
+
+  // Shared store configured from the environment
+  static shared() {
+    if (!EvidenceStore.instance) {
+      EvidenceStore.instance = new EvidenceStore({
+        dir: process.env.EVIDENCE_DIR || DEFAULT_EVIDENCE_DIR,
+        enabled: (process.env.EVIDENCE_STORE || 'on').toLowerCase() !== 'off'
+      });
+    }
+    return EvidenceStore.instance;
+  }
+
+  // JSON with object keys sorted, so equal content always hashes the same
+  static canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(EvidenceStore.canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${EvidenceStore.canonicalJson(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  static hash(content) {
+    return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+  }
+
+  static jobError(jobId) {
+    const error = new Error(`Invalid job id: ${jobId}`);
+    error.code = 'INVALID_EVIDENCE_KEY';
+    return error;
+  }
+
+  jobDir(jobId) {
+    if (!/^[\w-]+$/.test(String(jobId))) throw EvidenceStore.jobError(jobId);
+    return path.join(this.dir, String(jobId));
+  }
+
+  filePath(jobId, rowIndex, extension) {
+    return path.join(this.jobDir(jobId), `${Number(rowIndex)}.${extension}`);
+  }
+
+  writeAtomic(target, content) {
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, target);
+  }
+
+  // Store the evidence for one row. `snapshot` is the retailer page as fetched:
+  // { url, fetchedAt, html, extracted } or { url, fetchedAt, error } when the fetch failed.
+  save({ jobId, rowIndex, itemNumber = null, description = null, query = null, provider = null, fetchedAt = null, fromCache = null, listing = {}, shoppingResult, rawResult = null, snapshot = null }) {
+    fs.mkdirSync(this.jobDir(jobId), { recursive: true });
+
+    const record = {
+      capturedAt: new Date().toISOString(),
+      fetchedAt,
+      fromCache,
+      jobId,
+      rowIndex,
+      itemNumber,
+      description,
+      query,
+      provider,
+      listing: {
+        title: listing.title || null,
+        price: listing.price != null ? listing.price : null,
+        source: listing.source || null,
+        url: listing.url || null
+      },
+      shoppingResult,
+      rawResult,
+      contentHash: EvidenceStore.hash(EvidenceStore.canonicalJson(shoppingResult)),
+      rawHash: rawResult ? EvidenceStore.hash(EvidenceStore.canonicalJson(rawResult)) : null,
+      snapshot: null
+    };
+
+    if (snapshot) {
+      record.snapshot = { url: snapshot.url, fetchedAt: snapshot.fetchedAt };
+      if (snapshot.html) {
+        const file = `${Number(rowIndex)}.html`;
+        this.writeAtomic(this.filePath(jobId, rowIndex, 'html'), snapshot.html);
+        Object.assign(record.snapshot, {
+          file,
+          bytes: Buffer.byteLength(snapshot.html),
+          hash: EvidenceStore.hash(snapshot.html),
+          extracted: snapshot.extracted || null
+        });
+      } else {
+        record.snapshot.error = snapshot.error || 'No page content';
+      }
+    }
+
+    this.writeAtomic(this.filePath(jobId, rowIndex, 'json'), JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  // The record for a row with `verified` saying whether the stored results and page still
+  // match their hashes; null when the row has no evidence
+  get(jobId, rowIndex) {
+    const target = this.filePath(jobId, rowIndex, 'json');
+    if (!fs.existsSync(target)) return null;
+
+    const record = JSON.parse(fs.readFileSync(target, 'utf-8'));
+    const verified = { contentHash: EvidenceStore.hash(EvidenceStore.canonicalJson(record.shoppingResult)) === record.contentHash };
+    if (record.rawHash) {
+      verified.rawHash = EvidenceStore.hash(EvidenceStore.canonicalJson(record.rawResult)) === record.rawHash;
+    }
+    if (record.snapshot && record.snapshot.file) {
+      const html = this.getSnapshot(jobId, rowIndex);
+      verified.snapshot = html !== null && EvidenceStore.hash(html) === record.snapshot.hash;
+    }
+    return { ...record, verified };
+  }
+
+  // Saved retailer page for a row, or null
+  getSnapshot(jobId, rowIndex) {
+    const target = this.filePath(jobId, rowIndex, 'html');
+    return fs.existsSync(target) ? fs.readFileSync(target, 'utf-8') : null;
+  }
+
+  // Every record of a job, by row
+  list(jobId) {
+    const dir = this.jobDir(jobId);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => /^\d+\.json$/.test(name))
+      .map(name => parseInt(name, 10))
+      .sort((a, b) => a - b)
+      .map(rowIndex => this.get(jobId, rowIndex))
+      .filter(Boolean);
+  }
+}
+
+EvidenceStore.DEFAULT_EVIDENCE_DIR = DEFAULT_EVIDENCE_DIR;
+
+module.exports = EvidenceStore;
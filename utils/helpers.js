@@ -73,18 +73,11 @@ class HelperUtils {
     return Math.min((foundProducts / expectedCount) * 100, 100);
   }
 
+  // Preference weight from the retailer registry (7.0 for unknown domains)
   static getRetailerRating(domain) {
-    const ratings = {
-      'amazon.com': 9.5,
-      'target.com': 9.0,
-      'walmart.com': 8.5,
-      'bestbuy.com': 9.2,
-      'homedepot.com': 8.8,
-      'lowes.com': 8.7,
-      'costco.com': 9.3,
-      'newegg.com': 8.9
-    };
-    return ratings[domain] || 7.0;
+    // Required lazily: the registry lives in models/, which already depends on this file
+    const RetailerRegistry = require('../models/RetailerRegistry');
+    return RetailerRegistry.shared().getWeight(domain);
   }
 
   static estimateSearchTime(query, priceRange) {
@@ -118,6 +111,32 @@ class HelperUtils {
     }
   }
 
+  // Run `worker(item, index)` over items with at most `concurrency` in flight.
+  // Results keep input order. The first error stops new work and is rethrown
+  // once the in-flight items settle.
+  static async mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const runWorker = async () => {
+      while (next < items.length && !failure) {
+        const index = next++;
+        try {
+          results[index] = await worker(items[index], index);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+    if (failure) throw failure;
+    return results;
+  }
+
   static extractASIN(link) {
     try {
       const match = link.match(/\/dp\/([A-Z0-9]{10})/i);
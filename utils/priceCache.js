@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', 'data', 'price-cache.jsonl');
+const DAY_SECONDS = 24 * 60 * 60;
+
+// In-process store - nothing survives a restart. Used for tests and PRICE_CACHE_STORE=memory.
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, record) {
+    this.entries.set(key, record);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// Append-only JSON-lines file. Every write adds a line; the file is loaded into
+// memory on startup (later lines win) and rewritten once stale lines outnumber live ones.
+class JsonLinesStore extends MemoryStore {
+  constructor(filePath = DEFAULT_CACHE_FILE) {
+    super();
+    this.filePath = filePath;
+    this.staleLines = 0;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const now = Date.now();
+    const content = fs.readFileSync(this.filePath, 'utf-8');
+    let lineCount = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      lineCount++;
+      try {
+        const { key, deleted, ...record } = JSON.parse(line);
+        if (deleted || (record.expiresAt && record.expiresAt <= now)) {
+          this.entries.delete(key);
+        } else {
+          this.entries.set(key, record);
+        }
+      } catch (error) {
+        // Torn line from an interrupted write - skip it
+      }
+    }
+
+    // End a torn last line so the next append starts a line of its own
+    if (content && !content.endsWith('\n')) fs.appendFileSync(this.filePath, '\n');
+
+    this.staleLines = lineCount - this.entries.size;
+    this.compactIfNeeded();
+  }
+
+  set(key, record) {
+    if (this.entries.has(key)) this.staleLines++;
+    super.set(key, record);
+    this.append({ key, ...record });
+  }
+
+  delete(key) {
+    if (!this.entries.has(key)) return;
+    super.delete(key);
+    this.staleLines += 2;
+    this.append({ key, deleted: true });
+  }
+
+  clear() {
+    super.clear();
+    this.staleLines = 0;
+    fs.writeFileSync(this.filePath, '');
+  }
+
+  append(line) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(line) + '\n');
+      this.compactIfNeeded();
+    } catch (error) {
+      console.error('❌ Price cache write failed:', error.message);
+    }
+  }
+
+  compactIfNeeded() {
+    if (this.staleLines < 100 || this.staleLines < this.entries.size) return;
+
+    const lines = Array.from(this.entries, ([key, record]) => JSON.stringify({ key, ...record }));
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, this.filePath);
+    this.staleLines = 0;
+  }
+}
+
+// Cache layer shared by every pricer. Entries live in namespaces ('shopping', 'web',
+// 'validation', ...) that each have their own TTL; keys are normalized so trivial
+// differences in case, punctuation or spacing still hit.
+class PriceCache {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.defaultTtlSeconds = options.defaultTtlSeconds || DAY_SECONDS;
+    this.ttls = options.ttls || {};
+    this.stats = {};
+    this.inFlight = new Map();
+  }
+
+  // Shared cache configured from the environment
+  static shared() {
+    if (!PriceCache.instance) {
+      const storeType = (process.env.PRICE_CACHE_STORE || 'jsonl').toLowerCase();
+      PriceCache.instance = new PriceCache({
+        store: storeType === 'memory' ? new MemoryStore() : new JsonLinesStore(process.env.PRICE_CACHE_FILE || DEFAULT_CACHE_FILE),
+        defaultTtlSeconds: parseInt(process.env.PRICE_CACHE_TTL_SECONDS) || 7 * DAY_SECONDS,
+        ttls: {
+          shopping: parseInt(process.env.SHOPPING_CACHE_TTL_SECONDS) || undefined,
+          web: parseInt(process.env.WEB_SEARCH_CACHE_TTL_SECONDS) || undefined,
+          validation: parseInt(process.env.CACHE_TTL_SECONDS) || 3600
+        }
+      });
+    }
+    return PriceCache.instance;
+  }
+
+  static normalizeKey(value) {
+    return String(value == null ? '' : value)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9.]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Key parts are normalized individually and joined, e.g. key('google_shopping', 'Tower Fan!')
+  static key(...parts) {
+    return parts.map(part => PriceCache.normalizeKey(part)).join('|');
+  }
+
+  ttlFor(namespace) {
+    return this.ttls[namespace] || this.defaultTtlSeconds;
+  }
+
+  get(namespace, key) {
+    const record = this.getRecord(namespace, key);
+    return record ? record.value : undefined;
+  }
+
+  // Fresh stored record { value, createdAt, expiresAt }, counting the hit or miss
+  getRecord(namespace, key) {
+    const stats = this.statsFor(namespace);
+    const storeKey = `${namespace}:${key}`;
+    const record = this.store.get(storeKey);
+
+    if (!record || (record.expiresAt && record.expiresAt <= Date.now())) {
+      if (record) this.store.delete(storeKey);
+      stats.misses++;
+      return undefined;
+    }
+
+    stats.hits++;
+    return record;
+  }
+
+  // Whether a fresh entry exists, without counting a hit or miss (for estimates)
+  has(namespace, key) {
+    const record = this.store.get(`${namespace}:${key}`);
+    return Boolean(record && (!record.expiresAt || record.expiresAt > Date.now()));
+  }
+
+  set(namespace, key, value, ttlSeconds = this.ttlFor(namespace)) {
+    this.statsFor(namespace).writes++;
+    this.store.set(`${namespace}:${key}`, {
+      value,
+      createdAt: Date.now(),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    });
+  }
+
+  // Return the cached value, or run `compute` once (even for concurrent callers)
+  // and cache what it resolves to. Rejections are not cached.
+  async wrap(namespace, key, compute, ttlSeconds) {
+    return (await this.lookup(namespace, key, compute, ttlSeconds)).value;
+  }
+
+  // wrap() that also says where the value came from: { value, cached, fetchedAt }.
+  // `cached` is false only for the caller that ran `compute`; `fetchedAt` (ms) is when
+  // the value was computed, which for a cache hit can be up to a TTL ago.
+  async lookup(namespace, key, compute, ttlSeconds) {
+    const record = this.getRecord(namespace, key);
+    if (record) return { value: record.value, cached: true, fetchedAt: record.createdAt };
+
+    const flightKey = `${namespace}:${key}`;
+    if (this.inFlight.has(flightKey)) return { ...(await this.inFlight.get(flightKey)), cached: true };
+
+    const pending = (async () => {
+      const value = await compute();
+      this.set(namespace, key, value, ttlSeconds);
+      return { value, fetchedAt: Date.now() };
+    })();
+
+    this.inFlight.set(flightKey, pending);
+    try {
+      return { ...(await pending), cached: false };
+    } finally {
+      this.inFlight.delete(flightKey);
+    }
+  }
+
+  clear(namespace = null) {
+    if (!namespace) {
+      this.store.clear();
+      return;
+    }
+    for (const key of this.store.keys()) {
+      if (key.startsWith(`${namespace}:`)) this.store.delete(key);
+    }
+  }
+
+  statsFor(namespace) {
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, writes: 0 };
+    }
+    return this.stats[namespace];
+  }
+
+  getStats() {
+    let hits = 0;
+    let misses = 0;
+    const namespaces = {};
+
+    for (const [namespace, stats] of Object.entries(this.stats)) {
+      const lookups = stats.hits + stats.misses;
+      namespaces[namespace] = {
+        ...stats,
+        ttlSeconds: this.ttlFor(namespace),
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0
+      };
+      hits += stats.hits;
+      misses += stats.misses;
+    }
+
+    return {
+      store: this.store.constructor.name,
+      entries: this.store.size,
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0,
+      namespaces
+    };
+  }
+}
+
+PriceCache.MemoryStore = MemoryStore;
+PriceCache.JsonLinesStore = JsonLinesStore;
+
+module.exports = PriceCache;
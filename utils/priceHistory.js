@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const RelevanceScorer = require('./relevanceScorer');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', 'data', 'price-history.jsonl');
+
+// Most recent prices kept per description and per sub category
+const MAX_SAMPLES_PER_KEY = 200;
+
+// A retailer's price moving by at least this share between two checks is flagged as a jump
+const DEFAULT_JUMP_PERCENT = 20;
+
+// Every price the system has found, one record per priced row or single-item lookup:
+// { recordedAt, fromCache, jobId, itemNumber, description, query, key, category, subcategory, price, source, url, title, targetSource }
+// recordedAt is when the price was fetched from the retailer or search provider, not when the
+// row was priced: a search answered from the price cache is dated by the original fetch. The same
+// listing at the same fetch time (a cache hit, a re-run of the same file) is stored once.
+// Records are appended to a JSON-lines file (PRICE_HISTORY_STORE=memory keeps them in process
+// only) and indexed by normalized description and by sub category for the target estimator.
+class PriceHistory {
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_HISTORY_FILE : options.filePath;
+    this.records = [];
+    this.byKey = new Map();
+    this.bySubcategory = new Map();
+    this.observations = new Set();
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.load();
+    }
+  }
+
+  // Shared history configured from the environment
+  static shared() {
+    if (!PriceHistory.instance) {
+      const storeType = (process.env.PRICE_HISTORY_STORE || 'jsonl').toLowerCase();
+      PriceHistory.instance = new PriceHistory({
+        filePath: storeType === 'memory' ? null : (process.env.PRICE_HISTORY_FILE || DEFAULT_HISTORY_FILE)
+      });
+    }
+    return PriceHistory.instance;
+  }
+
+  // Descriptions that differ only in word order, case, units or plurals share a key:
+  // "Tower Fan, Lasko 42in" and "lasko tower fans 42 inch" are the same item
+  static normalizeDescription(text) {
+    return [...new Set(RelevanceScorer.tokenize(text))].sort().join(' ');
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    for (const line of fs.readFileSync(this.filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.index(JSON.parse(line));
+      } catch (error) {
+        // Torn line from an interrupted write - skip it
+      }
+    }
+  }
+
+  // Identity of one observed price: the item, the listing and when it was fetched
+  static observationId(record) {
+    return `${record.key}|${record.url || record.title || ''}|${record.recordedAt}`;
+  }
+
+  index(record) {
+    this.observations.add(PriceHistory.observationId(record));
+    this.records.push(record);
+    this.push(this.byKey, record.key, record);
+    if (record.subcategory) this.push(this.bySubcategory, record.subcategory, record);
+  }
+
+  push(map, key, record) {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    const records = map.get(key);
+    records.push(record);
+    if (records.length > MAX_SAMPLES_PER_KEY) records.shift();
+  }
+
+  // Store a found price. `description` is the claim text, `query` the search that found it,
+  // `recordedAt` when the price was fetched (now when not given), `fromCache` whether the
+  // search was answered from the price cache and `targetSource` where the row's target price
+  // came from ('provided', 'historical', 'keyword', 'default'; see TargetPriceEstimator). Returns null when nothing was stored: no price,
+  // or a price already recorded for the same listing and fetch time.
+  record({ jobId = null, itemNumber = null, description, query = null, category = null, subcategory = null, price, source = null, url = null, title = null, recordedAt = null, fromCache = null, targetSource = null }) {
+    if (!(price > 0) || !description) return null;
+
+    const record = {
+      recordedAt: new Date(recordedAt || Date.now()).toISOString(),
+      fromCache,
+      jobId,
+      itemNumber,
+      description,
+      query,
+      key: PriceHistory.normalizeDescription(description),
+      category,
+      subcategory,
+      price,
+      source,
+      url,
+      title,
+      targetSource
+    };
+    if (this.observations.has(PriceHistory.observationId(record))) return null;
+    this.index(record);
+
+    if (this.filePath) {
+      try {
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+      } catch (error) {
+        console.error('❌ Price history write failed:', error.message);
+      }
+    }
+    return record;
+  }
+
+  // Most recent records for a description or sub category, oldest first
+  recordsForDescription(description) {
+    return this.byKey.get(PriceHistory.normalizeDescription(description)) || [];
+  }
+
+  recordsForSubcategory(subcategory) {
+    return this.bySubcategory.get(subcategory) || [];
+  }
+
+  // Price history for an item, oldest first. Records match when their description has every
+  // word of `q` (after the same normalization), so "tower fan" also finds "Lasko 42 in. tower fan".
+  // options: { retailer, since, until, limit, jumpPercent }
+  // Returns { key, count, stats, retailers, series } where `retailers` has each retailer's first
+  // and latest price, its change and every jump of jumpPercent or more between consecutive checks.
+  trend(q, options = {}) {
+    const words = PriceHistory.normalizeDescription(q).split(' ').filter(Boolean);
+    if (!words.length) {
+      const error = new Error('q must contain at least one searchable word');
+      error.code = 'INVALID_HISTORY_QUERY';
+      throw error;
+    }
+
+    const since = PriceHistory.parseDate(options.since, 'since');
+    const until = PriceHistory.parseDate(options.until, 'until');
+    const retailer = options.retailer ? String(options.retailer).toLowerCase().replace(/^www\./, '') : null;
+    const jumpPercent = options.jumpPercent != null && options.jumpPercent !== '' ? Number(options.jumpPercent) : DEFAULT_JUMP_PERCENT;
+    if (!(jumpPercent > 0)) {
+      const error = new Error('jumpPercent must be a number above 0');
+      error.code = 'INVALID_HISTORY_QUERY';
+      throw error;
+    }
+
+    const matches = this.records.filter(record => {
+      const keyWords = new Set(record.key.split(' '));
+      if (!words.every(word => keyWords.has(word))) return false;
+      if (retailer && record.source !== retailer) return false;
+      const recordedAt = Date.parse(record.recordedAt);
+      if (since !== null && recordedAt < since) return false;
+      if (until !== null && recordedAt > until) return false;
+      return true;
+    }).sort((a, b) => Date.parse(a.recordedAt) - Date.parse(b.recordedAt));
+
+    const limit = parseInt(options.limit) > 0 ? parseInt(options.limit) : 500;
+    const series = matches.slice(-limit).map(record => ({
+      recordedAt: record.recordedAt,
+      fromCache: record.fromCache != null ? record.fromCache : null,
+      price: record.price,
+      source: record.source,
+      url: record.url,
+      title: record.title,
+      query: record.query || null,
+      description: record.description,
+      category: record.category,
+      subcategory: record.subcategory,
+      jobId: record.jobId,
+      itemNumber: record.itemNumber
+    }));
+
+    return {
+      key: words.join(' '),
+      count: matches.length,
+      stats: PriceHistory.priceStats(matches),
+      retailers: this.retailerTrends(matches, jumpPercent),
+      jumpPercent,
+      series
+    };
+  }
+
+  retailerTrends(records, jumpPercent) {
+    const byRetailer = new Map();
+    for (const record of records) {
+      const source = record.source || 'unknown';
+      if (!byRetailer.has(source)) byRetailer.set(source, []);
+      byRetailer.get(source).push(record);
+    }
+
+    const change = (from, to) => +(((to - from) / from) * 100).toFixed(1);
+    return [...byRetailer.entries()].map(([retailer, history]) => {
+      const first = history[0];
+      const latest = history[history.length - 1];
+      const jumps = [];
+      for (let i = 1; i < history.length; i++) {
+        const percent = change(history[i - 1].price, history[i].price);
+        if (Math.abs(percent) >= jumpPercent) {
+          jumps.push({ from: history[i - 1].price, to: history[i].price, changePercent: percent, recordedAt: history[i].recordedAt });
+        }
+      }
+      return {
+        retailer,
+        count: history.length,
+        first: { price: first.price, recordedAt: first.recordedAt },
+        latest: { price: latest.price, recordedAt: latest.recordedAt, url: latest.url },
+        changePercent: change(first.price, latest.price),
+        ...PriceHistory.priceStats(history),
+        jumps
+      };
+    }).sort((a, b) => b.count - a.count);
+  }
+
+  static priceStats(records) {
+    if (!records.length) return { min: null, max: null, median: null };
+    const prices = records.map(record => record.price).sort((a, b) => a - b);
+    const middle = Math.floor(prices.length / 2);
+    const median = prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+    return { min: prices[0], max: prices[prices.length - 1], median: +median.toFixed(2) };
+  }
+
+  // Milliseconds for an ISO date filter, null when not given
+  static parseDate(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+      const error = new Error(`${name} must be a date such as 2024-01-31`);
+      error.code = 'INVALID_HISTORY_QUERY';
+      throw error;
+    }
+    return time;
+  }
+
+  get size() {
+    return this.records.length;
+  }
+}
+
+PriceHistory.MAX_SAMPLES_PER_KEY = MAX_SAMPLES_PER_KEY;
+PriceHistory.DEFAULT_JUMP_PERCENT = DEFAULT_JUMP_PERCENT;
+
+module.exports = PriceHistory;
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_USAGE_FILE = path.join(__dirname, '..', 'data', 'serpapi-usage.json');
+
+// Token-bucket limiter for outbound search API calls.
+// All pricing workers share one instance, so the combined request rate stays under
+// `requestsPerSecond` no matter how many rows are priced at once. Calls are also
+// counted per calendar month and refused once `monthlyQuota` is used up (0 = no quota).
+class RateLimiter {
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || 2;
+    this.burst = options.burst || this.requestsPerSecond;
+    this.monthlyQuota = options.monthlyQuota || 0;
+    this.usageFile = options.usageFile || DEFAULT_USAGE_FILE;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.usage = this.loadUsage();
+  }
+
+  // Shared limiter configured from the environment
+  static shared() {
+    if (!RateLimiter.instance) {
+      RateLimiter.instance = new RateLimiter({
+        requestsPerSecond: parseFloat(process.env.SERPAPI_REQUESTS_PER_SECOND) || 2,
+        burst: parseInt(process.env.SERPAPI_BURST) || null,
+        monthlyQuota: parseInt(process.env.SERPAPI_MONTHLY_QUOTA) || 0,
+        usageFile: process.env.SERPAPI_USAGE_FILE
+      });
+    }
+    return RateLimiter.instance;
+  }
+
+  // Wait for a token, then count the call against the monthly quota.
+  // Throws an error with code 'QUOTA_EXCEEDED' once the quota is spent.
+  async acquire() {
+    this.rollMonth();
+    if (this.monthlyQuota && this.usage.used >= this.monthlyQuota) {
+      const error = new Error(`SerpAPI monthly quota of ${this.monthlyQuota} searches reached for ${this.usage.month}`);
+      error.code = 'QUOTA_EXCEEDED';
+      throw error;
+    }
+
+    // Reserve the call up front so concurrent callers queue behind each other
+    this.usage.used++;
+    this.saveUsage();
+
+    this.refill();
+    this.tokens -= 1;
+    if (this.tokens < 0) {
+      const waitMs = Math.ceil((-this.tokens / this.requestsPerSecond) * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsedSeconds * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  getStats() {
+    this.rollMonth();
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      burst: this.burst,
+      monthlyQuota: this.monthlyQuota || null,
+      month: this.usage.month,
+      used: this.usage.used,
+      remaining: this.monthlyQuota ? Math.max(0, this.monthlyQuota - this.usage.used) : null
+    };
+  }
+
+  currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+  }
+
+  rollMonth() {
+    const month = this.currentMonth();
+    if (this.usage.month !== month) {
+      this.usage = { month, used: 0 };
+      this.saveUsage();
+    }
+  }
+
+  loadUsage() {
+    try {
+      const usage = JSON.parse(fs.readFileSync(this.usageFile, 'utf-8'));
+      if (usage.month === this.currentMonth()) return usage;
+    } catch (error) {
+      // No usage recorded yet
+    }
+    return { month: this.currentMonth(), used: 0 };
+  }
+
+  saveUsage() {
+    try {
+      fs.mkdirSync(path.dirname(this.usageFile), { recursive: true });
+      fs.writeFileSync(this.usageFile, JSON.stringify(this.usage));
+    } catch (error) {
+      console.error('❌ Failed to save SerpAPI usage:', error.message);
+    }
+  }
+}
+
+module.exports = RateLimiter;
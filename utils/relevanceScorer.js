@@ -0,0 +1,140 @@
+const HelperUtils = require('./helpers');
+
+// Words that carry no product meaning in a query or title
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'with', 'for', 'of', 'in', 'on', 'to', 'by', 'w', 'new', 'model', 'pack', 'set', 'piece', 'pc'
+]);
+
+// Unit spellings folded together so "42 in." matches "42 inch"
+const UNIT_SYNONYMS = {
+  inches: 'inch',
+  feet: 'foot', ft: 'foot',
+  lbs: 'pound', lb: 'pound', pounds: 'pound',
+  oz: 'ounce', ounces: 'ounce',
+  qt: 'quart', quarts: 'quart',
+  gal: 'gallon', gallons: 'gallon'
+};
+
+// Titles with one of these words (when the query doesn't have it) are usually a part
+// or add-on for the item rather than the item - "replacement blade for tower fan"
+const ACCESSORY_WORDS = new Set([
+  'replacement', 'blade', 'blades', 'part', 'parts', 'cover', 'covers', 'filter', 'filters',
+  'accessory', 'accessories', 'adapter', 'kit', 'case', 'knob', 'bracket', 'mount', 'refill',
+  'sticker', 'decal', 'manual', 'skin', 'protector'
+]);
+
+// Brand values that mean "no brand" in claim spreadsheets
+const NO_BRAND = new Set(['', 'no brand', 'unknown', 'n/a', 'na', 'none', 'generic', 'unbranded']);
+
+const WEIGHTS = { tokens: 0.6, brand: 0.2, model: 0.2 };
+const ACCESSORY_FACTOR = 0.15;
+const DEFAULT_MIN_SCORE = 20;
+
+// Text similarity between a queried item and an offer's title, 0-100.
+// Built from the share of query words found in the title, whether the brand appears
+// and whether the model number appears. Brand and model only count when known.
+// Titles that look like a part or accessory for the item are scaled down hard.
+class RelevanceScorer {
+  constructor(options = {}) {
+    this.minScore = options.minScore != null ? options.minScore : DEFAULT_MIN_SCORE;
+  }
+
+  // Shared scorer configured from the environment (RELEVANCE_MIN_SCORE)
+  static shared() {
+    if (!RelevanceScorer.instance) {
+      const minScore = parseFloat(process.env.RELEVANCE_MIN_SCORE);
+      RelevanceScorer.instance = new RelevanceScorer({ minScore: isNaN(minScore) ? null : minScore });
+    }
+    return RelevanceScorer.instance;
+  }
+
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      // "in" before a number is a word ("4 in 1"), not inches
+      .replace(/(\d)\s*("|''|”|in\b(?!\s*\d))/g, '$1 inch ')
+      .replace(/(\d)\s*'/g, '$1 foot ')
+      .split(/[^a-z0-9]+/)
+      .filter(token => token && !STOP_WORDS.has(token))
+      .map(token => UNIT_SYNONYMS[token] || token)
+      // Fold simple plurals so "towels" matches "towel"
+      .map(token => (token.length > 3 && /[^s]s$/.test(token) && !/\d/.test(token) ? token.slice(0, -1) : token));
+  }
+
+  static compact(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Whether the title has the brand as whole words, ignoring spacing and punctuation inside
+  // it ("Black+Decker", "Black & Decker", "KitchenAid"); "GE" does not match "GARAGE"
+  static hasBrand(title, brand) {
+    const words = String(title || '').toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+    const wanted = RelevanceScorer.compact(brand);
+    for (let start = 0; start < words.length; start++) {
+      let joined = '';
+      for (let end = start; end < words.length && joined.length < wanted.length; end++) {
+        joined += words[end];
+        if (joined === wanted) return true;
+      }
+    }
+    return false;
+  }
+
+  // Precompute what every title of one request is scored against.
+  // details: { brand, model } - model falls back to the one found in the query
+  prepare(query, details = {}) {
+    const brand = String(details.brand || '').trim();
+    let model = details.model ? String(details.model).trim() : HelperUtils.extractModelNumber(String(query || '').toUpperCase());
+    if (model) model = model.replace(/^model[\s:]+/i, '');
+
+    return {
+      tokens: [...new Set(RelevanceScorer.tokenize(query))],
+      brand: NO_BRAND.has(brand.toLowerCase()) ? null : brand,
+      model: model && RelevanceScorer.compact(model).length >= 3 ? model : null
+    };
+  }
+
+  // Score a title against a prepared target. Returns the score plus its parts for audits.
+  score(title, target) {
+    const titleTokens = new Set(RelevanceScorer.tokenize(title));
+    const titleCompact = RelevanceScorer.compact(title);
+
+    const matched = target.tokens.filter(token => titleTokens.has(token));
+    const tokenOverlap = target.tokens.length ? matched.length / target.tokens.length : 0;
+
+    let total = WEIGHTS.tokens * tokenOverlap;
+    let weight = WEIGHTS.tokens;
+
+    let brandMatch = null;
+    if (target.brand) {
+      brandMatch = RelevanceScorer.hasBrand(title, target.brand);
+      total += brandMatch ? WEIGHTS.brand : 0;
+      weight += WEIGHTS.brand;
+    }
+
+    let modelMatch = null;
+    if (target.model) {
+      modelMatch = titleCompact.includes(RelevanceScorer.compact(target.model));
+      total += modelMatch ? WEIGHTS.model : 0;
+      weight += WEIGHTS.model;
+    }
+
+    const queryTokens = new Set(target.tokens);
+    const accessoryWord = [...titleTokens].find(token => ACCESSORY_WORDS.has(token) && !queryTokens.has(token)) || null;
+
+    let score = (total / weight) * 100;
+    if (accessoryWord) score *= ACCESSORY_FACTOR;
+
+    return {
+      score: Math.round(score),
+      tokenOverlap: +tokenOverlap.toFixed(2),
+      brandMatch,
+      modelMatch,
+      accessoryWord
+    };
+  }
+}
+
+RelevanceScorer.DEFAULT_MIN_SCORE = DEFAULT_MIN_SCORE;
+
+module.exports = RelevanceScorer;
@@ -0,0 +1,121 @@
+const PriceHistory = require('./priceHistory');
+const TaxonomyClassifier = require('./taxonomyClassifier');
+
+// Samples needed before history is trusted over the keyword table
+const MIN_DESCRIPTION_SAMPLES = 3;
+const MIN_CATEGORY_SAMPLES = 5;
+
+const DEFAULT_TARGET_PRICE = 30;
+
+// Last-resort guesses by keyword, checked in order. Every word of an entry has to appear.
+const KEYWORD_PRICES = [
+  { words: ['toilet', 'brush'], price: 15 },
+  { words: ['shower', 'curtain'], price: 25 },
+  { words: ['step', 'stool'], price: 35 },
+  { words: ['personal care'], price: 50 },
+  { words: ['bulk'], price: 50 },
+  { words: ['shirt'], price: 20 },
+  { words: ['shorts'], price: 25 },
+  { words: ['pants'], price: 25 },
+  { words: ['jacket'], price: 60 },
+  { words: ['coat'], price: 60 },
+  { words: ['bag'], price: 40 },
+  { words: ['purse'], price: 40 },
+  { words: ['vacuum'], price: 80 },
+  { words: ['fan'], price: 50 },
+  { words: ['mattress'], price: 150 },
+  { words: ['bed'], price: 150 }
+];
+
+// Target price for a row with no Cost to Replace. In order:
+//   historical - median of earlier found prices for the same normalized description,
+//                then for the same taxonomy sub category
+//   keyword    - the KEYWORD_PRICES table
+//   default    - DEFAULT_TARGET_PRICE
+// Historical estimates carry the sample size, quartiles and IQR so callers can show how
+// spread out the history is. A sample is one listing at one fetch time, however often it was
+// recorded, and prices found for rows whose target was itself estimated are left out, so
+// estimates don't feed on themselves.
+class TargetPriceEstimator {
+  constructor(options = {}) {
+    this.history = options.history || PriceHistory.shared();
+    this.taxonomy = options.taxonomy || TaxonomyClassifier.shared();
+  }
+
+  static shared() {
+    if (!TargetPriceEstimator.instance) {
+      TargetPriceEstimator.instance = new TargetPriceEstimator();
+    }
+    return TargetPriceEstimator.instance;
+  }
+
+  // Linear-interpolated quantile of sorted values
+  static quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // Prices of the history records that count as independent samples (see above)
+  static samplePrices(records) {
+    const seen = new Set();
+    const prices = [];
+    for (const record of records) {
+      if (record.targetSource && record.targetSource !== 'provided') continue;
+      const id = PriceHistory.observationId(record);
+      if (seen.has(id)) continue;
+      seen.add(id);
+      prices.push(record.price);
+    }
+    return prices;
+  }
+
+  static stats(prices) {
+    const sorted = [...prices].sort((a, b) => a - b);
+    const round = value => +value.toFixed(2);
+    const q1 = TargetPriceEstimator.quantile(sorted, 0.25);
+    const q3 = TargetPriceEstimator.quantile(sorted, 0.75);
+    return {
+      sampleSize: sorted.length,
+      median: round(TargetPriceEstimator.quantile(sorted, 0.5)),
+      q1: round(q1),
+      q3: round(q3),
+      iqr: round(q3 - q1)
+    };
+  }
+
+  // { price, source: 'historical' | 'keyword' | 'default', basis, key, sampleSize, median, q1, q3, iqr }
+  estimate(text) {
+    const description = String(text || '');
+
+    const descriptionPrices = TargetPriceEstimator.samplePrices(this.history.recordsForDescription(description));
+    if (descriptionPrices.length >= MIN_DESCRIPTION_SAMPLES) {
+      const stats = TargetPriceEstimator.stats(descriptionPrices);
+      return { price: stats.median, source: 'historical', basis: 'description', key: PriceHistory.normalizeDescription(description), ...stats };
+    }
+
+    const classification = this.taxonomy.classify({ description });
+    if (classification.confidence > 0) {
+      const categoryPrices = TargetPriceEstimator.samplePrices(this.history.recordsForSubcategory(classification.subcategory));
+      if (categoryPrices.length >= MIN_CATEGORY_SAMPLES) {
+        const stats = TargetPriceEstimator.stats(categoryPrices);
+        return { price: stats.median, source: 'historical', basis: 'category', key: classification.subcategory, ...stats };
+      }
+    }
+
+    const lower = description.toLowerCase();
+    const keyword = KEYWORD_PRICES.find(entry => entry.words.every(word => lower.includes(word)));
+    if (keyword) {
+      return { price: keyword.price, source: 'keyword', basis: 'keyword', key: keyword.words.join(' ') };
+    }
+
+    return { price: DEFAULT_TARGET_PRICE, source: 'default', basis: 'default', key: null };
+  }
+}
+
+TargetPriceEstimator.MIN_DESCRIPTION_SAMPLES = MIN_DESCRIPTION_SAMPLES;
+TargetPriceEstimator.MIN_CATEGORY_SAMPLES = MIN_CATEGORY_SAMPLES;
+TargetPriceEstimator.DEFAULT_TARGET_PRICE = DEFAULT_TARGET_PRICE;
+
+module.exports = TargetPriceEstimator;
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TAXONOMY_FILE = path.join(__dirname, '..', 'config', 'taxonomy.json');
+
+// Confidence is scaled down when only one of the given texts names the sub category
+const SINGLE_SOURCE_FACTOR = 0.7;
+
+// Category → sub category classifier over the taxonomy in config/taxonomy.json.
+// Each sub category lists keywords and synonyms; multi-word keywords count for more
+// ("tower fan" beats "fan"). Sub categories are labelled "<name> /<category code>",
+// e.g. "Fans /HSW", which is what the Sub Cat column and depreciation rules use.
+class TaxonomyClassifier {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.TAXONOMY_FILE || DEFAULT_TAXONOMY_FILE;
+    const config = options.config || JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+
+    this.categories = [];
+    this.subcategories = [];
+    for (const category of config.categories || []) {
+      if (!category.code || !/^[A-Z0-9]+$/.test(category.code)) {
+        throw new Error(`Taxonomy category "${category.name || ''}" needs an uppercase code`);
+      }
+      const entry = { code: category.code, name: category.name || category.code, subcategories: [] };
+      for (const subcategory of category.subcategories || []) {
+        if (!subcategory.name || !(subcategory.keywords || []).length) {
+          throw new Error(`Taxonomy category ${category.code}: every sub category needs a name and keywords`);
+        }
+        const sub = {
+          name: subcategory.name,
+          label: `${subcategory.name} /${category.code}`,
+          category: entry,
+          keywords: subcategory.keywords.map(keyword => ({
+            keyword,
+            weight: TaxonomyClassifier.normalize(keyword).split(' ').length,
+            pattern: TaxonomyClassifier.keywordPattern(keyword)
+          }))
+        };
+        entry.subcategories.push(sub);
+        this.subcategories.push(sub);
+      }
+      this.categories.push(entry);
+    }
+
+    const fallback = config.fallback || {};
+    this.fallbackCategory = this.categories.find(category => category.code === fallback.category) ||
+      { code: fallback.category || 'HSW', name: fallback.category || 'HSW' };
+    this.fallbackSubcategory = `${fallback.subcategory || 'Other'} /${this.fallbackCategory.code}`;
+  }
+
+  // Shared classifier loaded from TAXONOMY_FILE (config/taxonomy.json by default)
+  static shared() {
+    if (!TaxonomyClassifier.instance) {
+      TaxonomyClassifier.instance = new TaxonomyClassifier();
+    }
+    return TaxonomyClassifier.instance;
+  }
+
+  static normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  // Whole words or phrases, with an optional plural ending
+  static keywordPattern(keyword) {
+    return new RegExp(`(^| )${TaxonomyClassifier.normalize(keyword)}(s|es)?( |$)`);
+  }
+
+  // Keyword score per sub category for one text
+  scoreText(text) {
+    const normalized = TaxonomyClassifier.normalize(text);
+    const scores = new Map();
+    if (!normalized) return scores;
+
+    for (const sub of this.subcategories) {
+      const matched = sub.keywords.filter(entry => entry.pattern.test(normalized));
+      if (matched.length) {
+        scores.set(sub, { score: matched.reduce((sum, entry) => sum + entry.weight, 0), keywords: matched.map(entry => entry.keyword) });
+      }
+    }
+    return scores;
+  }
+
+  // Classify an item from the claim description and/or the matched product title.
+  // Returns { category, categoryName, subcategory, confidence, matched, sources } where
+  // confidence (0-100) is the winning sub category's share of all keyword evidence,
+  // scaled down when only one of the given texts supports it. Items nothing matches get
+  // the fallback sub category with confidence 0.
+  classify({ description = '', title = '' } = {}) {
+    const sources = { description: this.scoreText(description), title: this.scoreText(title) };
+    const provided = Object.entries({ description, title }).filter(([, text]) => TaxonomyClassifier.normalize(text)).map(([name]) => name);
+
+    const totals = new Map();
+    for (const scores of Object.values(sources)) {
+      for (const [sub, { score }] of scores) {
+        totals.set(sub, (totals.get(sub) || 0) + score);
+      }
+    }
+
+    const bySource = Object.fromEntries(provided.map(name => [name, this.best(sources[name])?.label || null]));
+
+    if (!totals.size) {
+      return {
+        category: this.fallbackCategory.code,
+        categoryName: this.fallbackCategory.name,
+        subcategory: this.fallbackSubcategory,
+        confidence: 0,
+        matched: [],
+        sources: bySource
+      };
+    }
+
+    const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+    const [winner, winnerScore] = ranked[0];
+    const allEvidence = ranked.reduce((sum, [, score]) => sum + score, 0);
+    const supportedBy = provided.filter(name => sources[name].has(winner)).length;
+    const support = supportedBy === provided.length ? 1 : SINGLE_SOURCE_FACTOR;
+
+    return {
+      category: winner.category.code,
+      categoryName: winner.category.name,
+      subcategory: winner.label,
+      confidence: Math.round((winnerScore / allEvidence) * support * 100),
+      matched: [...new Set(provided.flatMap(name => (sources[name].get(winner) || { keywords: [] }).keywords))],
+      sources: bySource
+    };
+  }
+
+  best(scores) {
+    let best = null;
+    let bestScore = 0;
+    for (const [sub, { score }] of scores) {
+      if (score > bestScore) {
+        best = sub;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Keywords per category name - the shape ProductValidator.categoryKeywords has always had
+  categoryKeywords() {
+    return Object.fromEntries(this.categories.map(category => [
+      category.name,
+      [...new Set(category.subcategories.flatMap(sub => sub.keywords.map(entry => entry.keyword)))]
+    ]));
+  }
+}
+
+module.exports = TaxonomyClassifier;
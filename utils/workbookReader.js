@@ -0,0 +1,279 @@
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
+
+// Rows above the header that are searched for it (cover text, merged title rows, claim numbers)
+const HEADER_SCAN_ROWS = 20;
+
+// Words that show up in inventory header rows; a row with several of them is the header
+const HEADER_WORDS = [
+  'item', 'description', 'desc', 'qty', 'quantity', 'brand', 'manufacturer', 'model',
+  'cost', 'replace', 'price', 'age', 'condition', 'room', 'category', 'zip', 'state', 'total'
+];
+
+// Columns every sheet needs before it can be priced
+const REQUIRED_COLUMNS = ['Item #', 'Item Description'];
+
+// Provenance columns added to every row read from a workbook
+const SOURCE_SHEET = 'Source Sheet';
+const SOURCE_ROW = 'Source Row';
+
+// Reads uploaded CSV and Excel files. Workbooks may hold several sheets (a cover sheet,
+// one sheet per room) whose header row is not necessarily row 1; the header row of each
+// sheet is detected, or given per sheet, and rows keep the sheet and row they came from.
+class WorkbookReader {
+  static isWorkbook(file) {
+    return /\.(xlsx|xls)$/i.test(file.originalname || '');
+  }
+
+  static readWorkbook(file) {
+    return XLSX.read(file.buffer, {
+      cellStyles: true,
+      cellFormulas: true,
+      cellDates: true,
+      cellNF: true,
+      sheetStubs: true
+    });
+  }
+
+  // The sheet as an array of rows plus the sheet row number (1-based) of the first one,
+  // so blank leading rows and blank rows in the middle keep their numbers. firstColumn and
+  // lastColumn (0-based) place the matrix columns in the sheet.
+  static sheetMatrix(worksheet) {
+    if (!worksheet || !worksheet['!ref']) return { firstRow: 1, firstColumn: 0, lastColumn: -1, matrix: [] };
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const matrix = XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      defval: '',
+      raw: false,
+      blankrows: true
+    });
+    return { firstRow: range.s.r + 1, firstColumn: range.s.c, lastColumn: range.e.c, matrix };
+  }
+
+  static cellText(value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+  }
+
+  // How much a row looks like a header: text cells, header words and the required columns.
+  // Title rows (one merged cell) and data rows (mostly numbers) score low.
+  static headerScore(cells) {
+    const texts = cells.map(WorkbookReader.cellText).filter(Boolean);
+    if (texts.length < 2) return 0;
+
+    const labels = texts.filter(text => !/^[\d$.,%\s-]+$/.test(text) && text.length <= 60);
+    const words = labels.filter(text => HEADER_WORDS.some(word => new RegExp(`\\b${word}`, 'i').test(text)));
+    const required = REQUIRED_COLUMNS.filter(column => texts.some(text => text.toLowerCase().includes(column.toLowerCase())));
+
+    return labels.length + words.length * 3 + required.length * 10 - (texts.length - labels.length) * 2;
+  }
+
+  // Index (within the matrix) of the header row among the first HEADER_SCAN_ROWS rows
+  static detectHeaderRow(matrix) {
+    let best = -1;
+    let bestScore = 0;
+    matrix.slice(0, HEADER_SCAN_ROWS).forEach((cells, index) => {
+      const score = WorkbookReader.headerScore(cells);
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  // Header names for a header row; blank headers are dropped and repeats get a suffix
+  static headerNames(cells) {
+    const seen = new Map();
+    return cells.map(value => {
+      const name = WorkbookReader.cellText(value);
+      if (!name) return null;
+      const count = (seen.get(name) || 0) + 1;
+      seen.set(name, count);
+      return count > 1 ? `${name} (${count})` : name;
+    });
+  }
+
+  static headerRowError(sheetName, message) {
+    const error = new Error(`Sheet "${sheetName}": ${message}`);
+    error.code = 'INVALID_HEADER_ROW';
+    return error;
+  }
+
+  // Header row and data rows of one sheet. headerRow is a sheet row number (1-based);
+  // it is detected when not given. `columns` gives the sheet column (0-based) of each header.
+  static readSheet(workbook, sheetName, headerRow = null) {
+    const { firstRow, firstColumn, lastColumn, matrix } = WorkbookReader.sheetMatrix(workbook.Sheets[sheetName]);
+
+    let headerIndex;
+    if (headerRow !== null && headerRow !== undefined && headerRow !== '') {
+      headerIndex = Number(headerRow) - firstRow;
+      if (!Number.isInteger(Number(headerRow)) || headerIndex < 0 || headerIndex >= matrix.length) {
+        throw WorkbookReader.headerRowError(sheetName, `header row ${headerRow} is outside rows ${firstRow}-${firstRow + matrix.length - 1}`);
+      }
+    } else {
+      headerIndex = WorkbookReader.detectHeaderRow(matrix);
+    }
+
+    if (headerIndex < 0) {
+      return { name: sheetName, headerRow: null, headerDetected: false, headers: [], columns: {}, lastColumn, rows: [] };
+    }
+
+    const names = WorkbookReader.headerNames(matrix[headerIndex]);
+    const headers = names.filter(Boolean);
+    const keepsProvenance = headers.includes(SOURCE_SHEET) && headers.includes(SOURCE_ROW);
+    const rows = [];
+
+    matrix.slice(headerIndex + 1).forEach((cells, offset) => {
+      if (!cells.some(value => WorkbookReader.cellText(value))) return;
+
+      const row = {};
+      names.forEach((name, column) => {
+        if (name) row[name] = cells[column] === undefined || cells[column] === null ? '' : cells[column];
+      });
+      // A file this system already wrote keeps the sheet and row of the original upload
+      if (!keepsProvenance) {
+        row[SOURCE_SHEET] = sheetName;
+        row[SOURCE_ROW] = firstRow + headerIndex + 1 + offset;
+      }
+      rows.push(row);
+    });
+
+    return {
+      name: sheetName,
+      headerRow: firstRow + headerIndex,
+      headerDetected: headerRow === null || headerRow === undefined || headerRow === '',
+      headers,
+      columns: Object.fromEntries(names.map((name, column) => [name, firstColumn + column]).filter(([name]) => name)),
+      lastColumn,
+      rows
+    };
+  }
+
+  // False when the bytes aren't valid UTF-8 (typically a CSV saved as Windows-1252), in which
+  // case accented characters and curly quotes were decoded as "�"
+  static isValidUtf8(buffer) {
+    return Buffer.from(buffer.toString('utf-8'), 'utf-8').equals(buffer);
+  }
+
+  static hasRequiredColumns(headers) {
+    return REQUIRED_COLUMNS.every(column => headers.some(header => header.includes(column)));
+  }
+
+  // Sheets of an upload with their detected header row, size and first few rows.
+  // CSV files are a single sheet named "CSV". `accepts(headers)` decides whether a sheet
+  // can be priced (hasRequiredColumns); by default it needs the REQUIRED_COLUMNS.
+  static preview(file, { sampleRows = 5, accepts = WorkbookReader.hasRequiredColumns } = {}) {
+    if (!WorkbookReader.isWorkbook(file)) {
+      const rows = WorkbookReader.parseCsv(file);
+      const headers = Object.keys(rows[0] || {});
+      return {
+        fileName: file.originalname,
+        type: 'csv',
+        sheets: [{
+          name: 'CSV',
+          headerRow: 1,
+          headerDetected: false,
+          headers,
+          rowCount: rows.length,
+          hasRequiredColumns: accepts(headers),
+          sample: rows.slice(0, sampleRows)
+        }],
+        defaultSheets: ['CSV']
+      };
+    }
+
+    const workbook = WorkbookReader.readWorkbook(file);
+    const sheets = workbook.SheetNames.map(name => {
+      const sheet = WorkbookReader.readSheet(workbook, name);
+      return {
+        name,
+        headerRow: sheet.headerRow,
+        headerDetected: sheet.headerDetected,
+        headers: sheet.headers,
+        rowCount: sheet.rows.length,
+        hasRequiredColumns: sheet.headers.length > 0 && accepts(sheet.headers),
+        sample: sheet.rows.slice(0, sampleRows)
+      };
+    });
+
+    return {
+      fileName: file.originalname,
+      type: 'workbook',
+      sheets,
+      defaultSheets: WorkbookReader.defaultSheets(sheets)
+    };
+  }
+
+  // Sheets processed when the upload doesn't pick any: every sheet with the required
+  // columns, or the first sheet when none has them (the old first-sheet-only behaviour)
+  static defaultSheets(sheets) {
+    const priceable = sheets.filter(sheet => sheet.hasRequiredColumns).map(sheet => sheet.name);
+    return priceable.length ? priceable : sheets.slice(0, 1).map(sheet => sheet.name);
+  }
+
+  // Rows of an upload. options: { sheets: [names], headerRows: { <sheet>: <row number> }, accepts }
+  // Rows from several sheets share one column list (missing cells are blank) so every
+  // output row has the same columns.
+  static readRows(file, { sheets = null, headerRows = {}, accepts = WorkbookReader.hasRequiredColumns } = {}) {
+    if (!WorkbookReader.isWorkbook(file)) {
+      return WorkbookReader.parseCsv(file);
+    }
+
+    const workbook = WorkbookReader.readWorkbook(file);
+    let selected = sheets && sheets.length ? sheets : null;
+    if (selected) {
+      const missing = selected.filter(name => !workbook.SheetNames.includes(name));
+      if (missing.length) {
+        const error = new Error(`Sheet(s) not found: ${missing.join(', ')}. The workbook has: ${workbook.SheetNames.join(', ')}`);
+        error.code = 'SHEET_NOT_FOUND';
+        throw error;
+      }
+    }
+
+    const read = (selected || workbook.SheetNames).map(name => WorkbookReader.readSheet(workbook, name, headerRows[name]));
+    if (!selected) {
+      selected = WorkbookReader.defaultSheets(read.map(sheet => ({ name: sheet.name, hasRequiredColumns: sheet.headers.length > 0 && accepts(sheet.headers) })));
+    }
+
+    const chosen = read.filter(sheet => selected.includes(sheet.name));
+    const rows = chosen.flatMap(sheet => sheet.rows);
+    if (!rows.length) {
+      throw new Error('Excel file must contain at least a header row and one data row');
+    }
+
+    const columns = [];
+    for (const row of rows) {
+      for (const key of Object.keys(row)) {
+        if (!columns.includes(key)) columns.push(key);
+      }
+    }
+    // Provenance last, after every sheet's own columns
+    const ordered = [...columns.filter(key => key !== SOURCE_SHEET && key !== SOURCE_ROW), ...columns.filter(key => key === SOURCE_SHEET || key === SOURCE_ROW)];
+
+    console.log(`📑 Read ${rows.length} rows from sheet(s): ${chosen.map(sheet => `${sheet.name} (header row ${sheet.headerRow})`).join(', ')}`);
+    return rows.map(row => Object.fromEntries(ordered.map(key => [key, row[key] !== undefined ? row[key] : ''])));
+  }
+
+  // dynamicTyping turns numeric-looking cells into numbers ("007" becomes 7); pass false
+  // to keep every cell as written
+  static parseCsv(file, { dynamicTyping = true } = {}) {
+    const csvText = file.buffer.toString('utf-8');
+    const parseResult = Papa.parse(csvText, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping
+    });
+
+    if (parseResult.errors.length > 0) {
+      console.error('CSV parsing errors:', parseResult.errors);
+    }
+
+    return parseResult.data;
+  }
+}
+
+WorkbookReader.REQUIRED_COLUMNS = REQUIRED_COLUMNS;
+WorkbookReader.SOURCE_SHEET = SOURCE_SHEET;
+WorkbookReader.SOURCE_ROW = SOURCE_ROW;
+
+module.exports = WorkbookReader;
@@ -0,0 +1,427 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const cheerio = require('cheerio');
+const WorkbookReader = require('./workbookReader');
+
+// Fill of rows that still need a person to price them (light amber)
+const HIGHLIGHT_COLOR = 'FFFFEB9C';
+
+const RELATIONSHIPS_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const WORKSHEET_RELATIONSHIP = `${RELATIONSHIPS_NAMESPACE}/worksheet`;
+const WORKSHEET_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml';
+
+// Writes a job's results back into a copy of the uploaded .xlsx file. The file's XML parts
+// are edited in place instead of re-saving the workbook through SheetJS, whose community
+// build drops cell styles. Fonts, fills, borders, formulas, column widths and sheets that
+// weren't priced stay as they were. For each priced sheet:
+//   - result columns the sheet doesn't have are added after its last column
+//   - existing cells whose value the job changed are rewritten and keep their style
+//   - rows that match `highlight` are filled
+// A Summary sheet with the job summary is added at the end.
+class WorkbookWriter {
+  static canWrite(fileName) {
+    return /\.xlsx$/i.test(fileName || '');
+  }
+
+  static error(message) {
+    const error = new Error(message);
+    error.code = 'WORKBOOK_OUTPUT_UNAVAILABLE';
+    return error;
+  }
+
+  // entries: [{ input, output }], each row as it was read and as the job wrote it. Rows are
+  // placed by their Source Sheet / Source Row.
+  // options: { headerRows: { <sheet>: <row number> }, summary, highlight(outputRow) }
+  static write(buffer, entries, { headerRows = {}, summary = null, highlight = null } = {}) {
+    const workbook = WorkbookReader.readWorkbook({ buffer });
+    const zip = XLSX.CFB.read(buffer, { type: 'buffer' });
+    const parts = WorkbookWriter.sheetParts(zip);
+    const styles = WorkbookWriter.styleSheet(zip, parts.styles);
+
+    const bySheet = new Map();
+    for (const entry of entries) {
+      const name = entry.input[WorkbookReader.SOURCE_SHEET];
+      if (!bySheet.has(name)) bySheet.set(name, []);
+      bySheet.get(name).push(entry);
+    }
+
+    for (const [name, sheetEntries] of bySheet) {
+      if (!parts.sheets[name]) {
+        throw WorkbookWriter.error(`Sheet "${name}" is not in the uploaded workbook`);
+      }
+      const sheet = WorkbookReader.readSheet(workbook, name, headerRows[name]);
+      // Source Row of a re-uploaded flat export points into a different file
+      if (WorkbookReader.SOURCE_ROW in sheet.columns) {
+        throw WorkbookWriter.error(`Sheet "${name}" is a flat export (it has a ${WorkbookReader.SOURCE_ROW} column); download it as format=xlsx instead`);
+      }
+      WorkbookWriter.writeSheet(zip, parts.sheets[name], sheet, sheetEntries, { styles, highlight });
+    }
+
+    if (styles) WorkbookWriter.savePart(zip, parts.styles, styles.$);
+    if (summary) WorkbookWriter.addSummarySheet(zip, parts, summary);
+
+    return XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer', compression: true });
+  }
+
+  static readPart(zip, partPath) {
+    const entry = XLSX.CFB.find(zip, `/${partPath}`);
+    return entry ? Buffer.from(entry.content).toString('utf-8') : null;
+  }
+
+  static loadPart(zip, partPath) {
+    const xml = WorkbookWriter.readPart(zip, partPath);
+    // decodeEntities: false keeps text as written; decoding it would re-encode every non-ASCII
+    // character as a numeric entity on save, which SheetJS then misreads. Attribute values read
+    // from a part are therefore still escaped (see unescapeXml).
+    return xml === null ? null : cheerio.load(xml, { xmlMode: true, decodeEntities: false });
+  }
+
+  static savePart(zip, partPath, $) {
+    const content = Buffer.from($.xml(), 'utf-8');
+    const entry = XLSX.CFB.find(zip, `/${partPath}`);
+    if (entry) {
+      entry.content = content;
+      entry.size = content.length;
+    } else {
+      XLSX.CFB.utils.cfb_add(zip, `/${partPath}`, content);
+    }
+  }
+
+  // Namespace prefix of a part's root element ("x" for <x:worksheet>, "" for <worksheet>)
+  static prefixOf($) {
+    const root = $.root().children().get(0);
+    return root && root.name.includes(':') ? root.name.split(':')[0] : '';
+  }
+
+  // Selector and element name for a tag in a part that may use a prefixed main namespace
+  static tags($) {
+    const prefix = WorkbookWriter.prefixOf($);
+    return {
+      select: name => (prefix ? `${prefix}\\:${name}` : name),
+      name: name => (prefix ? `${prefix}:${name}` : name)
+    };
+  }
+
+  static relsPath(partPath) {
+    return path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  }
+
+  static resolveTarget(fromPart, target) {
+    return target.startsWith('/') ? target.slice(1) : path.posix.join(path.posix.dirname(fromPart), target);
+  }
+
+  // Where the workbook, its styles and each sheet live in the package
+  static sheetParts(zip) {
+    const $root = WorkbookWriter.loadPart(zip, '_rels/.rels');
+    const officeDocument = $root && $root('Relationship').toArray()
+      .find(element => /\/officeDocument$/.test(element.attribs.Type));
+    const workbookPath = officeDocument ? WorkbookWriter.resolveTarget('', WorkbookWriter.unescapeXml(officeDocument.attribs.Target)) : 'xl/workbook.xml';
+
+    const $rels = WorkbookWriter.loadPart(zip, WorkbookWriter.relsPath(workbookPath));
+    const $workbook = WorkbookWriter.loadPart(zip, workbookPath);
+    if (!$rels || !$workbook) {
+      throw WorkbookWriter.error('The upload is not a readable .xlsx package');
+    }
+
+    const targets = {};
+    let styles = null;
+    $rels('Relationship').each((_, element) => {
+      const target = WorkbookWriter.resolveTarget(workbookPath, WorkbookWriter.unescapeXml(element.attribs.Target));
+      targets[element.attribs.Id] = target;
+      if (/\/styles$/.test(element.attribs.Type)) styles = target;
+    });
+
+    const sheets = {};
+    const tags = WorkbookWriter.tags($workbook);
+    $workbook(tags.select('sheet')).each((_, element) => {
+      const idAttribute = Object.keys(element.attribs).find(name => /(^|:)id$/.test(name) && name !== 'sheetId');
+      const target = idAttribute && targets[element.attribs[idAttribute]];
+      if (target) sheets[WorkbookWriter.unescapeXml(element.attribs.name)] = target;
+    });
+
+    return { workbook: workbookPath, rels: WorkbookWriter.relsPath(workbookPath), styles, sheets, targets };
+  }
+
+  // Highlight styles: each cell style used in a highlighted row gets a copy with the fill
+  static styleSheet(zip, stylesPath) {
+    const $ = stylesPath && WorkbookWriter.loadPart(zip, stylesPath);
+    if (!$) return null;
+
+    const tags = WorkbookWriter.tags($);
+    const fills = $(tags.select('fills')).first();
+    const cellXfs = $(tags.select('cellXfs')).first();
+    if (!fills.length || !cellXfs.length) return null;
+
+    const fillId = fills.children().length;
+    fills.append(`<${tags.name('fill')}><${tags.name('patternFill')} patternType="solid"><${tags.name('fgColor')} rgb="${HIGHLIGHT_COLOR}"/><${tags.name('bgColor')} indexed="64"/></${tags.name('patternFill')}></${tags.name('fill')}>`);
+    fills.attr('count', String(fills.children().length));
+
+    const copies = new Map();
+    return {
+      $,
+      highlighted(styleId) {
+        const id = Number(styleId) || 0;
+        if (!copies.has(id)) {
+          const source = cellXfs.children().eq(id);
+          const copy = source.length ? source.clone() : $(`<${tags.name('xf')} numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>`);
+          copy.attr('fillId', String(fillId)).attr('applyFill', '1');
+          cellXfs.append(copy);
+          cellXfs.attr('count', String(cellXfs.children().length));
+          copies.set(id, cellXfs.children().length - 1);
+        }
+        return copies.get(id);
+      }
+    };
+  }
+
+  static escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters other than tab and newlines are not allowed in XML
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  }
+
+  static unescapeXml(text) {
+    return String(text).replace(/&(?:#x([\da-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (entity, hex, decimal, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+    });
+  }
+
+  // Inner XML and type attribute of a cell: numbers as numbers, anything else as inline text
+  static cellContent(value, tags) {
+    if (typeof value === 'number' && isFinite(value)) {
+      return { type: null, xml: `<${tags.name('v')}>${value}</${tags.name('v')}>` };
+    }
+    const text = String(value);
+    if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(text) && text.length < 16) {
+      return { type: null, xml: `<${tags.name('v')}>${Number(text)}</${tags.name('v')}>` };
+    }
+    return {
+      type: 'inlineStr',
+      xml: `<${tags.name('is')}><${tags.name('t')} xml:space="preserve">${WorkbookWriter.escapeXml(text)}</${tags.name('t')}></${tags.name('is')}>`
+    };
+  }
+
+  static writeSheet(zip, partPath, sheet, entries, { styles, highlight }) {
+    const $ = WorkbookWriter.loadPart(zip, partPath);
+    const tags = WorkbookWriter.tags($);
+    const sheetData = $(tags.select('sheetData')).first();
+    const isProvenance = key => key === WorkbookReader.SOURCE_SHEET || key === WorkbookReader.SOURCE_ROW;
+
+    // Sheet rows by row number; rows without an r attribute follow the previous one
+    const rows = new Map();
+    let previousRow = 0;
+    sheetData.children(tags.select('row')).each((_, element) => {
+      previousRow = Number(element.attribs.r) || previousRow + 1;
+      rows.set(previousRow, $(element));
+    });
+
+    const rowElement = number => {
+      if (!rows.has(number)) {
+        const created = $(`<${tags.name('row')} r="${number}"/>`);
+        const after = [...rows.keys()].filter(existing => existing < number).sort((a, b) => b - a)[0];
+        if (after) rows.get(after).after(created);
+        else sheetData.prepend(created);
+        rows.set(number, created);
+      }
+      return rows.get(number);
+    };
+
+    // Put a value in a row at a 0-based column, keeping the existing cell's style
+    const setCell = (row, rowNumber, column, value, style = null) => {
+      const ref = XLSX.utils.encode_cell({ r: rowNumber - 1, c: column });
+      const empty = value === null || value === undefined || value === '';
+      let previousColumn = -1;
+      let existing = null;
+      let before = null;
+      row.children(tags.select('c')).each((_, element) => {
+        previousColumn = element.attribs.r ? XLSX.utils.decode_cell(element.attribs.r).c : previousColumn + 1;
+        if (previousColumn === column) existing = $(element);
+        else if (previousColumn > column && !before) before = $(element);
+      });
+
+      if (existing) {
+        existing.removeAttr('t').empty();
+        existing.attr('r', ref);
+        if (!empty) {
+          const content = WorkbookWriter.cellContent(value, tags);
+          if (content.type) existing.attr('t', content.type);
+          existing.append(content.xml);
+        }
+        return;
+      }
+      if (empty) return;
+
+      const content = WorkbookWriter.cellContent(value, tags);
+      const cell = `<${tags.name('c')} r="${ref}"${style !== null ? ` s="${style}"` : ''}${content.type ? ` t="${content.type}"` : ''}>${content.xml}</${tags.name('c')}>`;
+      if (before) before.before(cell);
+      else row.append(cell);
+    };
+
+    // New columns go after the sheet's last column, in the order the job wrote them. Input
+    // columns this sheet doesn't have belong to the other sheets of the upload.
+    const columns = { ...sheet.columns };
+    const added = [];
+    let nextColumn = sheet.lastColumn + 1;
+    for (const { input, output } of entries) {
+      for (const key of Object.keys(output)) {
+        if (isProvenance(key) || key in columns || key in input) continue;
+        columns[key] = nextColumn++;
+        added.push(key);
+      }
+    }
+
+    // New headers look like the sheet's last header cell
+    const headerRow = rowElement(sheet.headerRow);
+    const headerCells = headerRow.children(tags.select('c'));
+    const headerStyle = headerCells.length ? headerCells.last().attr('s') || null : null;
+    for (const key of added) {
+      setCell(headerRow, sheet.headerRow, columns[key], key, headerStyle);
+    }
+
+    for (const { input, output } of entries) {
+      const rowNumber = Number(input[WorkbookReader.SOURCE_ROW]);
+      const row = rowElement(rowNumber);
+      for (const [key, value] of Object.entries(output)) {
+        if (isProvenance(key)) continue;
+        if (!(key in columns)) continue;
+        const changed = added.includes(key) || String(value == null ? '' : value) !== String(input[key] == null ? '' : input[key]);
+        if (changed) setCell(row, rowNumber, columns[key], value);
+      }
+
+      if (styles && highlight && highlight(output)) {
+        row.children(tags.select('c')).each((_, element) => {
+          $(element).attr('s', String(styles.highlighted(element.attribs.s)));
+        });
+        // The row style fills the row's blank cells too
+        row.attr('s', String(styles.highlighted(row.attr('s')))).attr('customFormat', '1');
+      }
+    }
+
+    const dimension = $(tags.select('dimension')).first();
+    if (dimension.length && dimension.attr('ref')) {
+      const range = XLSX.utils.decode_range(dimension.attr('ref'));
+      range.e.c = Math.max(range.e.c, nextColumn - 1);
+      range.e.r = Math.max(range.e.r, ...[...rows.keys()].map(number => number - 1));
+      dimension.attr('ref', XLSX.utils.encode_range(range));
+    }
+
+    WorkbookWriter.savePart(zip, partPath, $);
+    console.log(`📘 Wrote ${entries.length} rows into sheet part ${partPath} (${added.length} new columns)`);
+  }
+
+  // Summary as label / value pairs; nested objects become "parent.child" labels and lists of
+  // objects become tables (tableRows)
+  static summaryRows(summary, prefix = '') {
+    const rows = [];
+    for (const [key, value] of Object.entries(summary || {})) {
+      const label = prefix ? `${prefix}.${key}` : key;
+      if (value === null || value === undefined) continue;
+      if (Array.isArray(value) && value.some(WorkbookWriter.isObject)) {
+        rows.push(...WorkbookWriter.tableRows(label, value));
+      } else if (Array.isArray(value)) {
+        rows.push([label, value.join(', ')]);
+      } else if (typeof value === 'object') {
+        rows.push(...WorkbookWriter.summaryRows(value, label));
+      } else {
+        rows.push([label, value]);
+      }
+    }
+    return rows;
+  }
+
+  static isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // A list of objects such as category subtotals: a header row with the label and the
+  // numeric fields, then one row per item named by its first text field ("Furniture"), with
+  // nested lists (subcategories) as "Furniture / Sofas" rows under their parent
+  static tableRows(label, items) {
+    const nameOf = item => Object.values(item).find(value => typeof value === 'string') || '';
+    const flatten = (list, parent) => list.filter(WorkbookWriter.isObject).flatMap(item => {
+      const name = parent ? `${parent} / ${nameOf(item)}` : nameOf(item);
+      const children = Object.values(item).filter(value => Array.isArray(value) && value.some(WorkbookWriter.isObject));
+      return [{ name, item }, ...children.flatMap(child => flatten(child, name))];
+    });
+
+    const flat = flatten(items, '');
+    const columns = [];
+    for (const { item } of flat) {
+      for (const [key, value] of Object.entries(item)) {
+        if (typeof value === 'number' && !columns.includes(key)) columns.push(key);
+      }
+    }
+    return [
+      [label, ...columns],
+      ...flat.map(({ name, item }) => [name, ...columns.map(key => (typeof item[key] === 'number' ? item[key] : ''))])
+    ];
+  }
+
+  static addSummarySheet(zip, parts, summary) {
+    const $workbook = WorkbookWriter.loadPart(zip, parts.workbook);
+    const $rels = WorkbookWriter.loadPart(zip, parts.rels);
+    const $types = WorkbookWriter.loadPart(zip, '[Content_Types].xml');
+    const workbookTags = WorkbookWriter.tags($workbook);
+
+    let name = 'Summary';
+    for (let n = 2; name in parts.sheets; n++) name = `Summary ${n}`;
+
+    let partNumber = Object.keys(parts.sheets).length + 1;
+    const existing = new Set(Object.values(parts.targets));
+    while (existing.has(`xl/worksheets/sheet${partNumber}.xml`)) partNumber++;
+    const partPath = `xl/worksheets/sheet${partNumber}.xml`;
+
+    let relationshipNumber = Object.keys(parts.targets).length + 1;
+    while (`rId${relationshipNumber}` in parts.targets) relationshipNumber++;
+    const relationshipId = `rId${relationshipNumber}`;
+
+    const sheetIds = $workbook(workbookTags.select('sheet')).toArray().map(element => Number(element.attribs.sheetId) || 0);
+    const root = $workbook.root().children().get(0);
+    const relationshipPrefix = Object.keys(root.attribs)
+      .find(attribute => attribute.startsWith('xmlns:') && root.attribs[attribute] === RELATIONSHIPS_NAMESPACE);
+    if (!relationshipPrefix) {
+      $workbook(root).attr('xmlns:r', RELATIONSHIPS_NAMESPACE);
+    }
+    const idAttribute = `${relationshipPrefix ? relationshipPrefix.slice('xmlns:'.length) : 'r'}:id`;
+
+    const plain = { name: tagName => tagName };
+    const rows = [['Metric', 'Value'], ...WorkbookWriter.summaryRows(summary)];
+    const rowXml = rows.map((cells, index) => {
+      const cellXml = cells.map((value, column) => {
+        if (value === '') return '';
+        const ref = XLSX.utils.encode_cell({ r: index, c: column });
+        const content = WorkbookWriter.cellContent(value, plain);
+        return `<c r="${ref}"${content.type ? ` t="${content.type}"` : ''}>${content.xml}</c>`;
+      }).join('');
+      return `<row r="${index + 1}">${cellXml}</row>`;
+    }).join('');
+    const sheetXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<dimension ref="A1:${XLSX.utils.encode_col(Math.max(...rows.map(cells => cells.length)) - 1)}${rows.length}"/>`
+      + '<cols><col min="1" max="1" width="40" customWidth="1"/><col min="2" max="2" width="60" customWidth="1"/></cols>'
+      + `<sheetData>${rowXml}</sheetData></worksheet>`;
+    XLSX.CFB.utils.cfb_add(zip, `/${partPath}`, Buffer.from(sheetXml, 'utf-8'));
+
+    $workbook(workbookTags.select('sheets')).first().append(
+      `<${workbookTags.name('sheet')} name="${WorkbookWriter.escapeXml(name)}" sheetId="${Math.max(0, ...sheetIds) + 1}" ${idAttribute}="${relationshipId}"/>`
+    );
+    $rels('Relationships').first().append(
+      `<Relationship Id="${relationshipId}" Type="${WORKSHEET_RELATIONSHIP}" Target="${path.posix.relative(path.posix.dirname(parts.workbook), partPath)}"/>`
+    );
+    $types('Types').first().append(`<Override PartName="/${partPath}" ContentType="${WORKSHEET_CONTENT_TYPE}"/>`);
+
+    WorkbookWriter.savePart(zip, parts.workbook, $workbook);
+    WorkbookWriter.savePart(zip, parts.rels, $rels);
+    WorkbookWriter.savePart(zip, '[Content_Types].xml', $types);
+  }
+}
+
+WorkbookWriter.HIGHLIGHT_COLOR = HIGHLIGHT_COLOR;
+
+module.exports = WorkbookWriter;